@@ -0,0 +1,822 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/Ownable2StepUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+
+// State, events and helpers shared by HurupaySmartContract, HurupayExtension
+// and HurupayPayments. All run against the same (proxy) storage, so state may
+// only be declared here, and only appended to: never reorder, retype or
+// remove a variable, upgrades rely on the layout staying put.
+abstract contract HurupayBase is
+    ReentrancyGuardUpgradeable,
+    EIP712Upgradeable,
+    Ownable2StepUpgradeable
+{
+    using SafeERC20 for IERC20;
+
+    IERC20 public usdc; // Default token, supported from deployment
+    uint256 public feePercentage;
+    uint256 public constant MAX_FEE_PERCENTAGE = 500; // 5% max fee
+    mapping(address => uint256) public accumulatedFees; // token => fees
+
+    // Tokens the contract moves, with their own fee settings
+    mapping(address => TokenConfig) public tokenConfigs;
+    address[] internal tokenList; // every token ever added
+    uint256 public constant MAX_BATCH_SIZE = 50;
+    uint256 public constant MAX_SPLIT_PAYEES = 50;
+    uint256 public constant BASIS_POINTS = 10000;
+
+    // Relayers allowed to submit signed requests; anyone may when open
+    mapping(address => bool) public authorizedRelayers;
+    bool public openRelaying;
+    // Share of each fee (in basis points of the fee) credited to the relayer
+    uint256 public relayerFeeShare;
+    // relayer => token => fees
+    mapping(address => mapping(address => uint256)) public relayerFees;
+    mapping(address => uint256) public totalRelayerFees; // token => fees
+
+    // Volume tiers per token, sorted by minAmount in that token's units.
+    // Amounts below the first tier pay feePercentage.
+    mapping(address => FeeTier[]) internal tokenFeeTiers;
+    // Negotiated rates; a recipient override wins over a sender override
+    mapping(address => FeeOverride) public recipientFeeOverrides;
+    mapping(address => FeeOverride) public senderFeeOverrides;
+
+    // Sensitive admin calls must be proposed and wait adminDelay before the
+    // owner can make them. Keyed by keccak256 of the exact calldata.
+    uint256 public adminDelay;
+    uint256 public constant MIN_ADMIN_DELAY = 1 hours;
+    uint256 public constant MAX_ADMIN_DELAY = 30 days;
+    uint256 public constant ACTION_GRACE_PERIOD = 14 days;
+    mapping(bytes32 => uint256) public pendingActions; // actionId => readyAt
+
+    // Emergency stop for all transfers, held by a key separate from owner
+    address public guardian;
+    bool public paused;
+    // Addresses that may neither send nor receive through the contract
+    mapping(address => bool) public blocked;
+
+    mapping(bytes32 => bool) public processedRequests;
+    // Signed into every request; bumping it invalidates all outstanding ones
+    mapping(address => uint256) public nonces;
+    mapping(address => mapping(bytes32 => bool)) public cancelledRequests;
+
+    // Funds held until delivery is confirmed, keyed by requestId
+    mapping(bytes32 => Escrow) public escrows;
+    mapping(address => uint256) public totalEscrowed; // token => amount
+
+    // Progress of recurring payments, by sender and scheduleId
+    mapping(address => mapping(bytes32 => ScheduleState)) public schedules;
+
+    // Velocity controls in token units, over a rolling window kept in hourly
+    // buckets. A sender's own limits, when enabled, replace the token's.
+    uint256 public constant SPENDING_WINDOW = 1 days;
+    uint256 internal constant SPENDING_BUCKET = 1 hours;
+    // One bucket more than the window spans, so a transfer counts for at
+    // least a full day whenever in its hour it was made
+    uint256 internal constant SPENDING_BUCKETS =
+        SPENDING_WINDOW / SPENDING_BUCKET + 1;
+    mapping(address => SpendingLimit) public spendingLimits; // token => limits
+    // sender => token => limits
+    mapping(address => mapping(address => SpendingLimit))
+        public senderSpendingLimits;
+    // sender => token => total of the buckets in the window
+    mapping(address => mapping(address => SpendingWindow))
+        public spendingWindows;
+    // sender => token => spending per hour, in a ring indexed by hour
+    mapping(address => mapping(address => SpendingWindow[SPENDING_BUCKETS]))
+        internal spendingBuckets;
+
+    // merchant => invoiceId => status
+    mapping(address => mapping(bytes32 => InvoiceStatus)) public invoices;
+
+    // Fee revenue split; when empty, withdrawFees pays owner() as before
+    Beneficiary[] internal beneficiaries;
+    uint256 public constant MAX_BENEFICIARIES = 10;
+    // beneficiary => token => fees distributed but not yet claimed
+    mapping(address => mapping(address => uint256)) public claimableFees;
+    mapping(address => uint256) public totalClaimableFees; // token => fees
+
+    // Signed transfers the recipient may refund, by requestId: the hash of
+    // their RefundableTransfer, and how much of netAmount went back so far
+    mapping(bytes32 => bytes32) public transferDigests;
+    mapping(bytes32 => uint256) public refundedAmounts;
+    // requestId => part of ownerFee paid back to the sender so far
+    mapping(bytes32 => uint256) public refundedFees;
+
+    // A signed transfer request, as passed to the batch entry point
+    struct TransferRequest {
+        bytes32 requestId;
+        address sender;
+        address recipient;
+        address token;
+        uint256 amount;
+        uint256 deadline;
+        bytes signature;
+    }
+
+    // What a signed transfer paid out, as needed to refund it. ownerFee is
+    // the part of the fee credited to accumulatedFees, the relayer keeps its
+    // share.
+    struct RefundableTransfer {
+        bytes32 requestId;
+        address sender;
+        address recipient;
+        address token;
+        uint256 netAmount;
+        uint256 ownerFee;
+    }
+
+    // One recipient of a split payment and the gross amount it is paid
+    struct Payee {
+        address recipient;
+        uint256 amount;
+    }
+
+    // A signed payment from one sender to several recipients
+    struct SplitRequest {
+        bytes32 requestId;
+        address sender;
+        address token;
+        Payee[] payees;
+        uint256 deadline;
+        bytes signature;
+    }
+
+    struct TokenConfig {
+        bool supported;
+        bool customFee; // feeBps replaces tiers and feePercentage
+        uint256 feeBps;
+        uint256 minFee; // in token units
+        uint256 maxFee; // in token units, 0 means no cap
+    }
+
+    struct FeeTier {
+        uint256 minAmount;
+        uint256 feeBps;
+    }
+
+    struct FeeOverride {
+        bool enabled;
+        uint256 feeBps;
+    }
+
+    struct Beneficiary {
+        address account;
+        uint256 shareBps; // of every distribution
+    }
+
+    // A payment request signed by the merchant it pays. `payer` may be
+    // zero to let anyone settle it; `memo` is an opaque reference such as
+    // the hash of an order number.
+    struct Invoice {
+        bytes32 invoiceId;
+        address merchant;
+        address payer;
+        address token;
+        uint256 amount;
+        uint256 expiry;
+        bytes32 memo;
+    }
+
+    enum InvoiceStatus {
+        Open,
+        Paid,
+        Void
+    }
+
+    // Zero means no limit
+    struct SpendingLimit {
+        bool enabled;
+        uint256 dailyLimit; // per SPENDING_WINDOW
+        uint256 maxTransfer;
+    }
+
+    // What a sender spent in a token as of an hour (since the epoch): over
+    // the window ending then, or within that hour for a bucket
+    struct SpendingWindow {
+        uint64 hour;
+        uint192 spent;
+    }
+
+    // Where the rate of a quote came from
+    enum FeeSource {
+        Base,
+        Tier,
+        Token,
+        Sender,
+        Recipient
+    }
+
+    // Full breakdown of the fee charged on a transfer
+    struct FeeQuote {
+        address token;
+        uint256 amount;
+        FeeSource source;
+        uint256 feeBps;
+        uint256 rateFee; // amount * feeBps, before minFee / maxFee
+        uint256 fee;
+        uint256 amountAfterFee;
+    }
+
+    // A signed transfer whose funds are held by the contract. The arbiter
+    // (optional) can settle it either way; anyone can refund it once
+    // refundAfter has passed.
+    struct EscrowRequest {
+        TransferRequest transfer;
+        address arbiter;
+        uint256 refundAfter;
+    }
+
+    enum EscrowStatus {
+        None,
+        Locked,
+        Disputed,
+        Released,
+        Refunded
+    }
+
+    struct Escrow {
+        address sender;
+        address recipient;
+        address token;
+        address arbiter;
+        address relayer; // credited its fee share on release
+        uint256 amount;
+        uint256 fee; // quoted when locked, charged only on release
+        uint256 refundAfter;
+        EscrowStatus status;
+    }
+
+    // A recurring payment signed once by the sender. Occurrence i (from 0)
+    // falls due at start + i * period and is payable until the next one
+    // falls due; a missed occurrence is forfeited.
+    struct PaymentSchedule {
+        bytes32 scheduleId;
+        address sender;
+        address recipient;
+        address token;
+        uint256 amount; // per occurrence
+        uint256 period; // in seconds
+        uint256 start;
+        uint256 maxOccurrences;
+        bytes signature;
+    }
+
+    struct ScheduleState {
+        uint256 executed; // occurrences paid or forfeited so far
+        bool revoked;
+    }
+
+    // An EIP-2612 permit signed by the sender for this contract
+    struct PermitSignature {
+        uint256 value;
+        uint256 deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+
+    // Events remain the same
+    event Transfer(
+        address indexed from,
+        address indexed to,
+        address indexed token,
+        uint256 amount,
+        uint256 fee
+    );
+    // Emitted with Transfer for signed transfers, so they can be matched to
+    // the requestId that was signed. feeBps is the rate applied before the
+    // token's fee limits, which may raise or cap `fee`.
+    event SignedTransfer(
+        bytes32 indexed requestId,
+        address indexed relayer,
+        address indexed sender,
+        address recipient,
+        address token,
+        uint256 grossAmount,
+        uint256 netAmount,
+        uint256 fee,
+        uint256 feeBps
+    );
+    event FeeUpdated(uint256 oldFee, uint256 newFee);
+    event FeeTiersUpdated(address indexed token, FeeTier[] tiers);
+    event TokenSupportUpdated(address indexed token, bool supported);
+    event TokenFeeUpdated(
+        address indexed token,
+        bool customFee,
+        uint256 feeBps
+    );
+    event FeeLimitsUpdated(
+        address indexed token,
+        uint256 minFee,
+        uint256 maxFee
+    );
+    event RecipientFeeOverrideUpdated(
+        address indexed recipient,
+        bool enabled,
+        uint256 feeBps
+    );
+    event SenderFeeOverrideUpdated(
+        address indexed sender,
+        bool enabled,
+        uint256 feeBps
+    );
+    event FeesWithdrawn(
+        address indexed owner,
+        address indexed token,
+        uint256 amount
+    );
+    event BeneficiariesUpdated(Beneficiary[] beneficiaries);
+    // accumulatedFees moved to the beneficiaries, one FeesAllocated each
+    event FeesDistributed(address indexed token, uint256 amount);
+    event FeesAllocated(
+        address indexed beneficiary,
+        address indexed token,
+        uint256 amount
+    );
+    event FeesClaimed(
+        address indexed beneficiary,
+        address indexed token,
+        uint256 amount
+    );
+    event RequestCancelled(address indexed sender, bytes32 indexed requestId);
+    event NonceIncremented(address indexed sender, uint256 newNonce);
+    event ActionProposed(
+        bytes32 indexed actionId,
+        bytes data,
+        uint256 readyAt
+    );
+    event ActionExecuted(bytes32 indexed actionId);
+    event ActionCancelled(bytes32 indexed actionId);
+    event AdminDelayUpdated(uint256 oldDelay, uint256 newDelay);
+    event GuardianUpdated(
+        address indexed oldGuardian,
+        address indexed newGuardian
+    );
+    event Paused(address indexed guardian);
+    event Unpaused(address indexed guardian);
+    event BlockedUpdated(address indexed account, bool blocked);
+    event SpendingLimitUpdated(
+        address indexed token,
+        uint256 dailyLimit,
+        uint256 maxTransfer
+    );
+    event SenderSpendingLimitUpdated(
+        address indexed sender,
+        address indexed token,
+        bool enabled,
+        uint256 dailyLimit,
+        uint256 maxTransfer
+    );
+    event RelayerUpdated(address indexed relayer, bool authorized);
+    event OpenRelayingUpdated(bool enabled);
+    event RelayerFeeShareUpdated(uint256 oldShare, uint256 newShare);
+    event RelayerFeeCredited(
+        address indexed relayer,
+        address indexed token,
+        uint256 amount
+    );
+    event RelayerFeesWithdrawn(
+        address indexed relayer,
+        address indexed token,
+        uint256 amount
+    );
+    event EscrowCreated(
+        bytes32 indexed requestId,
+        address indexed sender,
+        address indexed recipient,
+        address token,
+        uint256 amount,
+        address arbiter,
+        uint256 refundAfter
+    );
+    event EscrowReleased(
+        bytes32 indexed requestId,
+        address indexed by,
+        uint256 amount,
+        uint256 fee
+    );
+    event EscrowRefunded(
+        bytes32 indexed requestId,
+        address indexed by,
+        uint256 amount
+    );
+    event EscrowDisputed(bytes32 indexed requestId, address indexed by);
+    event ScheduledPaymentExecuted(
+        bytes32 indexed scheduleId,
+        address indexed sender,
+        address indexed recipient,
+        uint256 occurrence,
+        uint256 amount,
+        uint256 fee
+    );
+    // One per payee of a split payment, with its share of the fee
+    event SplitPayment(
+        bytes32 indexed requestId,
+        address indexed sender,
+        address indexed recipient,
+        address token,
+        uint256 amount,
+        uint256 fee
+    );
+    event InvoicePaid(
+        address indexed merchant,
+        bytes32 indexed invoiceId,
+        address indexed payer,
+        address token,
+        uint256 amount,
+        uint256 fee,
+        bytes32 memo
+    );
+    // One leg of a refund, paid to the sender: `amount` returned by the
+    // recipient, or `feeRefund` out of the collected fees by the owner
+    event TransferRefunded(
+        bytes32 indexed requestId,
+        address indexed sender,
+        address indexed recipient,
+        address token,
+        uint256 amount,
+        uint256 feeRefund
+    );
+    event InvoiceVoided(address indexed merchant, bytes32 indexed invoiceId);
+    event ScheduleRevoked(address indexed sender, bytes32 indexed scheduleId);
+    event BatchItemResult(
+        uint256 indexed index,
+        bytes32 indexed requestId,
+        bool success,
+        bytes reason
+    );
+
+    // Define EIP-712 typehash
+    bytes32 public constant TRANSFER_TYPEHASH =
+        keccak256(
+            "Transfer(bytes32 requestId,address sender,address recipient,address token,uint256 amount,uint256 deadline,uint256 nonce,uint256 chainId)"
+        );
+    bytes32 public constant ESCROW_TYPEHASH =
+        keccak256(
+            "EscrowTransfer(bytes32 requestId,address sender,address recipient,address token,uint256 amount,address arbiter,uint256 refundAfter,uint256 deadline,uint256 nonce,uint256 chainId)"
+        );
+    bytes32 public constant SCHEDULE_TYPEHASH =
+        keccak256(
+            "PaymentSchedule(bytes32 scheduleId,address sender,address recipient,address token,uint256 amount,uint256 period,uint256 start,uint256 maxOccurrences,uint256 nonce,uint256 chainId)"
+        );
+    bytes32 public constant PAYEE_TYPEHASH =
+        keccak256("Payee(address recipient,uint256 amount)");
+    bytes32 public constant SPLIT_TYPEHASH =
+        keccak256(
+            "SplitTransfer(bytes32 requestId,address sender,address token,Payee[] payees,uint256 deadline,uint256 nonce,uint256 chainId)Payee(address recipient,uint256 amount)"
+        );
+    bytes32 public constant INVOICE_TYPEHASH =
+        keccak256(
+            "Invoice(bytes32 invoiceId,address merchant,address payer,address token,uint256 amount,uint256 expiry,bytes32 memo,uint256 chainId)"
+        );
+    bytes32 public constant CANCEL_TYPEHASH =
+        keccak256(
+            "CancelRequest(bytes32 requestId,address sender,uint256 chainId)"
+        );
+
+    modifier whenNotPaused() {
+        require(!paused, "Hurupay: paused");
+        _;
+    }
+
+    modifier onlyGuardian() {
+        require(msg.sender == guardian, "Hurupay: caller is not the guardian");
+        _;
+    }
+
+    // Consumes the matching proposal once its delay has passed
+    modifier timelocked() {
+        bytes32 actionId = keccak256(msg.data);
+        uint256 readyAt = pendingActions[actionId];
+        require(readyAt != 0, "Hurupay: action not proposed");
+        require(block.timestamp >= readyAt, "Hurupay: action is timelocked");
+        require(
+            block.timestamp <= readyAt + ACTION_GRACE_PERIOD,
+            "Hurupay: action expired"
+        );
+        delete pendingActions[actionId];
+        emit ActionExecuted(actionId);
+        _;
+    }
+
+    modifier onlyRelayer() {
+        require(
+            openRelaying || authorizedRelayers[msg.sender],
+            "Hurupay: caller is not an authorized relayer"
+        );
+        _;
+    }
+
+    function calculateFeeFor(
+        address _token,
+        address _sender,
+        address _recipient,
+        uint256 _amount
+    ) public view returns (uint256) {
+        return getFeeQuote(_token, _sender, _recipient, _amount).fee;
+    }
+
+    function getFeeQuote(
+        address _token,
+        address _sender,
+        address _recipient,
+        uint256 _amount
+    ) public view returns (FeeQuote memory quote) {
+        TokenConfig storage config = tokenConfigs[_token];
+        require(config.supported, "Hurupay: unsupported token");
+
+        quote.token = _token;
+        quote.amount = _amount;
+        quote.source = FeeSource.Base;
+        quote.feeBps = feePercentage;
+
+        if (recipientFeeOverrides[_recipient].enabled) {
+            quote.source = FeeSource.Recipient;
+            quote.feeBps = recipientFeeOverrides[_recipient].feeBps;
+        } else if (senderFeeOverrides[_sender].enabled) {
+            quote.source = FeeSource.Sender;
+            quote.feeBps = senderFeeOverrides[_sender].feeBps;
+        } else if (config.customFee) {
+            quote.source = FeeSource.Token;
+            quote.feeBps = config.feeBps;
+        } else {
+            // Highest tier of the token the amount reaches
+            FeeTier[] storage tiers = tokenFeeTiers[_token];
+            for (uint256 i = tiers.length; i > 0; i--) {
+                if (_amount >= tiers[i - 1].minAmount) {
+                    quote.source = FeeSource.Tier;
+                    quote.feeBps = tiers[i - 1].feeBps;
+                    break;
+                }
+            }
+        }
+
+        quote.rateFee = (_amount * quote.feeBps) / BASIS_POINTS;
+        quote.fee = quote.rateFee;
+        if (quote.fee < config.minFee) quote.fee = config.minFee;
+        if (config.maxFee > 0 && quote.fee > config.maxFee) {
+            quote.fee = config.maxFee;
+        }
+
+        require(quote.fee < _amount, "Hurupay: fee exceeds amount");
+        quote.amountAfterFee = _amount - quote.fee;
+    }
+
+    // Limits that apply to the sender in the token
+    function getSpendingLimit(
+        address _sender,
+        address _token
+    ) public view returns (SpendingLimit memory limit) {
+        limit = senderSpendingLimits[_sender][_token];
+        if (!limit.enabled) limit = spendingLimits[_token];
+    }
+
+    // Largest amount the sender can move in the token right now
+    // (type(uint256).max without limits) and when the oldest spending still
+    // in the window leaves it, freeing up allowance (0 if there is none)
+    function getRemainingAllowance(
+        address _sender,
+        address _token
+    ) external view returns (uint256 remaining, uint256 resetsAt) {
+        SpendingLimit memory limit = getSpendingLimit(_sender, _token);
+        remaining = type(uint256).max;
+        if (limit.dailyLimit > 0) {
+            SpendingWindow[SPENDING_BUCKETS] storage buckets = spendingBuckets[
+                _sender
+            ][_token];
+            uint256 hour = block.timestamp / SPENDING_BUCKET;
+            uint256 spent = _spentInWindow(
+                spendingWindows[_sender][_token],
+                buckets,
+                hour
+            );
+            // The limit may have been lowered below what was spent
+            remaining = spent >= limit.dailyLimit
+                ? 0
+                : limit.dailyLimit - spent;
+            for (
+                uint256 h = hour + 1 - SPENDING_BUCKETS;
+                spent > 0 && h <= hour;
+                h++
+            ) {
+                SpendingWindow storage bucket = buckets[h % SPENDING_BUCKETS];
+                if (bucket.hour == h && bucket.spent > 0) {
+                    resetsAt = (h + SPENDING_BUCKETS) * SPENDING_BUCKET;
+                    break;
+                }
+            }
+        }
+        if (limit.maxTransfer > 0 && limit.maxTransfer < remaining) {
+            remaining = limit.maxTransfer;
+        }
+    }
+
+    // Checks shared by every signed request; marks it processed
+    function _useRequest(TransferRequest memory _request) internal {
+        require(
+            _request.sender != address(0),
+            "Hurupay: invalid sender address"
+        );
+        require(
+            _request.recipient != address(0),
+            "Hurupay: invalid recipient address"
+        );
+        require(
+            _request.amount > 0,
+            "Hurupay: amount must be greater than zero"
+        );
+        _checkNotBlocked(_request.sender, _request.recipient);
+        _useRequestId(_request.requestId, _request.sender, _request.deadline);
+    }
+
+    // Expiry, replay and cancellation checks; marks the request processed
+    function _useRequestId(
+        bytes32 _requestId,
+        address _sender,
+        uint256 _deadline
+    ) internal {
+        require(block.timestamp <= _deadline, "Hurupay: transaction expired");
+        require(
+            !processedRequests[_requestId],
+            "Hurupay: request already processed"
+        );
+        require(
+            !cancelledRequests[_sender][_requestId],
+            "Hurupay: request cancelled"
+        );
+
+        // Mark request as processed first (follow checks-effects-interactions)
+        processedRequests[_requestId] = true;
+    }
+
+    // Pulls `_amount` from the sender and pays the recipient net of the fee.
+    // ownerFee is the part of the fee that went to accumulatedFees.
+    function _transferWithFee(
+        address _token,
+        address _sender,
+        address _recipient,
+        uint256 _amount,
+        address _relayer
+    ) internal returns (FeeQuote memory quote, uint256 ownerFee) {
+        _useSpendingLimit(_sender, _token, _amount);
+
+        // Calculate fee (reverts for unsupported tokens)
+        quote = getFeeQuote(_token, _sender, _recipient, _amount);
+
+        // Using SafeERC20 (interactions last)
+        IERC20 token = IERC20(_token);
+        token.safeTransferFrom(_sender, address(this), _amount);
+        ownerFee = _creditFee(_token, quote.fee, _relayer); // Effects
+        token.safeTransfer(_recipient, quote.amountAfterFee);
+
+        emit Transfer(
+            _sender,
+            _recipient,
+            _token,
+            quote.amountAfterFee,
+            quote.fee
+        );
+    }
+
+    function _setSupportedToken(address _token, bool _supported) internal {
+        require(_token != address(0), "Hurupay: invalid token address");
+        TokenConfig storage config = tokenConfigs[_token];
+        require(config.supported != _supported, "Hurupay: token unchanged");
+        if (_supported && !_isListed(_token)) tokenList.push(_token);
+        config.supported = _supported;
+        emit TokenSupportUpdated(_token, _supported);
+    }
+
+    function _isListed(address _token) internal view returns (bool) {
+        for (uint256 i = 0; i < tokenList.length; i++) {
+            if (tokenList[i] == _token) return true;
+        }
+        return false;
+    }
+
+    function _checkNotBlocked(
+        address _sender,
+        address _recipient
+    ) internal view {
+        require(!blocked[_sender], "Hurupay: sender blocked");
+        require(!blocked[_recipient], "Hurupay: recipient blocked");
+    }
+
+    // Moves the token's accumulated fees to the beneficiaries by their
+    // shares, the last one taking the rounding
+    function _distributeFees(
+        address _token
+    ) internal returns (uint256 amount) {
+        amount = accumulatedFees[_token];
+        if (amount == 0) return 0;
+        accumulatedFees[_token] = 0;
+        totalClaimableFees[_token] += amount;
+
+        uint256 left = amount;
+        uint256 count = beneficiaries.length;
+        for (uint256 i = 0; i < count; i++) {
+            Beneficiary storage beneficiary = beneficiaries[i];
+            uint256 share = i == count - 1
+                ? left
+                : (amount * beneficiary.shareBps) / BASIS_POINTS;
+            left -= share;
+            claimableFees[beneficiary.account][_token] += share;
+            emit FeesAllocated(beneficiary.account, _token, share);
+        }
+        emit FeesDistributed(_token, amount);
+    }
+
+    // Counts `_amount` against the sender's limits in the token
+    function _useSpendingLimit(
+        address _sender,
+        address _token,
+        uint256 _amount
+    ) internal {
+        SpendingLimit memory limit = getSpendingLimit(_sender, _token);
+        require(
+            limit.maxTransfer == 0 || _amount <= limit.maxTransfer,
+            "Hurupay: amount exceeds transfer limit"
+        );
+        if (limit.dailyLimit == 0) return;
+
+        SpendingWindow[SPENDING_BUCKETS] storage buckets = spendingBuckets[
+            _sender
+        ][_token];
+        uint256 hour = block.timestamp / SPENDING_BUCKET;
+        uint256 spent = _spentInWindow(
+            spendingWindows[_sender][_token],
+            buckets,
+            hour
+        ) + _amount;
+        require(spent <= limit.dailyLimit, "Hurupay: daily limit exceeded");
+
+        spendingWindows[_sender][_token] = SpendingWindow(
+            uint64(hour),
+            SafeCast.toUint192(spent)
+        );
+        // The bucket's own total never exceeds the window's
+        SpendingWindow storage bucket = buckets[hour % SPENDING_BUCKETS];
+        uint256 bucketSpent = (bucket.hour == hour ? bucket.spent : 0) +
+            _amount;
+        buckets[hour % SPENDING_BUCKETS] = SpendingWindow(
+            uint64(hour),
+            uint192(bucketSpent)
+        );
+    }
+
+    // The window's total as of `_hour`: what it held when last updated less
+    // the buckets that have left it since
+    function _spentInWindow(
+        SpendingWindow memory _window,
+        SpendingWindow[SPENDING_BUCKETS] storage _buckets,
+        uint256 _hour
+    ) internal view returns (uint256 spent) {
+        if (_hour - _window.hour >= SPENDING_BUCKETS) return 0;
+        spent = _window.spent;
+        for (uint256 h = _window.hour + 1; h <= _hour; h++) {
+            SpendingWindow storage bucket = _buckets[h % SPENDING_BUCKETS];
+            if (bucket.hour + SPENDING_BUCKETS == h) spent -= bucket.spent;
+        }
+    }
+
+    // Splits a collected fee between the submitting relayer and the owner.
+    // Without a relayer (zero address) the owner gets all of it.
+    function _creditFee(
+        address _token,
+        uint256 _fee,
+        address _relayer
+    ) internal returns (uint256 ownerFee) {
+        uint256 relayerFee = _relayer == address(0)
+            ? 0
+            : (_fee * relayerFeeShare) / BASIS_POINTS;
+        if (relayerFee > 0) {
+            relayerFees[_relayer][_token] += relayerFee;
+            totalRelayerFees[_token] += relayerFee;
+            emit RelayerFeeCredited(_relayer, _token, relayerFee);
+        }
+        ownerFee = _fee - relayerFee;
+        accumulatedFees[_token] += ownerFee;
+    }
+
+    // Accepts ECDSA signatures from EOAs and ERC-1271 signatures from
+    // contract wallets (e.g. Safe)
+    function _verifySignature(
+        address _signer,
+        bytes32 _structHash,
+        bytes memory _signature
+    ) internal view {
+        bytes32 hash = _hashTypedDataV4(_structHash);
+        require(
+            SignatureChecker.isValidSignatureNow(_signer, hash, _signature),
+            "Hurupay: invalid signature"
+        );
+    }
+}
@@ -0,0 +1,279 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+import "./HurupayBase.sol";
+
+// Admin configuration of HurupaySmartContract, reached through its
+// delegating stubs. Only meaningful when called that way: called directly it
+// sees its own, empty storage and its own EIP-712 domain.
+contract HurupayExtension is HurupayBase {
+    using SafeERC20 for IERC20;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    // Schedules a timelocked admin call; `_data` is its exact calldata
+    function proposeAction(
+        bytes calldata _data
+    ) external onlyOwner returns (bytes32 actionId) {
+        actionId = keccak256(_data);
+        require(
+            pendingActions[actionId] == 0,
+            "Hurupay: action already proposed"
+        );
+        uint256 readyAt = block.timestamp + adminDelay;
+        pendingActions[actionId] = readyAt;
+        emit ActionProposed(actionId, _data, readyAt);
+    }
+
+    function cancelAction(bytes32 _actionId) external onlyOwner {
+        require(pendingActions[_actionId] != 0, "Hurupay: action not proposed");
+        delete pendingActions[_actionId];
+        emit ActionCancelled(_actionId);
+    }
+
+    function updateAdminDelay(
+        uint256 _newDelay
+    ) external onlyOwner timelocked {
+        require(
+            _newDelay >= MIN_ADMIN_DELAY && _newDelay <= MAX_ADMIN_DELAY,
+            "Hurupay: invalid admin delay"
+        );
+        uint256 oldDelay = adminDelay;
+        adminDelay = _newDelay;
+        emit AdminDelayUpdated(oldDelay, _newDelay);
+    }
+
+    // Removing a token stops new transfers; fees already collected in it
+    // stay withdrawable
+    function setSupportedToken(
+        address _token,
+        bool _supported
+    ) external onlyOwner {
+        _setSupportedToken(_token, _supported);
+    }
+
+    function pause() external onlyGuardian {
+        require(!paused, "Hurupay: paused");
+        paused = true;
+        emit Paused(msg.sender);
+    }
+
+    function unpause() external onlyGuardian {
+        require(paused, "Hurupay: not paused");
+        paused = false;
+        emit Unpaused(msg.sender);
+    }
+
+    function setGuardian(address _guardian) external onlyOwner {
+        require(_guardian != address(0), "Hurupay: invalid guardian address");
+        emit GuardianUpdated(guardian, _guardian);
+        guardian = _guardian;
+    }
+
+    function setBlocked(address _account, bool _blocked) external onlyOwner {
+        require(_account != address(0), "Hurupay: invalid account address");
+        blocked[_account] = _blocked;
+        emit BlockedUpdated(_account, _blocked);
+    }
+
+    // Replaces the fee revenue split. Shares must total 100%; pass an empty
+    // array to have withdrawFees pay owner() again. Fees are split by the
+    // shares in force when they are distributed.
+    function setBeneficiaries(
+        Beneficiary[] calldata _beneficiaries
+    ) external onlyOwner timelocked {
+        require(
+            _beneficiaries.length <= MAX_BENEFICIARIES,
+            "Hurupay: too many beneficiaries"
+        );
+        delete beneficiaries;
+        uint256 total;
+        for (uint256 i = 0; i < _beneficiaries.length; i++) {
+            require(
+                _beneficiaries[i].account != address(0),
+                "Hurupay: invalid beneficiary address"
+            );
+            require(_beneficiaries[i].shareBps > 0, "Hurupay: invalid share");
+            total += _beneficiaries[i].shareBps;
+            beneficiaries.push(_beneficiaries[i]);
+        }
+        require(
+            _beneficiaries.length == 0 || total == BASIS_POINTS,
+            "Hurupay: shares must total 100%"
+        );
+        emit BeneficiariesUpdated(_beneficiaries);
+    }
+
+    // Default limits of every sender in the token; zero disables a limit
+    function setSpendingLimit(
+        address _token,
+        uint256 _dailyLimit,
+        uint256 _maxTransfer
+    ) external onlyOwner {
+        require(_token != address(0), "Hurupay: invalid token address");
+        spendingLimits[_token] = SpendingLimit(true, _dailyLimit, _maxTransfer);
+        emit SpendingLimitUpdated(_token, _dailyLimit, _maxTransfer);
+    }
+
+    // Limits of one sender in the token, e.g. a higher cap for a verified
+    // business; disabling falls back to the token's limits
+    function setSenderSpendingLimit(
+        address _sender,
+        address _token,
+        bool _enabled,
+        uint256 _dailyLimit,
+        uint256 _maxTransfer
+    ) external onlyOwner {
+        require(_sender != address(0), "Hurupay: invalid sender address");
+        require(_token != address(0), "Hurupay: invalid token address");
+        senderSpendingLimits[_sender][_token] = SpendingLimit(
+            _enabled,
+            _dailyLimit,
+            _maxTransfer
+        );
+        emit SenderSpendingLimitUpdated(
+            _sender,
+            _token,
+            _enabled,
+            _dailyLimit,
+            _maxTransfer
+        );
+    }
+
+    function setRelayer(address _relayer, bool _authorized) external onlyOwner {
+        require(_relayer != address(0), "Hurupay: invalid relayer address");
+        authorizedRelayers[_relayer] = _authorized;
+        emit RelayerUpdated(_relayer, _authorized);
+    }
+
+    function setOpenRelaying(bool _enabled) external onlyOwner {
+        openRelaying = _enabled;
+        emit OpenRelayingUpdated(_enabled);
+    }
+
+    function updateRelayerFeeShare(
+        uint256 _newShare
+    ) external onlyOwner timelocked {
+        require(_newShare <= BASIS_POINTS, "Hurupay: share too high");
+        uint256 oldShare = relayerFeeShare;
+        relayerFeeShare = _newShare;
+        emit RelayerFeeShareUpdated(oldShare, _newShare);
+    }
+
+    function updateFee(
+        uint256 _newFeePercentage
+    ) external onlyOwner timelocked {
+        require(
+            _newFeePercentage <= MAX_FEE_PERCENTAGE,
+            "Hurupay: fee too high"
+        );
+        require(_newFeePercentage != feePercentage, "Hurupay: fee unchanged");
+        uint256 oldFee = feePercentage;
+        feePercentage = _newFeePercentage;
+        emit FeeUpdated(oldFee, _newFeePercentage);
+    }
+
+    // Replaces the token's whole tier table, minAmounts in the token's own
+    // units; pass an empty array to drop its tiers
+    function setFeeTiers(
+        address _token,
+        FeeTier[] calldata _tiers
+    ) external onlyOwner timelocked {
+        require(tokenConfigs[_token].supported, "Hurupay: unsupported token");
+        delete tokenFeeTiers[_token];
+        FeeTier[] storage tiers = tokenFeeTiers[_token];
+        for (uint256 i = 0; i < _tiers.length; i++) {
+            require(
+                _tiers[i].feeBps <= MAX_FEE_PERCENTAGE,
+                "Hurupay: fee too high"
+            );
+            require(
+                i == 0 || _tiers[i].minAmount > _tiers[i - 1].minAmount,
+                "Hurupay: tiers not sorted"
+            );
+            tiers.push(_tiers[i]);
+        }
+        emit FeeTiersUpdated(_token, _tiers);
+    }
+
+    // Flat rate for one token, replacing tiers and feePercentage for it
+    function updateTokenFee(
+        address _token,
+        bool _customFee,
+        uint256 _feeBps
+    ) external onlyOwner timelocked {
+        require(tokenConfigs[_token].supported, "Hurupay: unsupported token");
+        require(_feeBps <= MAX_FEE_PERCENTAGE, "Hurupay: fee too high");
+        tokenConfigs[_token].customFee = _customFee;
+        tokenConfigs[_token].feeBps = _feeBps;
+        emit TokenFeeUpdated(_token, _customFee, _feeBps);
+    }
+
+    // Absolute fee bounds in the token's own units
+    function updateFeeLimits(
+        address _token,
+        uint256 _minFee,
+        uint256 _maxFee
+    ) external onlyOwner timelocked {
+        require(tokenConfigs[_token].supported, "Hurupay: unsupported token");
+        require(
+            _maxFee == 0 || _maxFee >= _minFee,
+            "Hurupay: invalid fee limits"
+        );
+        tokenConfigs[_token].minFee = _minFee;
+        tokenConfigs[_token].maxFee = _maxFee;
+        emit FeeLimitsUpdated(_token, _minFee, _maxFee);
+    }
+
+    function setRecipientFeeOverride(
+        address _recipient,
+        bool _enabled,
+        uint256 _feeBps
+    ) external onlyOwner timelocked {
+        require(_recipient != address(0), "Hurupay: invalid recipient address");
+        require(_feeBps <= MAX_FEE_PERCENTAGE, "Hurupay: fee too high");
+        recipientFeeOverrides[_recipient] = FeeOverride(_enabled, _feeBps);
+        emit RecipientFeeOverrideUpdated(_recipient, _enabled, _feeBps);
+    }
+
+    function setSenderFeeOverride(
+        address _sender,
+        bool _enabled,
+        uint256 _feeBps
+    ) external onlyOwner timelocked {
+        require(_sender != address(0), "Hurupay: invalid sender address");
+        require(_feeBps <= MAX_FEE_PERCENTAGE, "Hurupay: fee too high");
+        senderFeeOverrides[_sender] = FeeOverride(_enabled, _feeBps);
+        emit SenderFeeOverrideUpdated(_sender, _enabled, _feeBps);
+    }
+
+    function recoverERC20(
+        address _token
+    ) external onlyOwner timelocked nonReentrant {
+        require(_token != address(0), "Hurupay: invalid token address");
+
+        IERC20 token = IERC20(_token);
+        uint256 balance = token.balanceOf(address(this));
+
+        // Exclude fees owed to the owner, beneficiaries and relayers, and
+        // escrowed funds
+        uint256 reserved = accumulatedFees[_token] +
+            totalClaimableFees[_token] +
+            totalRelayerFees[_token] +
+            totalEscrowed[_token];
+        if (reserved > 0) {
+            require(
+                balance > reserved,
+                "Hurupay: only accumulated fees available"
+            );
+            balance -= reserved;
+        }
+
+        require(balance > 0, "Hurupay: no tokens to recover");
+
+        // Using SafeERC20
+        token.safeTransfer(owner(), balance);
+    }
+}
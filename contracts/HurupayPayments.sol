@@ -0,0 +1,513 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+import "./HurupayBase.sol";
+
+// Payment flows of HurupaySmartContract other than plain signed transfers
+// (escrow, schedules, split payments, invoices and refunds), reached through
+// its delegating stubs. Like HurupayExtension, only meaningful when called
+// that way.
+contract HurupayPayments is HurupayBase {
+    using SafeERC20 for IERC20;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    // Locks the signed amount in the contract until it is released to the
+    // recipient or refunded to the sender
+    function executeEscrowWithSignature(
+        EscrowRequest calldata _request
+    ) external nonReentrant whenNotPaused onlyRelayer returns (bool) {
+        TransferRequest memory request = _request.transfer;
+        _useRequest(request);
+        require(
+            _request.refundAfter > block.timestamp,
+            "Hurupay: invalid refund time"
+        );
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                ESCROW_TYPEHASH,
+                request.requestId,
+                request.sender,
+                request.recipient,
+                request.token,
+                request.amount,
+                _request.arbiter,
+                _request.refundAfter,
+                request.deadline,
+                nonces[request.sender],
+                block.chainid
+            )
+        );
+        _verifySignature(request.sender, structHash, request.signature);
+
+        // Fee is fixed now so neither party is exposed to later fee changes
+        uint256 fee = calculateFeeFor(
+            request.token,
+            request.sender,
+            request.recipient,
+            request.amount
+        );
+        escrows[request.requestId] = Escrow({
+            sender: request.sender,
+            recipient: request.recipient,
+            token: request.token,
+            arbiter: _request.arbiter,
+            relayer: msg.sender,
+            amount: request.amount,
+            fee: fee,
+            refundAfter: _request.refundAfter,
+            status: EscrowStatus.Locked
+        });
+        totalEscrowed[request.token] += request.amount;
+        _useSpendingLimit(request.sender, request.token, request.amount);
+
+        IERC20(request.token).safeTransferFrom(
+            request.sender,
+            address(this),
+            request.amount
+        );
+
+        emit EscrowCreated(
+            request.requestId,
+            request.sender,
+            request.recipient,
+            request.token,
+            request.amount,
+            _request.arbiter,
+            _request.refundAfter
+        );
+        return true;
+    }
+
+    // Pays the recipient, less the fee. By the sender while locked, or by
+    // the arbiter at any time.
+    function releaseEscrow(
+        bytes32 _requestId
+    ) external nonReentrant whenNotPaused {
+        Escrow storage escrow = escrows[_requestId];
+        if (escrow.status == EscrowStatus.Locked) {
+            require(
+                msg.sender == escrow.sender || msg.sender == escrow.arbiter,
+                "Hurupay: not allowed to release"
+            );
+        } else {
+            require(
+                escrow.status == EscrowStatus.Disputed,
+                "Hurupay: escrow not active"
+            );
+            require(
+                msg.sender == escrow.arbiter,
+                "Hurupay: not allowed to release"
+            );
+        }
+        _checkNotBlocked(escrow.sender, escrow.recipient);
+
+        escrow.status = EscrowStatus.Released;
+        totalEscrowed[escrow.token] -= escrow.amount;
+        uint256 amountAfterFee = escrow.amount - escrow.fee;
+        _creditFee(escrow.token, escrow.fee, escrow.relayer);
+
+        IERC20(escrow.token).safeTransfer(escrow.recipient, amountAfterFee);
+
+        emit EscrowReleased(_requestId, msg.sender, amountAfterFee, escrow.fee);
+        emit Transfer(
+            escrow.sender,
+            escrow.recipient,
+            escrow.token,
+            amountAfterFee,
+            escrow.fee
+        );
+    }
+
+    // Returns the full amount to the sender. By the recipient or arbiter
+    // while locked (by anyone once refundAfter has passed), and only by the
+    // arbiter once disputed.
+    function refundEscrow(
+        bytes32 _requestId
+    ) external nonReentrant whenNotPaused {
+        Escrow storage escrow = escrows[_requestId];
+        if (escrow.status == EscrowStatus.Locked) {
+            require(
+                msg.sender == escrow.recipient ||
+                    msg.sender == escrow.arbiter ||
+                    block.timestamp >= escrow.refundAfter,
+                "Hurupay: not allowed to refund"
+            );
+        } else {
+            require(
+                escrow.status == EscrowStatus.Disputed,
+                "Hurupay: escrow not active"
+            );
+            require(
+                msg.sender == escrow.arbiter,
+                "Hurupay: not allowed to refund"
+            );
+        }
+        // Either party blocked freezes the escrow, as for a release
+        _checkNotBlocked(escrow.sender, escrow.recipient);
+
+        escrow.status = EscrowStatus.Refunded;
+        totalEscrowed[escrow.token] -= escrow.amount;
+
+        IERC20(escrow.token).safeTransfer(escrow.sender, escrow.amount);
+
+        emit EscrowRefunded(_requestId, msg.sender, escrow.amount);
+    }
+
+    // Hands the decision to the arbiter and stops the timeout refund
+    function disputeEscrow(bytes32 _requestId) external whenNotPaused {
+        Escrow storage escrow = escrows[_requestId];
+        require(
+            escrow.status == EscrowStatus.Locked,
+            "Hurupay: escrow not active"
+        );
+        require(
+            msg.sender == escrow.sender || msg.sender == escrow.recipient,
+            "Hurupay: not allowed to dispute"
+        );
+        require(escrow.arbiter != address(0), "Hurupay: no arbiter");
+
+        escrow.status = EscrowStatus.Disputed;
+        emit EscrowDisputed(_requestId, msg.sender);
+    }
+
+    // Pays several recipients under one signed request. The fee is quoted
+    // once on the total (recipient overrides do not apply) and shared by
+    // the payees in proportion to their amounts, the last one taking the
+    // rounding.
+    function executeSplitTransferWithSignature(
+        SplitRequest calldata _request
+    ) external nonReentrant whenNotPaused onlyRelayer returns (bool) {
+        Payee[] calldata payees = _request.payees;
+        require(
+            payees.length > 0 && payees.length <= MAX_SPLIT_PAYEES,
+            "Hurupay: invalid payee count"
+        );
+        require(
+            _request.sender != address(0),
+            "Hurupay: invalid sender address"
+        );
+
+        uint256 total;
+        bytes32[] memory payeeHashes = new bytes32[](payees.length);
+        for (uint256 i = 0; i < payees.length; i++) {
+            require(
+                payees[i].recipient != address(0),
+                "Hurupay: invalid recipient address"
+            );
+            require(
+                payees[i].amount > 0,
+                "Hurupay: amount must be greater than zero"
+            );
+            _checkNotBlocked(_request.sender, payees[i].recipient);
+            total += payees[i].amount;
+            payeeHashes[i] = keccak256(
+                abi.encode(
+                    PAYEE_TYPEHASH,
+                    payees[i].recipient,
+                    payees[i].amount
+                )
+            );
+        }
+        _useRequestId(_request.requestId, _request.sender, _request.deadline);
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                SPLIT_TYPEHASH,
+                _request.requestId,
+                _request.sender,
+                _request.token,
+                keccak256(abi.encodePacked(payeeHashes)),
+                _request.deadline,
+                nonces[_request.sender],
+                block.chainid
+            )
+        );
+        _verifySignature(_request.sender, structHash, _request.signature);
+
+        _useSpendingLimit(_request.sender, _request.token, total);
+        uint256 feeLeft = getFeeQuote(
+            _request.token,
+            _request.sender,
+            address(0),
+            total
+        ).fee;
+        IERC20 token = IERC20(_request.token);
+        token.safeTransferFrom(_request.sender, address(this), total);
+        _creditFee(_request.token, feeLeft, msg.sender);
+
+        uint256 remaining = total;
+        for (uint256 i = 0; i < payees.length; i++) {
+            uint256 amount = payees[i].amount;
+            uint256 fee = (feeLeft * amount) / remaining;
+            require(fee < amount, "Hurupay: fee exceeds amount");
+            feeLeft -= fee;
+            remaining -= amount;
+
+            token.safeTransfer(payees[i].recipient, amount - fee);
+            emit Transfer(
+                _request.sender,
+                payees[i].recipient,
+                _request.token,
+                amount - fee,
+                fee
+            );
+            emit SplitPayment(
+                _request.requestId,
+                _request.sender,
+                payees[i].recipient,
+                _request.token,
+                amount,
+                fee
+            );
+        }
+        return true;
+    }
+
+    // Settles a merchant-signed invoice from the caller's balance. The
+    // merchant is paid net of the fee, as for any signed transfer.
+    function payInvoice(
+        Invoice calldata _invoice,
+        bytes calldata _signature
+    ) external nonReentrant whenNotPaused returns (bool) {
+        require(
+            _invoice.merchant != address(0),
+            "Hurupay: invalid recipient address"
+        );
+        require(
+            _invoice.payer == address(0) || _invoice.payer == msg.sender,
+            "Hurupay: invoice is for another payer"
+        );
+        require(
+            _invoice.amount > 0,
+            "Hurupay: amount must be greater than zero"
+        );
+        require(block.timestamp <= _invoice.expiry, "Hurupay: invoice expired");
+        _checkNotBlocked(msg.sender, _invoice.merchant);
+
+        InvoiceStatus status = invoices[_invoice.merchant][_invoice.invoiceId];
+        require(status != InvoiceStatus.Paid, "Hurupay: invoice already paid");
+        require(status != InvoiceStatus.Void, "Hurupay: invoice void");
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                INVOICE_TYPEHASH,
+                _invoice.invoiceId,
+                _invoice.merchant,
+                _invoice.payer,
+                _invoice.token,
+                _invoice.amount,
+                _invoice.expiry,
+                _invoice.memo,
+                block.chainid
+            )
+        );
+        _verifySignature(_invoice.merchant, structHash, _signature);
+
+        invoices[_invoice.merchant][_invoice.invoiceId] = InvoiceStatus.Paid;
+        (FeeQuote memory quote, ) = _transferWithFee(
+            _invoice.token,
+            msg.sender,
+            _invoice.merchant,
+            _invoice.amount,
+            address(0) // no relayer
+        );
+
+        emit InvoicePaid(
+            _invoice.merchant,
+            _invoice.invoiceId,
+            msg.sender,
+            _invoice.token,
+            _invoice.amount,
+            quote.fee,
+            _invoice.memo
+        );
+        return true;
+    }
+
+    // Lets a merchant withdraw one of their invoices before it is paid
+    function voidInvoice(bytes32 _invoiceId) external {
+        InvoiceStatus status = invoices[msg.sender][_invoiceId];
+        require(status != InvoiceStatus.Paid, "Hurupay: invoice already paid");
+        require(status != InvoiceStatus.Void, "Hurupay: invoice void");
+        invoices[msg.sender][_invoiceId] = InvoiceStatus.Void;
+        emit InvoiceVoided(msg.sender, _invoiceId);
+    }
+
+    // Pays the next due occurrence of a signed schedule. Any relayer can
+    // call it; bumping the sender's nonce invalidates the schedule.
+    function executeScheduledPayment(
+        PaymentSchedule calldata _schedule
+    ) external nonReentrant whenNotPaused onlyRelayer returns (bool) {
+        require(
+            _schedule.sender != address(0),
+            "Hurupay: invalid sender address"
+        );
+        require(
+            _schedule.recipient != address(0),
+            "Hurupay: invalid recipient address"
+        );
+        require(
+            _schedule.amount > 0,
+            "Hurupay: amount must be greater than zero"
+        );
+        require(
+            _schedule.period > 0 && _schedule.maxOccurrences > 0,
+            "Hurupay: invalid schedule"
+        );
+        _checkNotBlocked(_schedule.sender, _schedule.recipient);
+
+        ScheduleState storage state = schedules[_schedule.sender][
+            _schedule.scheduleId
+        ];
+        require(!state.revoked, "Hurupay: schedule revoked");
+        require(block.timestamp >= _schedule.start, "Hurupay: payment not due");
+        // Only the current period's occurrence is payable, so a relayer
+        // cannot pull several periods' funds at once after a gap
+        uint256 occurrence = (block.timestamp - _schedule.start) /
+            _schedule.period;
+        require(
+            state.executed < _schedule.maxOccurrences &&
+                occurrence < _schedule.maxOccurrences,
+            "Hurupay: schedule completed"
+        );
+        require(occurrence >= state.executed, "Hurupay: payment not due");
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                SCHEDULE_TYPEHASH,
+                _schedule.scheduleId,
+                _schedule.sender,
+                _schedule.recipient,
+                _schedule.token,
+                _schedule.amount,
+                _schedule.period,
+                _schedule.start,
+                _schedule.maxOccurrences,
+                nonces[_schedule.sender],
+                block.chainid
+            )
+        );
+        _verifySignature(_schedule.sender, structHash, _schedule.signature);
+
+        state.executed = occurrence + 1;
+        (FeeQuote memory quote, ) = _transferWithFee(
+            _schedule.token,
+            _schedule.sender,
+            _schedule.recipient,
+            _schedule.amount,
+            msg.sender
+        );
+
+        emit ScheduledPaymentExecuted(
+            _schedule.scheduleId,
+            _schedule.sender,
+            _schedule.recipient,
+            occurrence,
+            quote.amountAfterFee,
+            quote.fee
+        );
+        return true;
+    }
+
+    // Stops the caller's schedule; occurrences already paid are unaffected
+    function revokeSchedule(bytes32 _scheduleId) external {
+        ScheduleState storage state = schedules[msg.sender][_scheduleId];
+        require(!state.revoked, "Hurupay: schedule revoked");
+        state.revoked = true;
+        emit ScheduleRevoked(msg.sender, _scheduleId);
+    }
+
+    // Lets the recipient of a signed transfer send all or part of what it
+    // received back to the sender. `_transfer` must be exactly what the
+    // transfer paid out (see HurupayClient.getRefundableTransfer).
+    function refundTransfer(
+        RefundableTransfer calldata _transfer,
+        uint256 _amount
+    ) external nonReentrant whenNotPaused {
+        require(
+            msg.sender == _transfer.recipient,
+            "Hurupay: caller is not the recipient"
+        );
+        _checkRefundable(_transfer);
+        require(_amount > 0, "Hurupay: amount must be greater than zero");
+        _checkNotBlocked(_transfer.sender, msg.sender);
+
+        uint256 refunded = refundedAmounts[_transfer.requestId] + _amount;
+        require(
+            refunded <= _transfer.netAmount,
+            "Hurupay: refund exceeds amount"
+        );
+        refundedAmounts[_transfer.requestId] = refunded;
+
+        IERC20(_transfer.token).safeTransferFrom(
+            msg.sender,
+            _transfer.sender,
+            _amount
+        );
+
+        emit TransferRefunded(
+            _transfer.requestId,
+            _transfer.sender,
+            msg.sender,
+            _transfer.token,
+            _amount,
+            0
+        );
+    }
+
+    // Pays the sender the part of ownerFee matching what the recipient has
+    // refunded so far, out of the collected fees. Owner only: the fees are
+    // the owner's, so a recipient cannot hand them to a sender.
+    function refundTransferFee(
+        RefundableTransfer calldata _transfer
+    ) external onlyOwner nonReentrant whenNotPaused {
+        _checkRefundable(_transfer);
+        _checkNotBlocked(_transfer.sender, _transfer.recipient);
+
+        // Rounded down, so fee refunds never add up to more than ownerFee
+        uint256 feeRefund = (_transfer.ownerFee *
+            refundedAmounts[_transfer.requestId]) /
+            _transfer.netAmount -
+            refundedFees[_transfer.requestId];
+        require(feeRefund > 0, "Hurupay: no fee to refund");
+        require(
+            accumulatedFees[_transfer.token] >= feeRefund,
+            "Hurupay: insufficient fees to refund"
+        );
+        refundedFees[_transfer.requestId] += feeRefund;
+        accumulatedFees[_transfer.token] -= feeRefund;
+
+        IERC20(_transfer.token).safeTransfer(_transfer.sender, feeRefund);
+
+        emit TransferRefunded(
+            _transfer.requestId,
+            _transfer.sender,
+            _transfer.recipient,
+            _transfer.token,
+            0,
+            feeRefund
+        );
+    }
+
+    function _checkRefundable(
+        RefundableTransfer calldata _transfer
+    ) internal view {
+        require(
+            transferDigests[_transfer.requestId] ==
+                keccak256(
+                    abi.encode(
+                        _transfer.sender,
+                        _transfer.recipient,
+                        _transfer.token,
+                        _transfer.netAmount,
+                        _transfer.ownerFee
+                    )
+                ),
+            "Hurupay: transfer not refundable"
+        );
+    }
+}
@@ -1,45 +1,43 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.28;
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
-import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-
-contract HurupaySmartContract is ReentrancyGuard, EIP712, Ownable {
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "./HurupayBase.sol";
+
+// Deployed behind an ERC-1967 proxy (UUPS). The proxy address, its storage
+// and the EIP-712 domain stay the same across upgrades.
+contract HurupaySmartContract is HurupayBase, UUPSUpgradeable {
     using SafeERC20 for IERC20;
 
-    IERC20 public usdc;
-    uint256 public feePercentage;
-    uint256 public constant MAX_FEE_PERCENTAGE = 500; // 5% max fee
-    uint256 public accumulatedFees;
-
-    mapping(bytes32 => bool) public processedRequests;
-
-    // Events remain the same
-    event Transfer(
-        address indexed from,
-        address indexed to,
-        uint256 amount,
-        uint256 fee
-    );
-    event FeeUpdated(uint256 oldFee, uint256 newFee);
-    event FeesWithdrawn(address indexed owner, uint256 amount);
-
-    // Define EIP-712 typehash
-    bytes32 public constant TRANSFER_TYPEHASH =
-        keccak256(
-            "Transfer(bytes32 requestId,address sender,address recipient,uint256 amount,uint256 deadline,uint256 chainId)"
+    // Implements the functions under "Extension" and "Payments" below. Keeps
+    // this contract under the EIP-170 size limit; runs against the proxy's
+    // storage. Part of the implementation, so an upgrade can bring new ones.
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address public immutable extension;
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address public immutable payments;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _extension, address _payments) {
+        require(
+            _extension != address(0),
+            "Hurupay: invalid extension address"
         );
+        require(_payments != address(0), "Hurupay: invalid payments address");
+        extension = _extension;
+        payments = _payments;
+        _disableInitializers();
+    }
 
-    constructor(
+    function initialize(
         address _usdcAddress,
         uint256 _initialFeePercentage
-    )
-        EIP712("Hurupay", "1") // Name and version for EIP-712
-        Ownable(msg.sender) // Set owner explicitly
-    {
+    ) external initializer {
+        __ReentrancyGuard_init();
+        __EIP712_init("Hurupay", "1"); // Name and version for EIP-712
+        __Ownable_init(msg.sender); // Set owner explicitly
+        __Ownable2Step_init();
+        __UUPSUpgradeable_init();
+
         require(_usdcAddress != address(0), "Hurupay: invalid USDC address");
         require(
             _initialFeePercentage <= MAX_FEE_PERCENTAGE,
@@ -47,29 +45,70 @@ contract HurupaySmartContract is ReentrancyGuard, EIP712, Ownable {
         );
         usdc = IERC20(_usdcAddress);
         feePercentage = _initialFeePercentage;
+        _setSupportedToken(_usdcAddress, true);
+        openRelaying = true; // Owner can restrict to authorized relayers later
+        adminDelay = 2 days;
+        guardian = msg.sender; // Owner should hand this to a separate key
     }
 
-    function getBalance(address _user) external view returns (uint256) {
-        return usdc.balanceOf(_user);
+    // Upgrades go through the timelock like other sensitive admin calls:
+    // propose upgradeToAndCall(newImplementation, data), then make it.
+    function _authorizeUpgrade(
+        address
+    ) internal override onlyOwner timelocked {}
+
+    function getBalance(
+        address _token,
+        address _user
+    ) external view returns (uint256) {
+        return IERC20(_token).balanceOf(_user);
     }
 
-    function calculateFee(uint256 _amount) public view returns (uint256) {
-        uint256 fee = (_amount * feePercentage) / 10000;
-        require(fee < _amount, "Hurupay: fee exceeds amount");
-        return fee;
+    // Fee for an amount when neither party has a negotiated rate
+    function calculateFee(
+        address _token,
+        uint256 _amount
+    ) public view returns (uint256) {
+        return getFeeQuote(_token, address(0), address(0), _amount).fee;
+    }
+
+    // Tokens currently accepted by the contract
+    function getSupportedTokens() external view returns (address[] memory) {
+        uint256 count;
+        for (uint256 i = 0; i < tokenList.length; i++) {
+            if (tokenConfigs[tokenList[i]].supported) count++;
+        }
+        address[] memory tokens = new address[](count);
+        uint256 index;
+        for (uint256 i = 0; i < tokenList.length; i++) {
+            if (tokenConfigs[tokenList[i]].supported) {
+                tokens[index++] = tokenList[i];
+            }
+        }
+        return tokens;
+    }
+
+    function getFeeTiers(
+        address _token
+    ) external view returns (FeeTier[] memory) {
+        return tokenFeeTiers[_token];
     }
 
     // Fee-less direct transfer
     function transfer(
+        address _token,
         address _to,
         uint256 _amount
-    ) external nonReentrant returns (bool) {
+    ) external nonReentrant whenNotPaused returns (bool) {
         require(_to != address(0), "Hurupay: transfer to zero address");
         require(_amount > 0, "Hurupay: amount must be greater than zero");
+        require(tokenConfigs[_token].supported, "Hurupay: unsupported token");
+        _checkNotBlocked(msg.sender, _to);
+        _useSpendingLimit(msg.sender, _token, _amount);
 
         // Using SafeERC20
-        usdc.safeTransferFrom(msg.sender, _to, _amount);
-        emit Transfer(msg.sender, _to, _amount, 0); // Fee is 0
+        IERC20(_token).safeTransferFrom(msg.sender, _to, _amount);
+        emit Transfer(msg.sender, _to, _token, _amount, 0); // Fee is 0
         return true;
     }
 
@@ -77,94 +116,418 @@ contract HurupaySmartContract is ReentrancyGuard, EIP712, Ownable {
         bytes32 _requestId,
         address _sender,
         address _recipient,
+        address _token,
         uint256 _amount,
         uint256 _deadline,
         bytes memory _signature
-    ) external nonReentrant returns (bool) {
-        require(_sender != address(0), "Hurupay: invalid sender address");
-        require(_recipient != address(0), "Hurupay: invalid recipient address");
-        require(_amount > 0, "Hurupay: amount must be greater than zero");
-        require(block.timestamp <= _deadline, "Hurupay: transaction expired");
+    ) external nonReentrant whenNotPaused onlyRelayer returns (bool) {
+        _executeTransfer(
+            TransferRequest({
+                requestId: _requestId,
+                sender: _sender,
+                recipient: _recipient,
+                token: _token,
+                amount: _amount,
+                deadline: _deadline,
+                signature: _signature
+            }),
+            msg.sender
+        );
+        return true;
+    }
+
+    // Same as executeTransferWithSignature, but first applies the sender's
+    // EIP-2612 permit for the token, so no prior on-chain approve is needed
+    function executeTransferWithPermit(
+        TransferRequest calldata _request,
+        PermitSignature calldata _permit
+    ) external nonReentrant whenNotPaused onlyRelayer returns (bool) {
+        // A permit can be front-run by anyone who saw it in the mempool; that
+        // is fine as long as the allowance it grants is already in place
+        try
+            IERC20Permit(_request.token).permit(
+                _request.sender,
+                address(this),
+                _permit.value,
+                _permit.deadline,
+                _permit.v,
+                _permit.r,
+                _permit.s
+            )
+        {} catch {
+            require(
+                IERC20(_request.token).allowance(
+                    _request.sender,
+                    address(this)
+                ) >= _request.amount,
+                "Hurupay: permit failed"
+            );
+        }
+
+        _executeTransfer(_request, msg.sender);
+        return true;
+    }
+
+    // Executes several signed requests in one transaction. In atomic mode any
+    // failure reverts the whole batch; otherwise failed items are skipped and
+    // every item reports its outcome through BatchItemResult.
+    function executeBatchTransferWithSignature(
+        TransferRequest[] calldata _requests,
+        bool _atomic
+    )
+        external
+        nonReentrant
+        whenNotPaused
+        onlyRelayer
+        returns (uint256 successCount)
+    {
+        require(_requests.length > 0, "Hurupay: empty batch");
         require(
-            !processedRequests[_requestId],
-            "Hurupay: request already processed"
+            _requests.length <= MAX_BATCH_SIZE,
+            "Hurupay: batch too large"
         );
 
-        // Mark request as processed first (follow checks-effects-interactions)
-        processedRequests[_requestId] = true;
+        for (uint256 i = 0; i < _requests.length; i++) {
+            if (_atomic) {
+                _executeTransfer(_requests[i], msg.sender);
+                successCount++;
+                continue;
+            }
+
+            try this.executeBatchItem(_requests[i], msg.sender) {
+                successCount++;
+                emit BatchItemResult(i, _requests[i].requestId, true, "");
+            } catch (bytes memory reason) {
+                emit BatchItemResult(i, _requests[i].requestId, false, reason);
+            }
+        }
+    }
+
+    // External so a failing item can be rolled back on its own inside a
+    // non-atomic batch. Only callable by this contract.
+    function executeBatchItem(
+        TransferRequest calldata _request,
+        address _relayer
+    ) external {
+        require(msg.sender == address(this), "Hurupay: caller is not self");
+        _executeTransfer(_request, _relayer);
+    }
+
+    function _executeTransfer(
+        TransferRequest memory _request,
+        address _relayer
+    ) internal {
+        _useRequest(_request);
 
         // Verify signature using EIP-712
         bytes32 structHash = keccak256(
             abi.encode(
                 TRANSFER_TYPEHASH,
-                _requestId,
-                _sender,
-                _recipient,
-                _amount,
-                _deadline,
+                _request.requestId,
+                _request.sender,
+                _request.recipient,
+                _request.token,
+                _request.amount,
+                _request.deadline,
+                nonces[_request.sender],
                 block.chainid // Including chainId for cross-chain protection
             )
         );
+        _verifySignature(_request.sender, structHash, _request.signature);
 
-        bytes32 hash = _hashTypedDataV4(structHash);
-        address signer = ECDSA.recover(hash, _signature);
-        require(signer == _sender, "Hurupay: invalid signature");
+        (FeeQuote memory quote, uint256 ownerFee) = _transferWithFee(
+            _request.token,
+            _request.sender,
+            _request.recipient,
+            _request.amount,
+            _relayer
+        );
+        // What refundTransfer checks a refund against
+        transferDigests[_request.requestId] = keccak256(
+            abi.encode(
+                _request.sender,
+                _request.recipient,
+                _request.token,
+                quote.amountAfterFee,
+                ownerFee
+            )
+        );
 
-        // Calculate fee
-        uint256 fee = calculateFee(_amount);
-        uint256 amountAfterFee = _amount - fee;
+        emit SignedTransfer(
+            _request.requestId,
+            _relayer,
+            _request.sender,
+            _request.recipient,
+            _request.token,
+            _request.amount,
+            quote.amountAfterFee,
+            quote.fee,
+            quote.feeBps
+        );
+    }
 
-        // Using SafeERC20 (interactions last)
-        usdc.safeTransferFrom(_sender, address(this), _amount);
-        accumulatedFees += fee; // Effects
-        usdc.safeTransfer(_recipient, amountAfterFee);
+    // Lets a sender invalidate one of their signed requests before it is used
+    function cancelRequest(bytes32 _requestId) external {
+        _cancelRequest(msg.sender, _requestId);
+    }
 
-        emit Transfer(_sender, _recipient, amountAfterFee, fee);
-        return true;
+    // Relayer-submitted cancellation signed by the sender
+    function cancelRequestWithSignature(
+        bytes32 _requestId,
+        address _sender,
+        bytes memory _signature
+    ) external {
+        bytes32 structHash = keccak256(
+            abi.encode(CANCEL_TYPEHASH, _requestId, _sender, block.chainid)
+        );
+        _verifySignature(_sender, structHash, _signature);
+        _cancelRequest(_sender, _requestId);
     }
 
-    function withdrawFees() external onlyOwner nonReentrant {
-        uint256 amount = accumulatedFees;
+    // Invalidates every outstanding request signed by the caller
+    function incrementNonce() external {
+        uint256 newNonce = ++nonces[msg.sender];
+        emit NonceIncremented(msg.sender, newNonce);
+    }
+
+    function _cancelRequest(address _sender, bytes32 _requestId) internal {
+        require(
+            !processedRequests[_requestId],
+            "Hurupay: request already processed"
+        );
+        require(
+            !cancelledRequests[_sender][_requestId],
+            "Hurupay: request cancelled"
+        );
+        cancelledRequests[_sender][_requestId] = true;
+        emit RequestCancelled(_sender, _requestId);
+    }
+
+    // Pays the collected fees to owner(), or distributes them for the
+    // beneficiaries to claim once some are set
+    function withdrawFees(address _token) external onlyOwner nonReentrant {
+        if (beneficiaries.length > 0) {
+            require(_distributeFees(_token) > 0, "Hurupay: no fees to withdraw");
+            return;
+        }
+
+        uint256 amount = accumulatedFees[_token];
         require(amount > 0, "Hurupay: no fees to withdraw");
 
         // Effects before interactions
-        accumulatedFees = 0;
+        accumulatedFees[_token] = 0;
 
         // Using SafeERC20
-        usdc.safeTransfer(owner(), amount);
+        IERC20(_token).safeTransfer(owner(), amount);
 
-        emit FeesWithdrawn(owner(), amount);
+        emit FeesWithdrawn(owner(), _token, amount);
     }
 
-    function updateFee(uint256 _newFeePercentage) external onlyOwner {
+    // Pays the caller up to what it has been distributed, after
+    // distributing the fees collected since the last distribution
+    function claimFees(address _token, uint256 _amount) external nonReentrant {
+        if (beneficiaries.length > 0) _distributeFees(_token);
+        require(_amount > 0, "Hurupay: amount must be greater than zero");
         require(
-            _newFeePercentage <= MAX_FEE_PERCENTAGE,
-            "Hurupay: fee too high"
+            _amount <= claimableFees[msg.sender][_token],
+            "Hurupay: amount exceeds claimable fees"
         );
-        require(_newFeePercentage != feePercentage, "Hurupay: fee unchanged");
-        uint256 oldFee = feePercentage;
-        feePercentage = _newFeePercentage;
-        emit FeeUpdated(oldFee, _newFeePercentage);
+
+        // Effects before interactions
+        claimableFees[msg.sender][_token] -= _amount;
+        totalClaimableFees[_token] -= _amount;
+
+        IERC20(_token).safeTransfer(msg.sender, _amount);
+        emit FeesClaimed(msg.sender, _token, _amount);
     }
 
-    function recoverERC20(address _token) external onlyOwner nonReentrant {
-        require(_token != address(0), "Hurupay: invalid token address");
+    function getBeneficiaries() external view returns (Beneficiary[] memory) {
+        return beneficiaries;
+    }
 
-        IERC20 token = IERC20(_token);
-        uint256 balance = token.balanceOf(address(this));
+    function withdrawRelayerFees(address _token) external nonReentrant {
+        uint256 amount = relayerFees[msg.sender][_token];
+        require(amount > 0, "Hurupay: no relayer fees to withdraw");
 
-        // If token is USDC, exclude accumulated fees
-        if (_token == address(usdc)) {
-            require(
-                balance > accumulatedFees,
-                "Hurupay: only accumulated fees available"
-            );
-            balance -= accumulatedFees;
-        }
+        // Effects before interactions
+        relayerFees[msg.sender][_token] = 0;
+        totalRelayerFees[_token] -= amount;
 
-        require(balance > 0, "Hurupay: no tokens to recover");
+        IERC20(_token).safeTransfer(msg.sender, amount);
 
-        // Using SafeERC20
-        token.safeTransfer(owner(), balance);
+        emit RelayerFeesWithdrawn(msg.sender, _token, amount);
+    }
+
+    // Extension: the functions below run in HurupayExtension
+
+    function proposeAction(bytes calldata) external returns (bytes32) {
+        _delegateToExtension();
+    }
+
+    function cancelAction(bytes32) external {
+        _delegateToExtension();
+    }
+
+    function updateAdminDelay(uint256) external {
+        _delegateToExtension();
+    }
+
+    function setSupportedToken(address, bool) external {
+        _delegateToExtension();
+    }
+
+    function pause() external {
+        _delegateToExtension();
+    }
+
+    function unpause() external {
+        _delegateToExtension();
+    }
+
+    function setGuardian(address) external {
+        _delegateToExtension();
+    }
+
+    function setBlocked(address, bool) external {
+        _delegateToExtension();
+    }
+
+    function setSpendingLimit(address, uint256, uint256) external {
+        _delegateToExtension();
+    }
+
+    function setSenderSpendingLimit(
+        address,
+        address,
+        bool,
+        uint256,
+        uint256
+    ) external {
+        _delegateToExtension();
+    }
+
+    function setBeneficiaries(Beneficiary[] calldata) external {
+        _delegateToExtension();
+    }
+
+    function setRelayer(address, bool) external {
+        _delegateToExtension();
+    }
+
+    function setOpenRelaying(bool) external {
+        _delegateToExtension();
+    }
+
+    function updateRelayerFeeShare(uint256) external {
+        _delegateToExtension();
+    }
+
+    function updateFee(uint256) external {
+        _delegateToExtension();
+    }
+
+    function setFeeTiers(address, FeeTier[] calldata) external {
+        _delegateToExtension();
+    }
+
+    function updateTokenFee(address, bool, uint256) external {
+        _delegateToExtension();
+    }
+
+    function updateFeeLimits(address, uint256, uint256) external {
+        _delegateToExtension();
+    }
+
+    function setRecipientFeeOverride(address, bool, uint256) external {
+        _delegateToExtension();
+    }
+
+    function setSenderFeeOverride(address, bool, uint256) external {
+        _delegateToExtension();
+    }
+
+    function recoverERC20(address) external {
+        _delegateToExtension();
+    }
+
+    // Payments: the functions below run in HurupayPayments
+
+    function executeEscrowWithSignature(
+        EscrowRequest calldata
+    ) external returns (bool) {
+        _delegateToPayments();
+    }
+
+    function releaseEscrow(bytes32) external {
+        _delegateToPayments();
+    }
+
+    function refundEscrow(bytes32) external {
+        _delegateToPayments();
+    }
+
+    function disputeEscrow(bytes32) external {
+        _delegateToPayments();
+    }
+
+    function executeSplitTransferWithSignature(
+        SplitRequest calldata
+    ) external returns (bool) {
+        _delegateToPayments();
+    }
+
+    function payInvoice(
+        Invoice calldata,
+        bytes calldata
+    ) external returns (bool) {
+        _delegateToPayments();
+    }
+
+    function voidInvoice(bytes32) external {
+        _delegateToPayments();
+    }
+
+    function executeScheduledPayment(
+        PaymentSchedule calldata
+    ) external returns (bool) {
+        _delegateToPayments();
+    }
+
+    function revokeSchedule(bytes32) external {
+        _delegateToPayments();
+    }
+
+    function refundTransfer(RefundableTransfer calldata, uint256) external {
+        _delegateToPayments();
+    }
+
+    function refundTransferFee(RefundableTransfer calldata) external {
+        _delegateToPayments();
+    }
+
+    function _delegateToExtension() internal {
+        _delegate(extension);
+    }
+
+    function _delegateToPayments() internal {
+        _delegate(payments);
+    }
+
+    // Runs the current call in `target` and returns or reverts with its
+    // result, as a proxy would
+    /// @custom:oz-upgrades-unsafe-allow delegatecall
+    function _delegate(address target) internal {
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), target, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
     }
 }
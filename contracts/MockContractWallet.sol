@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+// Minimal smart-contract wallet (Safe-like) for testing ERC-1271 senders.
+// Signatures are valid when produced by the wallet's owner EOA.
+contract MockContractWallet is IERC1271 {
+    address public owner;
+
+    constructor(address _owner) {
+        owner = _owner;
+    }
+
+    function execute(
+        address _target,
+        bytes calldata _data
+    ) external returns (bytes memory) {
+        require(msg.sender == owner, "MockContractWallet: not owner");
+        (bool success, bytes memory result) = _target.call(_data);
+        require(success, "MockContractWallet: call failed");
+        return result;
+    }
+
+    function isValidSignature(
+        bytes32 _hash,
+        bytes memory _signature
+    ) external view returns (bytes4) {
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(
+            _hash,
+            _signature
+        );
+        if (error == ECDSA.RecoverError.NoError && signer == owner) {
+            return IERC1271.isValidSignature.selector;
+        }
+        return 0xffffffff;
+    }
+}
@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+// A second token with the default 18 decimals, unlike MockUSDC
+contract MockDAI is ERC20 {
+    constructor() ERC20("Mock DAI", "mDAI") {}
+
+    function mint(address to, uint256 amount) public {
+        _mint(to, amount);
+    }
+}
@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+import "./HurupaySmartContract.sol";
+
+// Next implementation used to test upgrades and their migration step.
+// Proxies are already initialized by version 1; initializeV2 only migrates.
+/// @custom:oz-upgrades-unsafe-allow missing-initializer
+contract MockHurupayV2 is HurupaySmartContract {
+    event MigratedToV2();
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(
+        address _extension,
+        address _payments
+    ) HurupaySmartContract(_extension, _payments) {}
+
+    function initializeV2() external reinitializer(2) {
+        emit MigratedToV2();
+    }
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
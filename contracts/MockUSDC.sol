@@ -1,9 +1,10 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.28;
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 
-contract MockUSDC is ERC20 {
-    constructor() ERC20("Mock USDC", "mUSDC") {}
+contract MockUSDC is ERC20, ERC20Permit {
+    constructor() ERC20("Mock USDC", "mUSDC") ERC20Permit("Mock USDC") {}
 
     function mint(address to, uint256 amount) public {
         _mint(to, amount);
@@ -0,0 +1,5 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+// Compiles OpenZeppelin's ERC1967Proxy so the Ignition module can deploy it
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
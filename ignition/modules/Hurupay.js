@@ -0,0 +1,40 @@
+// This setup uses Hardhat Ignition to manage smart contract deployments.
+// Learn more about it at https://hardhat.org/ignition
+//
+//   npx hardhat ignition deploy ignition/modules/Hurupay.js \
+//     --network base --parameters ignition/parameters/base.json
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const { network } = require("hardhat");
+
+// Networks without real USDC, where MockUSDC is deployed instead
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+module.exports = buildModule("HurupayModule", (m) => {
+  const initialFee = m.getParameter("initialFee", 10); // basis points
+
+  const mockUSDC = LOCAL_NETWORKS.includes(network.name)
+    ? m.contract("MockUSDC")
+    : undefined;
+  const usdc = mockUSDC ?? m.getParameter("usdc");
+
+  // Implementation and the extensions it delegates to, behind a UUPS proxy
+  // that is initialized in the same transaction
+  const extension = m.contract("HurupayExtension");
+  const payments = m.contract("HurupayPayments");
+  const implementation = m.contract("HurupaySmartContract", [
+    extension,
+    payments,
+  ]);
+  const proxy = m.contract("ERC1967Proxy", [
+    implementation,
+    m.encodeFunctionCall(implementation, "initialize", [usdc, initialFee]),
+  ]);
+  const hurupay = m.contractAt("HurupaySmartContract", proxy, {
+    id: "Hurupay",
+  });
+
+  return mockUSDC
+    ? { hurupay, proxy, implementation, extension, payments, mockUSDC }
+    : { hurupay, proxy, implementation, extension, payments };
+});
@@ -0,0 +1,17 @@
+// Optional step after HurupayModule: hands the contract over to `owner`
+// (e.g. a multisig), which then has to call acceptOwnership().
+//
+//   npx hardhat ignition deploy ignition/modules/HurupayOwnership.js \
+//     --network base --parameters ignition/parameters/base.json
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const HurupayModule = require("./Hurupay");
+
+module.exports = buildModule("HurupayOwnershipModule", (m) => {
+  const { hurupay } = m.useModule(HurupayModule);
+  const owner = m.getParameter("owner");
+
+  m.call(hurupay, "transferOwnership", [owner]);
+
+  return { hurupay };
+});
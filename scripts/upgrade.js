@@ -0,0 +1,109 @@
+const hre = require("hardhat");
+
+// Upgrades are timelocked, so this runs in two steps:
+//
+//   HURUPAY_PROXY=0x... npx hardhat run scripts/upgrade.js --network base
+//     deploys the new extensions and implementation (after checking the
+//     storage layout against the proxy) and proposes the upgrade.
+//
+//   HURUPAY_PROXY=0x... HURUPAY_IMPLEMENTATION=0x... npx hardhat run ...
+//     makes the proposed upgrade once adminDelay has passed.
+//
+// HURUPAY_CONTRACT picks the implementation contract (default
+// HurupaySmartContract) and HURUPAY_MIGRATION an optional function to call
+// on it during the upgrade, e.g. "initializeV2".
+//
+// Proxies deployed with Ignition are unknown to the upgrades plugin. Register
+// one first by running with HURUPAY_IMPORT=1 from the commit it was deployed
+// from, so the storage layout check has the deployed version to compare to.
+async function main() {
+  const proxyAddress = process.env.HURUPAY_PROXY;
+  if (!proxyAddress) throw new Error("HURUPAY_PROXY is not set");
+
+  const contractName = process.env.HURUPAY_CONTRACT || "HurupaySmartContract";
+  const Hurupay = await hre.ethers.getContractFactory(contractName);
+  const hurupay = await hre.ethers.getContractAt(
+    "HurupaySmartContract",
+    proxyAddress
+  );
+
+  if (process.env.HURUPAY_IMPORT) {
+    await hre.upgrades.forceImport(proxyAddress, Hurupay, {
+      kind: "uups",
+      constructorArgs: [await hurupay.extension(), await hurupay.payments()],
+    });
+    console.log("Registered proxy", proxyAddress, "with the upgrades plugin");
+    return;
+  }
+
+  const migration = process.env.HURUPAY_MIGRATION
+    ? Hurupay.interface.encodeFunctionData(process.env.HURUPAY_MIGRATION)
+    : "0x";
+
+  let implementation = process.env.HURUPAY_IMPLEMENTATION;
+  if (!implementation) {
+    console.log("Deploying HurupayExtension...");
+    const HurupayExtension = await hre.ethers.getContractFactory(
+      "HurupayExtension"
+    );
+    const extension = await HurupayExtension.deploy();
+    await extension.waitForDeployment();
+    const extensionAddress = await extension.getAddress();
+    console.log("HurupayExtension deployed to:", extensionAddress);
+
+    console.log("Deploying HurupayPayments...");
+    const HurupayPayments = await hre.ethers.getContractFactory(
+      "HurupayPayments"
+    );
+    const payments = await HurupayPayments.deploy();
+    await payments.waitForDeployment();
+    const paymentsAddress = await payments.getAddress();
+    console.log("HurupayPayments deployed to:", paymentsAddress);
+
+    console.log(`Validating and deploying ${contractName}...`);
+    implementation = await hre.upgrades.prepareUpgrade(proxyAddress, Hurupay, {
+      kind: "uups",
+      constructorArgs: [extensionAddress, paymentsAddress],
+    });
+    console.log("Implementation deployed to:", implementation);
+  }
+
+  const upgradeCall = hurupay.interface.encodeFunctionData("upgradeToAndCall", [
+    implementation,
+    migration,
+  ]);
+  const readyAt = await hurupay.pendingActions(
+    hre.ethers.keccak256(upgradeCall)
+  );
+
+  if (readyAt === 0n) {
+    const tx = await hurupay.proposeAction(upgradeCall);
+    await tx.wait();
+    const proposedReadyAt = await hurupay.pendingActions(
+      hre.ethers.keccak256(upgradeCall)
+    );
+    console.log("Upgrade proposed in transaction:", tx.hash);
+    console.log(
+      "Run again with HURUPAY_IMPLEMENTATION=" + implementation,
+      "after",
+      new Date(Number(proposedReadyAt) * 1000).toISOString()
+    );
+    return;
+  }
+
+  // Reverts with "Hurupay: action is timelocked" until readyAt
+  const tx = await hurupay.upgradeToAndCall(implementation, migration);
+  await tx.wait();
+  console.log("Upgrade transaction hash:", tx.hash);
+  console.log(
+    "Hurupay now runs:",
+    await hre.upgrades.erc1967.getImplementationAddress(proxyAddress)
+  );
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
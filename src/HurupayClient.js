@@ -0,0 +1,1362 @@
+const { ethers } = require("ethers");
+const { HURUPAY_ABI, LEGACY_HURUPAY_ABI, ERC20_PERMIT_ABI } = require("./abi");
+
+const USDC_DECIMALS = 6;
+const DEFAULT_DEADLINE_MINUTES = 30;
+const BASIS_POINTS = 10000n;
+
+// Must match EIP712("Hurupay", "1") in the contract constructor
+const DOMAIN_NAME = "Hurupay";
+const DOMAIN_VERSION = "1";
+
+// Must match TRANSFER_TYPEHASH in the contract
+const TRANSFER_TYPES = {
+  Transfer: [
+    { name: "requestId", type: "bytes32" },
+    { name: "sender", type: "address" },
+    { name: "recipient", type: "address" },
+    { name: "token", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "chainId", type: "uint256" },
+  ],
+};
+
+// Must match ESCROW_TYPEHASH in the contract
+const ESCROW_TYPES = {
+  EscrowTransfer: [
+    { name: "requestId", type: "bytes32" },
+    { name: "sender", type: "address" },
+    { name: "recipient", type: "address" },
+    { name: "token", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "arbiter", type: "address" },
+    { name: "refundAfter", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "chainId", type: "uint256" },
+  ],
+};
+
+// Must match SCHEDULE_TYPEHASH in the contract
+const SCHEDULE_TYPES = {
+  PaymentSchedule: [
+    { name: "scheduleId", type: "bytes32" },
+    { name: "sender", type: "address" },
+    { name: "recipient", type: "address" },
+    { name: "token", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "period", type: "uint256" },
+    { name: "start", type: "uint256" },
+    { name: "maxOccurrences", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "chainId", type: "uint256" },
+  ],
+};
+
+// Must match SPLIT_TYPEHASH in the contract
+const SPLIT_TYPES = {
+  SplitTransfer: [
+    { name: "requestId", type: "bytes32" },
+    { name: "sender", type: "address" },
+    { name: "token", type: "address" },
+    { name: "payees", type: "Payee[]" },
+    { name: "deadline", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "chainId", type: "uint256" },
+  ],
+  Payee: [
+    { name: "recipient", type: "address" },
+    { name: "amount", type: "uint256" },
+  ],
+};
+
+// Must match INVOICE_TYPEHASH in the contract
+const INVOICE_TYPES = {
+  Invoice: [
+    { name: "invoiceId", type: "bytes32" },
+    { name: "merchant", type: "address" },
+    { name: "payer", type: "address" },
+    { name: "token", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "expiry", type: "uint256" },
+    { name: "memo", type: "bytes32" },
+    { name: "chainId", type: "uint256" },
+  ],
+};
+
+// Must match CANCEL_TYPEHASH in the contract
+const CANCEL_TYPES = {
+  CancelRequest: [
+    { name: "requestId", type: "bytes32" },
+    { name: "sender", type: "address" },
+    { name: "chainId", type: "uint256" },
+  ],
+};
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const TRANSFER_TYPEHASH = ethers.id(
+  ethers.TypedDataEncoder.from(TRANSFER_TYPES).encodeType("Transfer")
+);
+
+const ESCROW_TYPEHASH = ethers.id(
+  ethers.TypedDataEncoder.from(ESCROW_TYPES).encodeType("EscrowTransfer")
+);
+
+const SCHEDULE_TYPEHASH = ethers.id(
+  ethers.TypedDataEncoder.from(SCHEDULE_TYPES).encodeType("PaymentSchedule")
+);
+
+const SPLIT_TYPEHASH = ethers.id(
+  ethers.TypedDataEncoder.from(SPLIT_TYPES).encodeType("SplitTransfer")
+);
+
+const INVOICE_TYPEHASH = ethers.id(
+  ethers.TypedDataEncoder.from(INVOICE_TYPES).encodeType("Invoice")
+);
+
+const CANCEL_TYPEHASH = ethers.id(
+  ethers.TypedDataEncoder.from(CANCEL_TYPES).encodeType("CancelRequest")
+);
+
+const RequestStatus = Object.freeze({
+  PENDING: "pending",
+  EXECUTED: "executed",
+  CANCELLED: "cancelled",
+  EXPIRED: "expired",
+});
+
+// Order of the EscrowStatus enum in the contract
+const ESCROW_STATUSES = ["none", "locked", "disputed", "released", "refunded"];
+
+// Order of the InvoiceStatus enum in the contract
+const INVOICE_STATUSES = ["open", "paid", "void"];
+
+// Order of the FeeSource enum in the contract
+const FEE_SOURCES = ["base", "tier", "token", "sender", "recipient"];
+
+// ERC-1271 isValidSignature(bytes32,bytes) magic value
+const ERC1271_MAGIC_VALUE = "0x1626ba7e";
+const ERC1271_ABI = [
+  "function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)",
+];
+
+// Selector of the Error(string) revert payload
+const LEGACY_INTERFACE = new ethers.Interface(LEGACY_HURUPAY_ABI);
+
+const ERROR_STRING_SELECTOR = ethers.id("Error(string)").slice(0, 10);
+
+function generateRequestId() {
+  return ethers.hexlify(ethers.randomBytes(32));
+}
+
+// Accepts a bytes32 value, shorter hex/bytes (left zero-padded) or a plain
+// string such as an order id (hashed). Generates a random id when empty.
+function normalizeRequestId(requestId) {
+  if (requestId === undefined || requestId === null || requestId === "") {
+    return generateRequestId();
+  }
+  if (typeof requestId === "string" && !ethers.isHexString(requestId)) {
+    return ethers.keccak256(ethers.toUtf8Bytes(requestId));
+  }
+  const bytes = ethers.getBytes(requestId);
+  if (bytes.length > 32) {
+    throw new Error("Hurupay: requestId longer than 32 bytes");
+  }
+  return ethers.zeroPadValue(bytes, 32);
+}
+
+function buildDomain(chainId, verifyingContract) {
+  return {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId: BigInt(chainId),
+    verifyingContract,
+  };
+}
+
+// Returns { domain, types, value } ready for signer.signTypedData
+function buildTransferTypedData({
+  requestId,
+  sender,
+  recipient,
+  token,
+  amount,
+  deadline,
+  nonce,
+  chainId,
+  verifyingContract,
+}) {
+  return {
+    domain: buildDomain(chainId, verifyingContract),
+    types: TRANSFER_TYPES,
+    value: {
+      requestId: normalizeRequestId(requestId),
+      sender: ethers.getAddress(sender),
+      recipient: ethers.getAddress(recipient),
+      token: ethers.getAddress(token),
+      amount: BigInt(amount),
+      deadline: BigInt(deadline),
+      nonce: BigInt(nonce),
+      chainId: BigInt(chainId),
+    },
+  };
+}
+
+// Same fields as a transfer plus the arbiter (ZeroAddress for none) and
+// the time from which anyone can refund the sender
+function buildEscrowTypedData({ arbiter, refundAfter, ...transfer }) {
+  const { domain, value } = buildTransferTypedData(transfer);
+  return {
+    domain,
+    types: ESCROW_TYPES,
+    value: {
+      requestId: value.requestId,
+      sender: value.sender,
+      recipient: value.recipient,
+      token: value.token,
+      amount: value.amount,
+      arbiter: ethers.getAddress(arbiter ?? ethers.ZeroAddress),
+      refundAfter: BigInt(refundAfter),
+      deadline: value.deadline,
+      nonce: value.nonce,
+      chainId: value.chainId,
+    },
+  };
+}
+
+// `period` is in seconds; occurrence i falls due at start + i * period
+function buildScheduleTypedData({
+  scheduleId,
+  sender,
+  recipient,
+  token,
+  amount,
+  period,
+  start,
+  maxOccurrences,
+  nonce,
+  chainId,
+  verifyingContract,
+}) {
+  return {
+    domain: buildDomain(chainId, verifyingContract),
+    types: SCHEDULE_TYPES,
+    value: {
+      scheduleId: normalizeRequestId(scheduleId),
+      sender: ethers.getAddress(sender),
+      recipient: ethers.getAddress(recipient),
+      token: ethers.getAddress(token),
+      amount: BigInt(amount),
+      period: BigInt(period),
+      start: BigInt(start),
+      maxOccurrences: BigInt(maxOccurrences),
+      nonce: BigInt(nonce),
+      chainId: BigInt(chainId),
+    },
+  };
+}
+
+// `payees` is a list of { recipient, amount }, each amount before fees
+function buildSplitTypedData({
+  requestId,
+  sender,
+  token,
+  payees,
+  deadline,
+  nonce,
+  chainId,
+  verifyingContract,
+}) {
+  if (!payees || payees.length === 0) {
+    throw new Error("Hurupay: payees are required");
+  }
+  return {
+    domain: buildDomain(chainId, verifyingContract),
+    types: SPLIT_TYPES,
+    value: {
+      requestId: normalizeRequestId(requestId),
+      sender: ethers.getAddress(sender),
+      token: ethers.getAddress(token),
+      payees: payees.map((payee) => ({
+        recipient: ethers.getAddress(payee.recipient),
+        amount: BigInt(payee.amount),
+      })),
+      deadline: BigInt(deadline),
+      nonce: BigInt(nonce),
+      chainId: BigInt(chainId),
+    },
+  };
+}
+
+// Shares `fee` between the payees the way the contract does: in
+// proportion to their amounts, the last payee taking the rounding
+function splitFee(payees, fee) {
+  let feeLeft = BigInt(fee);
+  let remaining = payees.reduce((sum, payee) => sum + BigInt(payee.amount), 0n);
+  return payees.map((payee) => {
+    const amount = BigInt(payee.amount);
+    const share = (feeLeft * amount) / remaining;
+    feeLeft -= share;
+    remaining -= amount;
+    return {
+      recipient: payee.recipient,
+      amount,
+      fee: share,
+      amountAfterFee: amount - share,
+    };
+  });
+}
+
+// `memo` takes the same forms as a requestId, so an order number can be
+// passed as is and is hashed; it defaults to zero
+function buildInvoiceTypedData({
+  invoiceId,
+  merchant,
+  payer,
+  token,
+  amount,
+  expiry,
+  memo,
+  chainId,
+  verifyingContract,
+}) {
+  return {
+    domain: buildDomain(chainId, verifyingContract),
+    types: INVOICE_TYPES,
+    value: {
+      invoiceId: normalizeRequestId(invoiceId),
+      merchant: ethers.getAddress(merchant),
+      payer: ethers.getAddress(payer ?? ethers.ZeroAddress),
+      token: ethers.getAddress(token),
+      amount: BigInt(amount),
+      expiry: BigInt(expiry),
+      memo: memo ? normalizeRequestId(memo) : ethers.ZeroHash,
+      chainId: BigInt(chainId),
+    },
+  };
+}
+
+function buildCancelTypedData({
+  requestId,
+  sender,
+  chainId,
+  verifyingContract,
+}) {
+  return {
+    domain: buildDomain(chainId, verifyingContract),
+    types: CANCEL_TYPES,
+    value: {
+      requestId: normalizeRequestId(requestId),
+      sender: ethers.getAddress(sender),
+      chainId: BigInt(chainId),
+    },
+  };
+}
+
+// Picks the TransferRequest struct fields out of a signed request
+function toTransferRequestStruct(request) {
+  return {
+    requestId: request.requestId,
+    sender: request.sender,
+    recipient: request.recipient,
+    token: request.token,
+    amount: request.amount,
+    deadline: request.deadline,
+    signature: request.signature,
+  };
+}
+
+// Picks the RefundableTransfer struct fields out of a signed transfer
+function toRefundableTransferStruct(transfer) {
+  return {
+    requestId: transfer.requestId,
+    sender: transfer.sender,
+    recipient: transfer.recipient,
+    token: transfer.token,
+    netAmount: transfer.netAmount,
+    ownerFee: transfer.ownerFee,
+  };
+}
+
+// Turns revert data (as carried by BatchItemResult) into a readable reason
+function decodeRevertReason(data) {
+  if (!data || ethers.dataLength(data) < 4) return data || "";
+  if (ethers.dataSlice(data, 0, 4) !== ERROR_STRING_SELECTOR) return data;
+  try {
+    const [reason] = ethers.AbiCoder.defaultAbiCoder().decode(
+      ["string"],
+      ethers.dataSlice(data, 4)
+    );
+    return reason;
+  } catch (_) {
+    return data;
+  }
+}
+
+// Parses a log with the contract's events, then with those of earlier
+// deployments; null if neither knows it
+function parseLog(contractInterface, log) {
+  for (const iface of [contractInterface, LEGACY_INTERFACE]) {
+    try {
+      const parsed = iface.parseLog(log);
+      if (parsed) return parsed;
+    } catch (_) {
+      // Not this interface's event, or undecodable
+    }
+  }
+  return null;
+}
+
+function toSignedTransfer(args) {
+  return {
+    requestId: args.requestId,
+    relayer: args.relayer,
+    sender: args.sender,
+    recipient: args.recipient,
+    token: args.token,
+    grossAmount: args.grossAmount,
+    netAmount: args.netAmount,
+    fee: args.fee,
+    feeBps: args.feeBps,
+  };
+}
+
+function recoverTransferSigner(typedData, signature) {
+  const { domain, types, value } = typedData;
+  return ethers.verifyTypedData(domain, types, value, signature);
+}
+
+// Whether `signature` over the typed data is `signer`'s, the way the
+// contract's SignatureChecker decides: an ECDSA signature of the signer, or
+// one its contract wallet accepts (ERC-1271)
+async function isValidTypedDataSignature(
+  provider,
+  typedData,
+  signer,
+  signature
+) {
+  const { domain, types, value } = typedData;
+  const hash = ethers.TypedDataEncoder.hash(domain, types, value);
+  try {
+    if (ethers.recoverAddress(hash, signature) === ethers.getAddress(signer)) {
+      return true;
+    }
+  } catch (_) {
+    // Not a 65-byte ECDSA signature, may still be valid for a wallet
+  }
+
+  if ((await provider.getCode(signer)) === "0x") return false;
+  try {
+    const wallet = new ethers.Contract(signer, ERC1271_ABI, provider);
+    return (
+      (await wallet.isValidSignature(hash, signature)) === ERC1271_MAGIC_VALUE
+    );
+  } catch (_) {
+    return false;
+  }
+}
+
+class HurupayClient {
+  // `contract` is an ethers Contract (or anything with the same methods,
+  // e.g. a Hardhat contract instance) for a deployed HurupaySmartContract
+  constructor(contract) {
+    if (!contract) throw new Error("Hurupay: contract is required");
+    this.contract = contract;
+    this._chainId = null;
+    this._typehashChecked = false;
+    this._defaultToken = null;
+    this._tokens = new Map();
+  }
+
+  static connect(address, runner) {
+    return new HurupayClient(new ethers.Contract(address, HURUPAY_ABI, runner));
+  }
+
+  get provider() {
+    const runner = this.contract.runner;
+    return (runner && runner.provider) || runner;
+  }
+
+  async getAddress() {
+    return this.contract.getAddress();
+  }
+
+  async getChainId() {
+    if (this._chainId === null) {
+      this._chainId = (await this.provider.getNetwork()).chainId;
+    }
+    return this._chainId;
+  }
+
+  // Refuses to sign if the deployed contract expects a different struct
+  async assertTypehash() {
+    if (this._typehashChecked) return;
+    const onChain = await this.contract.TRANSFER_TYPEHASH();
+    if (onChain !== TRANSFER_TYPEHASH) {
+      throw new Error("Hurupay: TRANSFER_TYPEHASH mismatch");
+    }
+    this._typehashChecked = true;
+  }
+
+  // Deadlines are relative to the latest block, not the local clock
+  async deadlineFromNow(minutes = DEFAULT_DEADLINE_MINUTES) {
+    const block = await this.provider.getBlock("latest");
+    return block.timestamp + Math.floor(minutes * 60);
+  }
+
+  async buildTransferTypedData({
+    requestId,
+    sender,
+    recipient,
+    token,
+    amount,
+    deadline,
+    deadlineInMinutes = DEFAULT_DEADLINE_MINUTES,
+    nonce,
+  }) {
+    await this.assertTypehash();
+    return buildTransferTypedData({
+      requestId,
+      sender,
+      recipient,
+      token: token ?? (await this.getDefaultToken()),
+      amount,
+      deadline: deadline ?? (await this.deadlineFromNow(deadlineInMinutes)),
+      nonce: nonce ?? (await this.getNonce(sender)),
+      chainId: await this.getChainId(),
+      verifyingContract: await this.getAddress(),
+    });
+  }
+
+  // Signs a transfer with any ethers signer. The returned request can be
+  // passed straight to executeTransfer (by this or any other client).
+  // For a contract wallet (ERC-1271) pass its address as `sender` and sign
+  // with the key the wallet accepts. `token` defaults to the contract's
+  // default token (USDC).
+  async signTransferRequest(signer, params) {
+    const sender = params.sender ?? (await signer.getAddress());
+    const typedData = await this.buildTransferTypedData({ ...params, sender });
+    const { domain, types, value } = typedData;
+    const signature = await signer.signTypedData(domain, types, value);
+
+    return {
+      requestId: value.requestId,
+      sender: value.sender,
+      recipient: value.recipient,
+      token: value.token,
+      amount: value.amount,
+      deadline: value.deadline,
+      nonce: value.nonce,
+      signature,
+    };
+  }
+
+  // Signs a transfer that is held in escrow until released or refunded.
+  // `refundAfter` (or `refundInMinutes`) sets when the sender can be
+  // refunded without the recipient or arbiter.
+  async signEscrowRequest(signer, params) {
+    const { arbiter, refundAfter, refundInMinutes, ...transfer } = params;
+    if (refundAfter === undefined && refundInMinutes === undefined) {
+      throw new Error("Hurupay: refundAfter or refundInMinutes is required");
+    }
+    const sender = transfer.sender ?? (await signer.getAddress());
+    const transferData = await this.buildTransferTypedData({
+      ...transfer,
+      sender,
+    });
+    const { domain, types, value } = buildEscrowTypedData({
+      ...transferData.value,
+      arbiter,
+      refundAfter: refundAfter ?? (await this.deadlineFromNow(refundInMinutes)),
+      verifyingContract: transferData.domain.verifyingContract,
+    });
+    const signature = await signer.signTypedData(domain, types, value);
+
+    return { ...value, signature };
+  }
+
+  // Signs a recurring payment that any relayer can execute once per period.
+  // `start` defaults to the latest block, so the first occurrence is due
+  // immediately.
+  async signPaymentSchedule(signer, params) {
+    const sender = params.sender ?? (await signer.getAddress());
+    const typedData = buildScheduleTypedData({
+      ...params,
+      sender,
+      token: params.token ?? (await this.getDefaultToken()),
+      start: params.start ?? (await this.deadlineFromNow(0)),
+      nonce: params.nonce ?? (await this.getNonce(sender)),
+      chainId: await this.getChainId(),
+      verifyingContract: await this.getAddress(),
+    });
+    const { domain, types, value } = typedData;
+    const signature = await signer.signTypedData(domain, types, value);
+
+    return { ...value, signature };
+  }
+
+  // Signs one payment to several recipients, charged a single fee on the
+  // total. `payees` is a list of { recipient, amount }.
+  async signSplitRequest(signer, params) {
+    const sender = params.sender ?? (await signer.getAddress());
+    const typedData = buildSplitTypedData({
+      ...params,
+      sender,
+      token: params.token ?? (await this.getDefaultToken()),
+      deadline:
+        params.deadline ??
+        (await this.deadlineFromNow(
+          params.deadlineInMinutes ?? DEFAULT_DEADLINE_MINUTES
+        )),
+      nonce: params.nonce ?? (await this.getNonce(sender)),
+      chainId: await this.getChainId(),
+      verifyingContract: await this.getAddress(),
+    });
+    const { domain, types, value } = typedData;
+    const signature = await signer.signTypedData(domain, types, value);
+
+    return { ...value, signature };
+  }
+
+  // Signs an invoice as the merchant it pays. Pass `payer` to make it
+  // payable by that address only, `memo` for the order reference and
+  // `expiry` (or `expiresInMinutes`, default 30) for when it lapses.
+  async createInvoice(signer, params) {
+    const merchant = params.merchant ?? (await signer.getAddress());
+    const typedData = buildInvoiceTypedData({
+      ...params,
+      merchant,
+      token: params.token ?? (await this.getDefaultToken()),
+      expiry:
+        params.expiry ??
+        (await this.deadlineFromNow(
+          params.expiresInMinutes ?? DEFAULT_DEADLINE_MINUTES
+        )),
+      chainId: await this.getChainId(),
+      verifyingContract: await this.getAddress(),
+    });
+    const { domain, types, value } = typedData;
+    const signature = await signer.signTypedData(domain, types, value);
+
+    return { ...value, signature };
+  }
+
+  // Checks an invoice before paying it. Resolves to { valid, status,
+  // reason } where status is one of INVOICE_STATUSES or "expired" and
+  // reason is what payInvoice would revert with (null when valid).
+  async verifyInvoice(invoice) {
+    const typedData = buildInvoiceTypedData({
+      ...invoice,
+      chainId: await this.getChainId(),
+      verifyingContract: await this.getAddress(),
+    });
+    const status = await this.getInvoiceStatus(invoice);
+    let reason = null;
+    if (status === "paid") reason = "Hurupay: invoice already paid";
+    else if (status === "void") reason = "Hurupay: invoice void";
+    else if (status === "expired") reason = "Hurupay: invoice expired";
+    else if (
+      !(await isValidTypedDataSignature(
+        this.provider,
+        typedData,
+        typedData.value.merchant,
+        invoice.signature
+      ))
+    ) {
+      reason = "Hurupay: invalid signature";
+    }
+    return { valid: reason === null, status, reason };
+  }
+
+  // One of INVOICE_STATUSES, or "expired" for an open invoice past expiry
+  async getInvoiceStatus(invoice) {
+    const status =
+      INVOICE_STATUSES[
+        Number(
+          await this.contract.invoices(
+            invoice.merchant,
+            normalizeRequestId(invoice.invoiceId)
+          )
+        )
+      ];
+    if (status !== "open") return status;
+    const block = await this.provider.getBlock("latest");
+    return BigInt(block.timestamp) > BigInt(invoice.expiry)
+      ? "expired"
+      : status;
+  }
+
+  // Pays an invoice from the connected signer, who must have approved the
+  // contract for the amount
+  async payInvoice(invoice, overrides = {}) {
+    return this.contract.payInvoice(
+      {
+        invoiceId: invoice.invoiceId,
+        merchant: invoice.merchant,
+        payer: invoice.payer,
+        token: invoice.token,
+        amount: invoice.amount,
+        expiry: invoice.expiry,
+        memo: invoice.memo,
+      },
+      invoice.signature,
+      overrides
+    );
+  }
+
+  // Voids one of the connected merchant's invoices
+  async voidInvoice(invoiceId, overrides = {}) {
+    return this.contract.voidInvoice(normalizeRequestId(invoiceId), overrides);
+  }
+
+  async getNonce(sender) {
+    return this.contract.nonces(sender);
+  }
+
+  // Signs a cancellation that any relayer can submit for the sender
+  async signCancellation(signer, requestId, { sender } = {}) {
+    const typedData = buildCancelTypedData({
+      requestId,
+      sender: sender ?? (await signer.getAddress()),
+      chainId: await this.getChainId(),
+      verifyingContract: await this.getAddress(),
+    });
+    const { domain, types, value } = typedData;
+    const signature = await signer.signTypedData(domain, types, value);
+    return { requestId: value.requestId, sender: value.sender, signature };
+  }
+
+  // Cancels a request on behalf of the connected signer
+  async cancelRequest(requestId, overrides = {}) {
+    return this.contract.cancelRequest(
+      normalizeRequestId(requestId),
+      overrides
+    );
+  }
+
+  async executeCancellation(cancellation, overrides = {}) {
+    return this.contract.cancelRequestWithSignature(
+      cancellation.requestId,
+      cancellation.sender,
+      cancellation.signature,
+      overrides
+    );
+  }
+
+  // Invalidates every outstanding request of the connected signer
+  async incrementNonce(overrides = {}) {
+    return this.contract.incrementNonce(overrides);
+  }
+
+  // One of RequestStatus for a signed request. A request signed under an
+  // older nonce counts as cancelled.
+  async getRequestStatus(request) {
+    const requestId = normalizeRequestId(request.requestId);
+    if (await this.contract.processedRequests(requestId)) {
+      return RequestStatus.EXECUTED;
+    }
+    if (await this.contract.cancelledRequests(request.sender, requestId)) {
+      return RequestStatus.CANCELLED;
+    }
+    if (
+      request.nonce !== undefined &&
+      BigInt(request.nonce) < (await this.getNonce(request.sender))
+    ) {
+      return RequestStatus.CANCELLED;
+    }
+    const block = await this.provider.getBlock("latest");
+    if (BigInt(block.timestamp) > BigInt(request.deadline)) {
+      return RequestStatus.EXPIRED;
+    }
+    return RequestStatus.PENDING;
+  }
+
+  // Address of the token deployed with the contract (USDC)
+  async getDefaultToken() {
+    if (!this._defaultToken) {
+      this._defaultToken = await this.contract.usdc();
+    }
+    return this._defaultToken;
+  }
+
+  async getSupportedTokens() {
+    return this.contract.getSupportedTokens();
+  }
+
+  async isSupportedToken(token) {
+    return (await this.contract.tokenConfigs(token)).supported;
+  }
+
+  // ERC20 contract for `token`, the default token when omitted
+  async getToken(token) {
+    const address = ethers.getAddress(token ?? (await this.getDefaultToken()));
+    if (!this._tokens.has(address)) {
+      this._tokens.set(
+        address,
+        new ethers.Contract(address, ERC20_PERMIT_ABI, this.provider)
+      );
+    }
+    return this._tokens.get(address);
+  }
+
+  // EIP-2612 domain of the token. Prefers ERC-5267 and falls back to
+  // name()/version() for tokens such as USDC that predate it.
+  async getPermitDomain(tokenAddress) {
+    const token = await this.getToken(tokenAddress);
+    const verifyingContract = await token.getAddress();
+    const chainId = await this.getChainId();
+    try {
+      const domain = await token.eip712Domain();
+      return {
+        name: domain.name,
+        version: domain.version,
+        chainId,
+        verifyingContract,
+      };
+    } catch (_) {
+      const name = await token.name();
+      const version = await token.version().catch(() => "1");
+      return { name, version, chainId, verifyingContract };
+    }
+  }
+
+  // Signs a permit letting this contract pull `value` (defaults to unlimited)
+  // from the signer's balance
+  async signPermit(
+    signer,
+    {
+      token: tokenAddress,
+      value = ethers.MaxUint256,
+      deadline,
+      deadlineInMinutes = DEFAULT_DEADLINE_MINUTES,
+    } = {}
+  ) {
+    const token = await this.getToken(tokenAddress);
+    const owner = await signer.getAddress();
+    const permitDeadline = BigInt(
+      deadline ?? (await this.deadlineFromNow(deadlineInMinutes))
+    );
+    const message = {
+      owner,
+      spender: await this.getAddress(),
+      value: BigInt(value),
+      nonce: await token.nonces(owner),
+      deadline: permitDeadline,
+    };
+    const signature = ethers.Signature.from(
+      await signer.signTypedData(
+        await this.getPermitDomain(tokenAddress),
+        PERMIT_TYPES,
+        message
+      )
+    );
+
+    return {
+      value: message.value,
+      deadline: permitDeadline,
+      v: signature.v,
+      r: signature.r,
+      s: signature.s,
+    };
+  }
+
+  // One off-chain signing step for a wallet that never approved the
+  // contract: a transfer request plus a permit for exactly its amount
+  async signTransferWithPermit(signer, params) {
+    const request = await this.signTransferRequest(signer, params);
+    const permit = await this.signPermit(signer, {
+      token: request.token,
+      value: request.amount,
+      deadline: request.deadline,
+    });
+    return { request, permit };
+  }
+
+  async calculateFee(amount, token) {
+    return this.contract.calculateFee(
+      token ?? (await this.getDefaultToken()),
+      amount
+    );
+  }
+
+  // Fee breakdown for a transfer. Pass the parties to pick up negotiated
+  // sender/recipient rates; without them the quote matches calculateFee.
+  async quote(amount, { token, sender, recipient } = {}) {
+    const quote = await this.contract.getFeeQuote(
+      token ?? (await this.getDefaultToken()),
+      sender ?? ethers.ZeroAddress,
+      recipient ?? ethers.ZeroAddress,
+      amount
+    );
+    return {
+      token: quote.token,
+      amount: quote.amount,
+      source: FEE_SOURCES[Number(quote.source)],
+      feeBps: quote.feeBps,
+      rateFee: quote.rateFee,
+      fee: quote.fee,
+      amountAfterFee: quote.amountAfterFee,
+    };
+  }
+
+  // Fee of a split payment, quoted once on the total, and each payee's
+  // share of it. Recipient rates do not apply to split payments.
+  async quoteSplit(payees, { token, sender } = {}) {
+    const total = payees.reduce((sum, payee) => sum + BigInt(payee.amount), 0n);
+    const quote = await this.quote(total, { token, sender });
+    return { ...quote, payees: splitFee(payees, quote.fee) };
+  }
+
+  // Calldata and id of a timelocked admin call, e.g. ("updateFee", [200])
+  encodeAdminAction(method, args = []) {
+    const data = this.contract.interface.encodeFunctionData(method, args);
+    return { data, actionId: ethers.keccak256(data) };
+  }
+
+  // Timestamp from which the proposed call can be made, 0 if not proposed
+  async getAdminActionReadyAt(method, args = []) {
+    const { actionId } = this.encodeAdminAction(method, args);
+    return this.contract.pendingActions(actionId);
+  }
+
+  async proposeAdminAction(method, args = [], overrides = {}) {
+    const { data } = this.encodeAdminAction(method, args);
+    return this.contract.proposeAction(data, overrides);
+  }
+
+  async cancelAdminAction(method, args = [], overrides = {}) {
+    const { actionId } = this.encodeAdminAction(method, args);
+    return this.contract.cancelAction(actionId, overrides);
+  }
+
+  // Makes a proposed call once its delay has passed
+  async executeAdminAction(method, args = [], overrides = {}) {
+    return this.contract[method](...args, overrides);
+  }
+
+  // Spending limits of the sender in the token (0 = none), what is left
+  // of them right now and when the oldest spending still counted leaves
+  // the rolling window (null if there is none). `remaining` is null
+  // without limits.
+  async getSpendingAllowance(sender, token) {
+    const address = token ?? (await this.getDefaultToken());
+    const limit = await this.contract.getSpendingLimit(sender, address);
+    const [remaining, resetsAt] = await this.contract.getRemainingAllowance(
+      sender,
+      address
+    );
+    return {
+      dailyLimit: limit.dailyLimit,
+      maxTransfer: limit.maxTransfer,
+      remaining: remaining === ethers.MaxUint256 ? null : remaining,
+      resetsAt: resetsAt === 0n ? null : resetsAt,
+    };
+  }
+
+  // Whether `relayer` may submit signed requests right now
+  async canRelay(relayer) {
+    if (await this.contract.openRelaying()) return true;
+    return this.contract.authorizedRelayers(relayer);
+  }
+
+  async getRelayerFees(relayer, token) {
+    return this.contract.relayerFees(
+      relayer,
+      token ?? (await this.getDefaultToken())
+    );
+  }
+
+  // Withdraws the fee rebates credited to the connected relayer in `token`
+  async withdrawRelayerFees(token, overrides = {}) {
+    return this.contract.withdrawRelayerFees(
+      token ?? (await this.getDefaultToken()),
+      overrides
+    );
+  }
+
+  // [{ account, shareBps }]; empty while fees go to the owner
+  async getBeneficiaries() {
+    return (await this.contract.getBeneficiaries()).map((beneficiary) => ({
+      account: beneficiary.account,
+      shareBps: beneficiary.shareBps,
+    }));
+  }
+
+  // What `beneficiary` can claim in `token`, including its share of the
+  // fees collected since the last distribution (which claimFees
+  // distributes first)
+  async getClaimableFees(beneficiary, token) {
+    const address = token ?? (await this.getDefaultToken());
+    let claimable = await this.contract.claimableFees(beneficiary, address);
+    const beneficiaries = await this.getBeneficiaries();
+    const pending = await this.contract.accumulatedFees(address);
+    let left = pending;
+    beneficiaries.forEach(({ account, shareBps }, i) => {
+      const share =
+        i === beneficiaries.length - 1
+          ? left
+          : (pending * shareBps) / BASIS_POINTS;
+      left -= share;
+      if (account === ethers.getAddress(beneficiary)) claimable += share;
+    });
+    return claimable;
+  }
+
+  // Claims `amount` (all of it by default) of the connected beneficiary's
+  // fees in `token`
+  async claimFees(token, { amount, ...overrides } = {}) {
+    const address = token ?? (await this.getDefaultToken());
+    const value =
+      amount ??
+      (await this.getClaimableFees(
+        await this.contract.runner.getAddress(),
+        address
+      ));
+    return this.contract.claimFees(address, value, overrides);
+  }
+
+  // Escrow state with the status as one of ESCROW_STATUSES
+  async getEscrow(requestId) {
+    const escrow = await this.contract.escrows(normalizeRequestId(requestId));
+    return {
+      sender: escrow.sender,
+      recipient: escrow.recipient,
+      token: escrow.token,
+      arbiter: escrow.arbiter,
+      amount: escrow.amount,
+      fee: escrow.fee,
+      refundAfter: escrow.refundAfter,
+      status: ESCROW_STATUSES[Number(escrow.status)],
+    };
+  }
+
+  async executeEscrow(request, overrides = {}) {
+    return this.contract.executeEscrowWithSignature(
+      {
+        transfer: toTransferRequestStruct(request),
+        arbiter: request.arbiter,
+        refundAfter: request.refundAfter,
+      },
+      overrides
+    );
+  }
+
+  async releaseEscrow(requestId, overrides = {}) {
+    return this.contract.releaseEscrow(
+      normalizeRequestId(requestId),
+      overrides
+    );
+  }
+
+  async refundEscrow(requestId, overrides = {}) {
+    return this.contract.refundEscrow(normalizeRequestId(requestId), overrides);
+  }
+
+  async disputeEscrow(requestId, overrides = {}) {
+    return this.contract.disputeEscrow(
+      normalizeRequestId(requestId),
+      overrides
+    );
+  }
+
+  // Progress of a signed schedule (`executed` counts paid and forfeited
+  // occurrences) and when its next payable occurrence is due (null once
+  // completed). Occurrences whose period passed unpaid are skipped.
+  async getSchedule(schedule) {
+    const state = await this.contract.schedules(
+      schedule.sender,
+      normalizeRequestId(schedule.scheduleId)
+    );
+    const start = BigInt(schedule.start);
+    const period = BigInt(schedule.period);
+    const { timestamp } = await this.provider.getBlock("latest");
+    const current =
+      BigInt(timestamp) >= start ? (BigInt(timestamp) - start) / period : 0n;
+    const next = state.executed > current ? state.executed : current;
+    const completed = next >= BigInt(schedule.maxOccurrences);
+    return {
+      executed: state.executed,
+      revoked: state.revoked,
+      completed,
+      nextDueAt: completed ? null : start + next * period,
+    };
+  }
+
+  async executeScheduledPayment(schedule, overrides = {}) {
+    return this.contract.executeScheduledPayment(
+      {
+        scheduleId: schedule.scheduleId,
+        sender: schedule.sender,
+        recipient: schedule.recipient,
+        token: schedule.token,
+        amount: schedule.amount,
+        period: schedule.period,
+        start: schedule.start,
+        maxOccurrences: schedule.maxOccurrences,
+        signature: schedule.signature,
+      },
+      overrides
+    );
+  }
+
+  // Revokes one of the connected signer's schedules
+  async revokeSchedule(scheduleId, overrides = {}) {
+    return this.contract.revokeSchedule(
+      normalizeRequestId(scheduleId),
+      overrides
+    );
+  }
+
+  async executeSplit(request, overrides = {}) {
+    return this.contract.executeSplitTransferWithSignature(
+      {
+        requestId: request.requestId,
+        sender: request.sender,
+        token: request.token,
+        payees: request.payees.map(({ recipient, amount }) => ({
+          recipient,
+          amount,
+        })),
+        deadline: request.deadline,
+        signature: request.signature,
+      },
+      overrides
+    );
+  }
+
+  // What refundTransfer needs to know about a signed transfer, with how
+  // much of netAmount and of ownerFee was refunded so far; null if not
+  // found in the block range. `refundable` is false for transfers the
+  // contract did not record, i.e. ones made before refunds existed.
+  async getRefundableTransfer(requestId, options) {
+    const transfer = await this.findSignedTransfer(requestId, options);
+    if (!transfer) return null;
+
+    // The relayer's share of the fee, if any, is credited just before the
+    // transfer's SignedTransfer in the same transaction
+    const receipt = await this.provider.getTransactionReceipt(
+      transfer.transactionHash
+    );
+    // Either may be in lowercase, depending on how the client was connected
+    const address = ethers.getAddress(await this.getAddress());
+    let relayerFee = 0n;
+    for (const log of receipt.logs) {
+      if (ethers.getAddress(log.address) !== address) continue;
+      const parsed = this.contract.interface.parseLog(log);
+      if (parsed?.name === "RelayerFeeCredited") {
+        relayerFee = parsed.args.amount;
+      } else if (parsed?.name === "SignedTransfer") {
+        if (parsed.args.requestId === transfer.requestId) break;
+        relayerFee = 0n;
+      }
+    }
+
+    const refundable = toRefundableTransferStruct({
+      ...transfer,
+      ownerFee: transfer.fee - relayerFee,
+    });
+    const digest = ethers.keccak256(
+      ethers.AbiCoder.defaultAbiCoder().encode(
+        ["address", "address", "address", "uint256", "uint256"],
+        [
+          refundable.sender,
+          refundable.recipient,
+          refundable.token,
+          refundable.netAmount,
+          refundable.ownerFee,
+        ]
+      )
+    );
+    return {
+      ...refundable,
+      refunded: await this.contract.refundedAmounts(transfer.requestId),
+      feeRefunded: await this.contract.refundedFees(transfer.requestId),
+      refundable:
+        (await this.contract.transferDigests(transfer.requestId)) === digest,
+    };
+  }
+
+  // Sends `amount` (by default all that is left) of a signed transfer the
+  // connected recipient received back to its sender. The recipient must
+  // have approved the contract for the amount.
+  async refundTransfer(requestId, { amount, fromBlock, ...overrides } = {}) {
+    const transfer = await this._getRefundable(requestId, fromBlock);
+    return this.contract.refundTransfer(
+      toRefundableTransferStruct(transfer),
+      amount ?? transfer.netAmount - transfer.refunded,
+      overrides
+    );
+  }
+
+  // Owner only: pays the sender the part of the fee matching what the
+  // recipient has refunded so far
+  async refundTransferFee(requestId, { fromBlock, ...overrides } = {}) {
+    const transfer = await this._getRefundable(requestId, fromBlock);
+    return this.contract.refundTransferFee(
+      toRefundableTransferStruct(transfer),
+      overrides
+    );
+  }
+
+  async _getRefundable(requestId, fromBlock) {
+    const transfer = await this.getRefundableTransfer(requestId, {
+      fromBlock,
+    });
+    if (!transfer) throw new Error("Hurupay: transfer not found");
+    return transfer;
+  }
+
+  async isProcessed(requestId) {
+    return this.contract.processedRequests(normalizeRequestId(requestId));
+  }
+
+  async executeTransfer(request, overrides = {}) {
+    return this.contract.executeTransferWithSignature(
+      request.requestId,
+      request.sender,
+      request.recipient,
+      request.token,
+      request.amount,
+      request.deadline,
+      request.signature,
+      overrides
+    );
+  }
+
+  async executeTransferWithPermit(request, permit, overrides = {}) {
+    return this.contract.executeTransferWithPermit(
+      toTransferRequestStruct(request),
+      permit,
+      overrides
+    );
+  }
+
+  // Submits several signed requests in one transaction. With atomic = false
+  // failed items are skipped; use parseBatchResults on the receipt to see
+  // which ones went through.
+  async executeBatch(requests, { atomic = true, ...overrides } = {}) {
+    return this.contract.executeBatchTransferWithSignature(
+      requests.map(toTransferRequestStruct),
+      atomic,
+      overrides
+    );
+  }
+
+  // Returns [{ index, requestId, success, reason }] for a non-atomic batch
+  parseBatchResults(receipt) {
+    const results = [];
+    for (const log of receipt.logs) {
+      let parsed;
+      try {
+        parsed = this.contract.interface.parseLog(log);
+      } catch (_) {
+        continue;
+      }
+      if (!parsed || parsed.name !== "BatchItemResult") continue;
+      results.push({
+        index: Number(parsed.args.index),
+        requestId: parsed.args.requestId,
+        success: parsed.args.success,
+        reason: decodeRevertReason(parsed.args.reason),
+      });
+    }
+    return results.sort((a, b) => a.index - b.index);
+  }
+
+  // Returns [{ requestId, relayer, sender, recipient, token, grossAmount,
+  // netAmount, fee, feeBps }] for the transfers in a receipt. Signed
+  // transfers come from SignedTransfer; other transfers, and every transfer
+  // of a deployment predating that event, only carry what Transfer has
+  // (requestId, relayer and feeBps null, and token too for the token-less
+  // Transfer of the first deployment). Payments of a split request get its
+  // requestId from SplitPayment.
+  parseTransfers(receipt) {
+    const transfers = [];
+    for (const log of receipt.logs) {
+      const parsed = parseLog(this.contract.interface, log);
+      if (!parsed) continue;
+      if (parsed.name === "Transfer") {
+        transfers.push({
+          requestId: null,
+          relayer: null,
+          sender: parsed.args.from,
+          recipient: parsed.args.to,
+          token: parsed.args.token ?? null,
+          grossAmount: parsed.args.amount + parsed.args.fee,
+          netAmount: parsed.args.amount,
+          fee: parsed.args.fee,
+          feeBps: null,
+        });
+      } else if (parsed.name === "SignedTransfer") {
+        // Follows the Transfer of the same transfer
+        transfers[transfers.length - 1] = toSignedTransfer(parsed.args);
+      } else if (parsed.name === "SplitPayment") {
+        transfers[transfers.length - 1].requestId = parsed.args.requestId;
+      }
+    }
+    return transfers;
+  }
+
+  // SignedTransfer of a request with its transaction hash, null if not
+  // found in the block range
+  async findSignedTransfer(requestId, { fromBlock = 0, toBlock } = {}) {
+    const filter = this.contract.filters.SignedTransfer(
+      normalizeRequestId(requestId)
+    );
+    const [log] = await this.contract.queryFilter(filter, fromBlock, toBlock);
+    if (!log) return null;
+    return {
+      ...toSignedTransfer(log.args),
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+    };
+  }
+}
+
+module.exports = {
+  HurupayClient,
+  USDC_DECIMALS,
+  DEFAULT_DEADLINE_MINUTES,
+  DOMAIN_NAME,
+  DOMAIN_VERSION,
+  TRANSFER_TYPES,
+  TRANSFER_TYPEHASH,
+  ESCROW_TYPES,
+  ESCROW_TYPEHASH,
+  SCHEDULE_TYPES,
+  SCHEDULE_TYPEHASH,
+  SPLIT_TYPES,
+  SPLIT_TYPEHASH,
+  INVOICE_TYPES,
+  INVOICE_TYPEHASH,
+  CANCEL_TYPES,
+  CANCEL_TYPEHASH,
+  PERMIT_TYPES,
+  RequestStatus,
+  FEE_SOURCES,
+  ESCROW_STATUSES,
+  INVOICE_STATUSES,
+  generateRequestId,
+  normalizeRequestId,
+  buildDomain,
+  buildTransferTypedData,
+  buildEscrowTypedData,
+  buildScheduleTypedData,
+  buildSplitTypedData,
+  buildInvoiceTypedData,
+  buildCancelTypedData,
+  decodeRevertReason,
+  recoverTransferSigner,
+  isValidTypedDataSignature,
+};
@@ -0,0 +1,247 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { HURUPAY_ABI } = require("./abi");
+
+const DEFAULT_BATCH_SIZE = 2000;
+
+// Events kept by the indexer and the store collection each one goes to.
+// RelayerFeeCredited is needed for reconciliation: the relayer share of a
+// Transfer fee never reaches accumulatedFees. SignedTransfer maps signed
+// transfers (also in `transfers`) to their requestId. FeesDistributed
+// moves fees out of accumulatedFees to the beneficiaries, whose claims are
+// in `feeClaims`. TransferRefunded pays its feeRefund out of
+// accumulatedFees.
+const INDEXED_EVENTS = {
+  Transfer: "transfers",
+  SignedTransfer: "signedTransfers",
+  FeeUpdated: "feeUpdates",
+  FeesWithdrawn: "feeWithdrawals",
+  FeesDistributed: "feeDistributions",
+  FeesClaimed: "feeClaims",
+  RelayerFeeCredited: "relayerFeeCredits",
+  TransferRefunded: "refunds",
+};
+
+function emptyState() {
+  const state = { address: null, chainId: null, lastBlock: null };
+  for (const collection of Object.values(INDEXED_EVENTS)) {
+    state[collection] = [];
+  }
+  return state;
+}
+
+// Keeps the index in memory only
+class MemoryStore {
+  constructor() {
+    this.state = null;
+  }
+
+  load() {
+    return this.state;
+  }
+
+  save(state) {
+    this.state = JSON.parse(JSON.stringify(state));
+  }
+}
+
+// Keeps the index in a JSON file, rewritten atomically after every batch
+class JsonFileStore {
+  constructor(file) {
+    this.file = file;
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) return null;
+    return JSON.parse(fs.readFileSync(this.file, "utf8"));
+  }
+
+  save(state) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+// Plain JSON record of an event; uint256 values become decimal strings
+function toRecord(log) {
+  const record = {
+    blockNumber: log.blockNumber,
+    transactionHash: log.transactionHash,
+    logIndex: log.index,
+  };
+  log.fragment.inputs.forEach((input, i) => {
+    const value = log.args[i];
+    record[input.name] = typeof value === "bigint" ? value.toString() : value;
+  });
+  return record;
+}
+
+// Adds up `field` of every record into totals[token][key]
+function sumByToken(totals, records, key, field) {
+  for (const record of records) {
+    const token = ethers.getAddress(record.token);
+    totals[token] = totals[token] ?? emptyTotals();
+    totals[token][key] += BigInt(record[field]);
+  }
+}
+
+function emptyTotals() {
+  return {
+    fees: 0n,
+    relayerFees: 0n,
+    withdrawn: 0n,
+    distributed: 0n,
+    refundedFees: 0n,
+  };
+}
+
+class HurupayIndexer {
+  // `contract` is an ethers Contract for a deployed HurupaySmartContract.
+  // Start `fromBlock` at the deployment block, or fees collected before it
+  // show up as a reconciliation difference.
+  constructor(
+    contract,
+    {
+      store = new MemoryStore(),
+      fromBlock = 0,
+      batchSize = DEFAULT_BATCH_SIZE,
+      confirmations = 0,
+    } = {}
+  ) {
+    if (!contract) throw new Error("Hurupay: contract is required");
+    this.contract = contract;
+    this.store = store;
+    this.fromBlock = fromBlock;
+    this.batchSize = batchSize;
+    this.confirmations = confirmations;
+  }
+
+  static connect(address, runner, options) {
+    return new HurupayIndexer(
+      new ethers.Contract(address, HURUPAY_ABI, runner),
+      options
+    );
+  }
+
+  get provider() {
+    const runner = this.contract.runner;
+    return (runner && runner.provider) || runner;
+  }
+
+  // Stored index, checked to belong to this deployment
+  async getState() {
+    const address = await this.contract.getAddress();
+    const chainId = (await this.provider.getNetwork()).chainId.toString();
+    const state = (await this.store.load()) ?? {
+      ...emptyState(),
+      address,
+      chainId,
+    };
+    if (
+      ethers.getAddress(state.address) !== ethers.getAddress(address) ||
+      state.chainId !== chainId
+    ) {
+      throw new Error("Hurupay: store belongs to another deployment");
+    }
+    // Stores written before a collection was added
+    for (const collection of Object.values(INDEXED_EVENTS)) {
+      state[collection] = state[collection] ?? [];
+    }
+    return state;
+  }
+
+  // Indexes new events up to `toBlock` (the latest block less
+  // `confirmations` by default), resuming after the last indexed block.
+  // Progress is saved after every batch, so an interrupted run loses at most
+  // one batch. Returns the number of events indexed per collection.
+  async sync({ toBlock } = {}) {
+    const state = await this.getState();
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    const target = Math.min(toBlock ?? head, head);
+    const indexed = {};
+    for (const collection of Object.values(INDEXED_EVENTS)) {
+      indexed[collection] = 0;
+    }
+
+    let from = state.lastBlock === null ? this.fromBlock : state.lastBlock + 1;
+    while (from <= target) {
+      const to = Math.min(from + this.batchSize - 1, target);
+      const logs = await this.contract.queryFilter("*", from, to);
+      for (const log of logs) {
+        const collection = log.fragment && INDEXED_EVENTS[log.fragment.name];
+        if (!collection) continue;
+        state[collection].push(toRecord(log));
+        indexed[collection]++;
+      }
+      state.lastBlock = to;
+      await this.store.save(state);
+      from = to + 1;
+    }
+    return { ...indexed, lastBlock: state.lastBlock };
+  }
+
+  // Checks per token that indexed fees, less the relayer share, owner
+  // withdrawals, distributions to beneficiaries and fees refunded to
+  // senders, equal accumulatedFees on-chain at the last indexed block
+  async reconcile() {
+    const state = await this.getState();
+    if (state.lastBlock === null) {
+      throw new Error("Hurupay: nothing indexed yet, run sync first");
+    }
+
+    const totals = {};
+    sumByToken(totals, state.transfers, "fees", "fee");
+    sumByToken(totals, state.relayerFeeCredits, "relayerFees", "amount");
+    sumByToken(totals, state.feeWithdrawals, "withdrawn", "amount");
+    sumByToken(totals, state.feeDistributions, "distributed", "amount");
+    sumByToken(totals, state.refunds, "refundedFees", "feeRefund");
+    for (const token of await this.contract.getSupportedTokens({
+      blockTag: state.lastBlock,
+    })) {
+      const address = ethers.getAddress(token);
+      totals[address] = totals[address] ?? emptyTotals();
+    }
+
+    const tokens = [];
+    for (const [
+      token,
+      { fees, relayerFees, withdrawn, distributed, refundedFees },
+    ] of Object.entries(totals)) {
+      const expected =
+        fees - relayerFees - withdrawn - distributed - refundedFees;
+      const onChain = await this.contract.accumulatedFees(token, {
+        blockTag: state.lastBlock,
+      });
+      tokens.push({
+        token,
+        fees,
+        relayerFees,
+        withdrawn,
+        distributed,
+        refundedFees,
+        expected,
+        onChain,
+        difference: onChain - expected,
+        matches: onChain === expected,
+      });
+    }
+
+    return {
+      address: state.address,
+      chainId: state.chainId,
+      block: state.lastBlock,
+      ok: tokens.every((entry) => entry.matches),
+      tokens,
+    };
+  }
+}
+
+module.exports = {
+  HurupayIndexer,
+  MemoryStore,
+  JsonFileStore,
+  INDEXED_EVENTS,
+};
@@ -0,0 +1,339 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const { HurupayClient, normalizeRequestId } = require("./HurupayClient");
+const { preflightTransfer } = require("./preflight");
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+const MAX_BODY_BYTES = 16 * 1024;
+
+const RelayStatus = Object.freeze({
+  QUEUED: "queued",
+  SUBMITTED: "submitted",
+  CONFIRMED: "confirmed",
+  FAILED: "failed",
+});
+
+// HTTP status for pre-flight errors other than 400
+const ERROR_STATUSES = {
+  REQUEST_PROCESSED: 409,
+  REQUEST_CANCELLED: 409,
+  PAUSED: 503,
+  NOT_AUTHORIZED_RELAYER: 503,
+};
+
+// Rejected request; `status` is the HTTP status the server answers with
+class RelayerError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "RelayerError";
+    this.status = status;
+  }
+}
+
+// Errors after which sending the same transaction again can succeed
+function isTransient(error) {
+  if (error.code === "CALL_EXCEPTION") return false;
+  return (
+    [
+      "NONCE_EXPIRED",
+      "REPLACEMENT_UNDERPRICED",
+      "NETWORK_ERROR",
+      "TIMEOUT",
+    ].includes(error.code) ||
+    /nonce too low|nonce has already been used|replacement/i.test(error.message)
+  );
+}
+
+function reasonOf(error) {
+  return (
+    error.reason || (error.shortMessage ?? error.message).replace(/\n.*/s, "")
+  );
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// JSON with bigints as decimal strings
+function toJson(value) {
+  return JSON.stringify(value, (_, v) =>
+    typeof v === "bigint" ? v.toString() : v
+  );
+}
+
+// A requestId given by a client, e.g. in a URL
+function parseRequestId(requestId) {
+  try {
+    return normalizeRequestId(requestId);
+  } catch (error) {
+    throw new RelayerError(`Hurupay: malformed requestId (${reasonOf(error)})`);
+  }
+}
+
+// Signed transfer request as received over HTTP (amounts as strings)
+function parseRequest(body) {
+  if (typeof body !== "object" || body === null || Array.isArray(body)) {
+    throw new RelayerError("Hurupay: request must be a JSON object");
+  }
+  const fields = [
+    "requestId",
+    "sender",
+    "recipient",
+    "amount",
+    "deadline",
+    "signature",
+  ];
+  for (const field of fields) {
+    if (body[field] === undefined || body[field] === null) {
+      throw new RelayerError(`Hurupay: missing ${field}`);
+    }
+  }
+  try {
+    return {
+      requestId: normalizeRequestId(body.requestId),
+      sender: ethers.getAddress(body.sender),
+      recipient: ethers.getAddress(body.recipient),
+      token: body.token ? ethers.getAddress(body.token) : undefined,
+      amount: BigInt(body.amount),
+      deadline: BigInt(body.deadline),
+      signature: ethers.hexlify(body.signature),
+    };
+  } catch (error) {
+    throw new RelayerError(`Hurupay: malformed request (${reasonOf(error)})`);
+  }
+}
+
+// Submits signed transfer requests from one relayer account. Requests are
+// validated off-chain when accepted, then sent one at a time with locally
+// managed nonces, so a queue of requests never races for the same nonce.
+class HurupayRelayer {
+  // `client` is a HurupayClient connected with the relayer's signer
+  constructor(
+    client,
+    {
+      maxAttempts = DEFAULT_MAX_ATTEMPTS,
+      retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+      confirmations = 1,
+    } = {}
+  ) {
+    if (!client) throw new Error("Hurupay: client is required");
+    this.client = client;
+    this.signer = client.contract.runner;
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    this.confirmations = confirmations;
+    this.requests = new Map(); // requestId => status record
+    this._validating = new Set(); // requestIds being validated by submit
+    this._queue = Promise.resolve();
+    this._pending = 0;
+    this._nonce = null;
+  }
+
+  static connect(address, signer, options) {
+    return new HurupayRelayer(HurupayClient.connect(address, signer), options);
+  }
+
+  get queueLength() {
+    return this._pending;
+  }
+
+  // The same checks the contract makes (see preflightTransfer), so bad
+  // requests are turned away before they cost gas. Returns the parsed
+  // request.
+  async validate(body) {
+    const request = parseRequest(body);
+    this._assertNotQueued(request.requestId);
+    return this._validate(request);
+  }
+
+  // Validates and queues a request; resolves once it is queued
+  async submit(body) {
+    // Claims the requestId before the first await, so a concurrent submit
+    // of the same request is turned away instead of queued twice
+    const request = parseRequest(body);
+    this._assertNotQueued(request.requestId);
+    this._validating.add(request.requestId);
+    try {
+      await this._validate(request);
+    } finally {
+      this._validating.delete(request.requestId);
+    }
+
+    const record = {
+      requestId: request.requestId,
+      status: RelayStatus.QUEUED,
+      attempts: 0,
+      transactionHash: null,
+      blockNumber: null,
+      error: null,
+    };
+    this.requests.set(request.requestId, record);
+
+    this._pending++;
+    this._queue = this._queue
+      .then(() => this._process(request, record))
+      .catch((error) => {
+        record.status = RelayStatus.FAILED;
+        record.error = reasonOf(error);
+      })
+      .finally(() => this._pending--);
+    return this.getStatus(request.requestId);
+  }
+
+  getStatus(requestId) {
+    const record = this.requests.get(parseRequestId(requestId));
+    return record ? { ...record } : null;
+  }
+
+  // Resolves once every queued request is confirmed or failed
+  async idle() {
+    while (this._pending > 0) await this._queue;
+  }
+
+  _assertNotQueued(requestId) {
+    if (this.requests.has(requestId) || this._validating.has(requestId)) {
+      throw new RelayerError("Hurupay: request already queued", 409);
+    }
+  }
+
+  async _validate(request) {
+    request.token = request.token ?? (await this.client.getDefaultToken());
+    const result = await preflightTransfer(this.client, request, {
+      relayer: await this.signer.getAddress(),
+    });
+    if (!result.ok) {
+      const { code, reason } = result.error;
+      throw new RelayerError(reason, ERROR_STATUSES[code] ?? 400);
+    }
+
+    // Catches anything the pre-flight checks cannot see
+    await this._simulate(request).catch((error) => {
+      throw new RelayerError(reasonOf(error));
+    });
+    return request;
+  }
+
+  async _simulate(request) {
+    return this.client.contract.executeTransferWithSignature.staticCall(
+      request.requestId,
+      request.sender,
+      request.recipient,
+      request.token,
+      request.amount,
+      request.deadline,
+      request.signature
+    );
+  }
+
+  async _nextNonce() {
+    if (this._nonce === null) {
+      this._nonce = await this.signer.getNonce("pending");
+    }
+    return this._nonce++;
+  }
+
+  // Sends a queued request. Failures before the transaction is broadcast
+  // (e.g. a nonce taken by another transaction of the account) are retried;
+  // once broadcast, its receipt decides.
+  async _process(request, record) {
+    let tx;
+    for (;;) {
+      record.attempts++;
+      try {
+        // State may have changed while queued, e.g. a front-run
+        await this._simulate(request);
+        tx = await this.client.executeTransfer(request, {
+          nonce: await this._nextNonce(),
+        });
+        break;
+      } catch (error) {
+        // Not sent, so resync the nonce with the chain
+        this._nonce = null;
+        record.error = reasonOf(error);
+        if (!isTransient(error) || record.attempts >= this.maxAttempts) {
+          record.status = RelayStatus.FAILED;
+          return;
+        }
+        await sleep(this.retryDelayMs);
+      }
+    }
+
+    record.status = RelayStatus.SUBMITTED;
+    record.transactionHash = tx.hash;
+    record.error = null;
+    try {
+      const receipt = await tx.wait(this.confirmations);
+      record.status = RelayStatus.CONFIRMED;
+      record.blockNumber = receipt.blockNumber;
+    } catch (error) {
+      record.status = RelayStatus.FAILED;
+      record.error = reasonOf(error);
+    }
+  }
+}
+
+async function readBody(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new RelayerError("Hurupay: request too large", 413);
+    }
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch (_) {
+    throw new RelayerError("Hurupay: invalid JSON");
+  }
+}
+
+// HTTP API of a relayer:
+//   POST /requests       signed transfer request (JSON) => 202 + status
+//   GET  /requests/:id   status of a submitted request
+//   GET  /health         relayer address, chain and queue length
+function createRelayerServer(relayer) {
+  return http.createServer(async (req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(toJson(body));
+    };
+
+    try {
+      const { pathname } = new URL(req.url, "http://localhost");
+      const [, resource, id] = pathname.split("/");
+
+      if (req.method === "POST" && pathname === "/requests") {
+        return send(202, await relayer.submit(await readBody(req)));
+      }
+      if (req.method === "GET" && resource === "requests" && id) {
+        const status = relayer.getStatus(id);
+        if (!status) return send(404, { error: "Hurupay: unknown request" });
+        return send(200, status);
+      }
+      if (req.method === "GET" && pathname === "/health") {
+        return send(200, {
+          relayer: await relayer.signer.getAddress(),
+          contract: await relayer.client.getAddress(),
+          chainId: await relayer.client.getChainId(),
+          queueLength: relayer.queueLength,
+        });
+      }
+      return send(404, { error: "Not found" });
+    } catch (error) {
+      if (error instanceof RelayerError) {
+        return send(error.status, { error: error.message });
+      }
+      return send(500, { error: reasonOf(error) });
+    }
+  });
+}
+
+module.exports = {
+  HurupayRelayer,
+  RelayerError,
+  RelayStatus,
+  createRelayerServer,
+};
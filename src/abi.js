@@ -0,0 +1,170 @@
+// Human-readable ABI for the parts of HurupaySmartContract the client uses.
+// Keep in sync with contracts/HurupaySmartContract.sol.
+const HURUPAY_ABI = [
+  "function usdc() view returns (address)",
+  "function feePercentage() view returns (uint256)",
+  "function MAX_FEE_PERCENTAGE() view returns (uint256)",
+  "function accumulatedFees(address) view returns (uint256)",
+  "function tokenConfigs(address) view returns (bool supported, bool customFee, uint256 feeBps, uint256 minFee, uint256 maxFee)",
+  "function getSupportedTokens() view returns (address[])",
+  "function processedRequests(bytes32) view returns (bool)",
+  "function authorizedRelayers(address) view returns (bool)",
+  "function openRelaying() view returns (bool)",
+  "function relayerFeeShare() view returns (uint256)",
+  "function relayerFees(address, address) view returns (uint256)",
+  "function totalRelayerFees(address) view returns (uint256)",
+  "function nonces(address) view returns (uint256)",
+  "function cancelledRequests(address, bytes32) view returns (bool)",
+  "function TRANSFER_TYPEHASH() view returns (bytes32)",
+  "function ESCROW_TYPEHASH() view returns (bytes32)",
+  "function SCHEDULE_TYPEHASH() view returns (bytes32)",
+  "function SPLIT_TYPEHASH() view returns (bytes32)",
+  "function INVOICE_TYPEHASH() view returns (bytes32)",
+  "function CANCEL_TYPEHASH() view returns (bytes32)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+  "function getBalance(address _token, address _user) view returns (uint256)",
+  "function calculateFee(address _token, uint256 _amount) view returns (uint256)",
+  "function calculateFeeFor(address _token, address _sender, address _recipient, uint256 _amount) view returns (uint256)",
+  "function getFeeQuote(address _token, address _sender, address _recipient, uint256 _amount) view returns ((address token, uint256 amount, uint8 source, uint256 feeBps, uint256 rateFee, uint256 fee, uint256 amountAfterFee) quote)",
+  "function getFeeTiers(address _token) view returns ((uint256 minAmount, uint256 feeBps)[])",
+  "function SPENDING_WINDOW() view returns (uint256)",
+  "function getSpendingLimit(address _sender, address _token) view returns ((bool enabled, uint256 dailyLimit, uint256 maxTransfer) limit)",
+  "function getRemainingAllowance(address _sender, address _token) view returns (uint256 remaining, uint256 resetsAt)",
+  "function spendingWindows(address, address) view returns (uint64 hour, uint192 spent)",
+  "function recipientFeeOverrides(address) view returns (bool enabled, uint256 feeBps)",
+  "function senderFeeOverrides(address) view returns (bool enabled, uint256 feeBps)",
+  "function transfer(address _token, address _to, uint256 _amount) returns (bool)",
+  "function executeTransferWithSignature(bytes32 _requestId, address _sender, address _recipient, address _token, uint256 _amount, uint256 _deadline, bytes _signature) returns (bool)",
+  "function executeTransferWithPermit((bytes32 requestId, address sender, address recipient, address token, uint256 amount, uint256 deadline, bytes signature) _request, (uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) _permit) returns (bool)",
+  "function cancelRequest(bytes32 _requestId)",
+  "function cancelRequestWithSignature(bytes32 _requestId, address _sender, bytes _signature)",
+  "function incrementNonce()",
+  "function escrows(bytes32) view returns (address sender, address recipient, address token, address arbiter, address relayer, uint256 amount, uint256 fee, uint256 refundAfter, uint8 status)",
+  "function totalEscrowed(address) view returns (uint256)",
+  "function executeEscrowWithSignature(((bytes32 requestId, address sender, address recipient, address token, uint256 amount, uint256 deadline, bytes signature) transfer, address arbiter, uint256 refundAfter) _request) returns (bool)",
+  "function releaseEscrow(bytes32 _requestId)",
+  "function refundEscrow(bytes32 _requestId)",
+  "function disputeEscrow(bytes32 _requestId)",
+  "function schedules(address, bytes32) view returns (uint256 executed, bool revoked)",
+  "function executeScheduledPayment((bytes32 scheduleId, address sender, address recipient, address token, uint256 amount, uint256 period, uint256 start, uint256 maxOccurrences, bytes signature) _schedule) returns (bool)",
+  "function revokeSchedule(bytes32 _scheduleId)",
+  "function invoices(address, bytes32) view returns (uint8)",
+  "function payInvoice((bytes32 invoiceId, address merchant, address payer, address token, uint256 amount, uint256 expiry, bytes32 memo) _invoice, bytes _signature) returns (bool)",
+  "function voidInvoice(bytes32 _invoiceId)",
+  "function transferDigests(bytes32) view returns (bytes32)",
+  "function refundedAmounts(bytes32) view returns (uint256)",
+  "function refundedFees(bytes32) view returns (uint256)",
+  "function refundTransfer((bytes32 requestId, address sender, address recipient, address token, uint256 netAmount, uint256 ownerFee) _transfer, uint256 _amount)",
+  "function refundTransferFee((bytes32 requestId, address sender, address recipient, address token, uint256 netAmount, uint256 ownerFee) _transfer)",
+  "function MAX_BATCH_SIZE() view returns (uint256)",
+  "function MAX_SPLIT_PAYEES() view returns (uint256)",
+  "function executeSplitTransferWithSignature((bytes32 requestId, address sender, address token, (address recipient, uint256 amount)[] payees, uint256 deadline, bytes signature) _request) returns (bool)",
+  "function withdrawRelayerFees(address _token)",
+  "function executeBatchTransferWithSignature((bytes32 requestId, address sender, address recipient, address token, uint256 amount, uint256 deadline, bytes signature)[] _requests, bool _atomic) returns (uint256 successCount)",
+  // Admin
+  "function owner() view returns (address)",
+  "function extension() view returns (address)",
+  "function payments() view returns (address)",
+  "function upgradeToAndCall(address newImplementation, bytes data) payable",
+  "function pendingOwner() view returns (address)",
+  "function transferOwnership(address newOwner)",
+  "function acceptOwnership()",
+  "function adminDelay() view returns (uint256)",
+  "function pendingActions(bytes32) view returns (uint256)",
+  "function ACTION_GRACE_PERIOD() view returns (uint256)",
+  "function proposeAction(bytes _data) returns (bytes32 actionId)",
+  "function cancelAction(bytes32 _actionId)",
+  "function updateAdminDelay(uint256 _newDelay)",
+  "function updateFee(uint256 _newFeePercentage)",
+  "function setFeeTiers(address _token, (uint256 minAmount, uint256 feeBps)[] _tiers)",
+  "function setSupportedToken(address _token, bool _supported)",
+  "function updateTokenFee(address _token, bool _customFee, uint256 _feeBps)",
+  "function updateFeeLimits(address _token, uint256 _minFee, uint256 _maxFee)",
+  "function setRecipientFeeOverride(address _recipient, bool _enabled, uint256 _feeBps)",
+  "function setSenderFeeOverride(address _sender, bool _enabled, uint256 _feeBps)",
+  "function guardian() view returns (address)",
+  "function paused() view returns (bool)",
+  "function blocked(address) view returns (bool)",
+  "function pause()",
+  "function unpause()",
+  "function setGuardian(address _guardian)",
+  "function setBlocked(address _account, bool _blocked)",
+  "function setSpendingLimit(address _token, uint256 _dailyLimit, uint256 _maxTransfer)",
+  "function setSenderSpendingLimit(address _sender, address _token, bool _enabled, uint256 _dailyLimit, uint256 _maxTransfer)",
+  "function setRelayer(address _relayer, bool _authorized)",
+  "function setOpenRelaying(bool _enabled)",
+  "function updateRelayerFeeShare(uint256 _newShare)",
+  "function withdrawFees(address _token)",
+  "function claimFees(address _token, uint256 _amount)",
+  "function getBeneficiaries() view returns ((address account, uint256 shareBps)[])",
+  "function setBeneficiaries((address account, uint256 shareBps)[] _beneficiaries)",
+  "function claimableFees(address, address) view returns (uint256)",
+  "function totalClaimableFees(address) view returns (uint256)",
+  "function MAX_BENEFICIARIES() view returns (uint256)",
+  "function recoverERC20(address _token)",
+  "event Transfer(address indexed from, address indexed to, address indexed token, uint256 amount, uint256 fee)",
+  "event SignedTransfer(bytes32 indexed requestId, address indexed relayer, address indexed sender, address recipient, address token, uint256 grossAmount, uint256 netAmount, uint256 fee, uint256 feeBps)",
+  "event FeeUpdated(uint256 oldFee, uint256 newFee)",
+  "event FeeTiersUpdated(address indexed token, (uint256 minAmount, uint256 feeBps)[] tiers)",
+  "event TokenFeeUpdated(address indexed token, bool customFee, uint256 feeBps)",
+  "event FeeLimitsUpdated(address indexed token, uint256 minFee, uint256 maxFee)",
+  "event RecipientFeeOverrideUpdated(address indexed recipient, bool enabled, uint256 feeBps)",
+  "event SenderFeeOverrideUpdated(address indexed sender, bool enabled, uint256 feeBps)",
+  "event ActionProposed(bytes32 indexed actionId, bytes data, uint256 readyAt)",
+  "event ActionExecuted(bytes32 indexed actionId)",
+  "event ActionCancelled(bytes32 indexed actionId)",
+  "event AdminDelayUpdated(uint256 oldDelay, uint256 newDelay)",
+  "event GuardianUpdated(address indexed oldGuardian, address indexed newGuardian)",
+  "event Paused(address indexed guardian)",
+  "event Unpaused(address indexed guardian)",
+  "event BlockedUpdated(address indexed account, bool blocked)",
+  "event SpendingLimitUpdated(address indexed token, uint256 dailyLimit, uint256 maxTransfer)",
+  "event SenderSpendingLimitUpdated(address indexed sender, address indexed token, bool enabled, uint256 dailyLimit, uint256 maxTransfer)",
+  "event FeesWithdrawn(address indexed owner, address indexed token, uint256 amount)",
+  "event FeesDistributed(address indexed token, uint256 amount)",
+  "event FeesAllocated(address indexed beneficiary, address indexed token, uint256 amount)",
+  "event FeesClaimed(address indexed beneficiary, address indexed token, uint256 amount)",
+  "event BeneficiariesUpdated((address account, uint256 shareBps)[] beneficiaries)",
+  "event TokenSupportUpdated(address indexed token, bool supported)",
+  "event RequestCancelled(address indexed sender, bytes32 indexed requestId)",
+  "event NonceIncremented(address indexed sender, uint256 newNonce)",
+  "event RelayerUpdated(address indexed relayer, bool authorized)",
+  "event OpenRelayingUpdated(bool enabled)",
+  "event RelayerFeeShareUpdated(uint256 oldShare, uint256 newShare)",
+  "event RelayerFeeCredited(address indexed relayer, address indexed token, uint256 amount)",
+  "event RelayerFeesWithdrawn(address indexed relayer, address indexed token, uint256 amount)",
+  "event EscrowCreated(bytes32 indexed requestId, address indexed sender, address indexed recipient, address token, uint256 amount, address arbiter, uint256 refundAfter)",
+  "event EscrowReleased(bytes32 indexed requestId, address indexed by, uint256 amount, uint256 fee)",
+  "event EscrowRefunded(bytes32 indexed requestId, address indexed by, uint256 amount)",
+  "event EscrowDisputed(bytes32 indexed requestId, address indexed by)",
+  "event ScheduledPaymentExecuted(bytes32 indexed scheduleId, address indexed sender, address indexed recipient, uint256 occurrence, uint256 amount, uint256 fee)",
+  "event SplitPayment(bytes32 indexed requestId, address indexed sender, address indexed recipient, address token, uint256 amount, uint256 fee)",
+  "event InvoicePaid(address indexed merchant, bytes32 indexed invoiceId, address indexed payer, address token, uint256 amount, uint256 fee, bytes32 memo)",
+  "event InvoiceVoided(address indexed merchant, bytes32 indexed invoiceId)",
+  "event TransferRefunded(bytes32 indexed requestId, address indexed sender, address indexed recipient, address token, uint256 amount, uint256 feeRefund)",
+  "event ScheduleRevoked(address indexed sender, bytes32 indexed scheduleId)",
+  "event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner)",
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+  "event Upgraded(address indexed implementation)",
+  "event BatchItemResult(uint256 indexed index, bytes32 indexed requestId, bool success, bytes reason)",
+];
+
+// Events of earlier deployments whose signature has since changed, to
+// decode their logs. Kept apart so each name has one event in HURUPAY_ABI.
+const LEGACY_HURUPAY_ABI = [
+  "event Transfer(address indexed from, address indexed to, uint256 amount, uint256 fee)",
+];
+
+// ERC20 + EIP-2612 permit, as implemented by USDC and MockUSDC
+const ERC20_PERMIT_ABI = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function version() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function nonces(address owner) view returns (uint256)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+];
+
+module.exports = { HURUPAY_ABI, LEGACY_HURUPAY_ABI, ERC20_PERMIT_ABI };
@@ -0,0 +1,15 @@
+const client = require("./HurupayClient");
+const indexer = require("./HurupayIndexer");
+const relayer = require("./HurupayRelayer");
+const preflight = require("./preflight");
+const { HURUPAY_ABI, LEGACY_HURUPAY_ABI, ERC20_PERMIT_ABI } = require("./abi");
+
+module.exports = {
+  ...client,
+  ...indexer,
+  ...relayer,
+  ...preflight,
+  HURUPAY_ABI,
+  LEGACY_HURUPAY_ABI,
+  ERC20_PERMIT_ABI,
+};
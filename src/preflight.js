@@ -0,0 +1,148 @@
+const { ethers } = require("ethers");
+const {
+  FEE_SOURCES,
+  normalizeRequestId,
+  decodeRevertReason,
+  isValidTypedDataSignature,
+} = require("./HurupayClient");
+
+// Codes of the errors preflightTransfer returns and the revert reason
+// executeTransferWithSignature would fail with. Balance and allowance fail
+// inside the token, so their reasons are the client's own.
+const PreflightErrors = Object.freeze({
+  NOT_AUTHORIZED_RELAYER: "Hurupay: caller is not an authorized relayer",
+  PAUSED: "Hurupay: paused",
+  INVALID_SENDER: "Hurupay: invalid sender address",
+  INVALID_RECIPIENT: "Hurupay: invalid recipient address",
+  INVALID_AMOUNT: "Hurupay: amount must be greater than zero",
+  SENDER_BLOCKED: "Hurupay: sender blocked",
+  RECIPIENT_BLOCKED: "Hurupay: recipient blocked",
+  EXPIRED: "Hurupay: transaction expired",
+  REQUEST_PROCESSED: "Hurupay: request already processed",
+  REQUEST_CANCELLED: "Hurupay: request cancelled",
+  INVALID_SIGNATURE: "Hurupay: invalid signature",
+  TRANSFER_LIMIT_EXCEEDED: "Hurupay: amount exceeds transfer limit",
+  DAILY_LIMIT_EXCEEDED: "Hurupay: daily limit exceeded",
+  UNSUPPORTED_TOKEN: "Hurupay: unsupported token",
+  FEE_EXCEEDS_AMOUNT: "Hurupay: fee exceeds amount",
+  INSUFFICIENT_ALLOWANCE: "Hurupay: insufficient allowance",
+  INSUFFICIENT_BALANCE: "Hurupay: insufficient balance",
+});
+
+class PreflightError extends Error {
+  constructor(code, reason = PreflightErrors[code]) {
+    super(reason);
+    this.name = "PreflightError";
+    this.code = code;
+    this.reason = reason;
+  }
+}
+
+function fail(code) {
+  return { ok: false, error: new PreflightError(code) };
+}
+
+// Whether `signature` is the sender's, ECDSA or ERC-1271
+async function isValidSignature(client, request) {
+  const typedData = await client.buildTransferTypedData(request);
+  return isValidTypedDataSignature(
+    client.provider,
+    typedData,
+    typedData.value.sender,
+    request.signature
+  );
+}
+
+// Runs the checks executeTransferWithSignature makes, in the same order,
+// without sending anything. Resolves to { ok: true, quote } with the fee
+// the transfer would pay, or { ok: false, error } with a PreflightError
+// whose reason is what the contract would revert with. Pass `relayer` to
+// also check that it may submit the request.
+async function preflightTransfer(client, request, { relayer } = {}) {
+  const contract = client.contract;
+  const token = request.token ?? (await client.getDefaultToken());
+  const requestId = normalizeRequestId(request.requestId);
+  const sender = ethers.getAddress(request.sender);
+  const recipient = ethers.getAddress(request.recipient);
+  const amount = BigInt(request.amount);
+  const deadline = BigInt(request.deadline);
+
+  // Modifiers
+  if (await contract.paused()) return fail("PAUSED");
+  if (relayer && !(await client.canRelay(relayer))) {
+    return fail("NOT_AUTHORIZED_RELAYER");
+  }
+
+  // Common request checks
+  if (sender === ethers.ZeroAddress) return fail("INVALID_SENDER");
+  if (recipient === ethers.ZeroAddress) return fail("INVALID_RECIPIENT");
+  if (amount === 0n) return fail("INVALID_AMOUNT");
+  if (await contract.blocked(sender)) return fail("SENDER_BLOCKED");
+  if (await contract.blocked(recipient)) return fail("RECIPIENT_BLOCKED");
+  const block = await client.provider.getBlock("latest");
+  if (BigInt(block.timestamp) > deadline) return fail("EXPIRED");
+  if (await contract.processedRequests(requestId)) {
+    return fail("REQUEST_PROCESSED");
+  }
+  if (await contract.cancelledRequests(sender, requestId)) {
+    return fail("REQUEST_CANCELLED");
+  }
+
+  // Checked against the current nonce, not the one the request was signed
+  // with, as the contract does
+  const nonce = await client.getNonce(sender);
+  if (!(await isValidSignature(client, { ...request, token, nonce }))) {
+    return fail("INVALID_SIGNATURE");
+  }
+
+  const limit = await contract.getSpendingLimit(sender, token);
+  if (limit.maxTransfer > 0n && amount > limit.maxTransfer) {
+    return fail("TRANSFER_LIMIT_EXCEEDED");
+  }
+  const [remaining] = await contract.getRemainingAllowance(sender, token);
+  if (amount > remaining) return fail("DAILY_LIMIT_EXCEEDED");
+
+  // Fee for these parties; reverts like the transfer would
+  let quote;
+  try {
+    quote = await contract.getFeeQuote(token, sender, recipient, amount);
+  } catch (error) {
+    const reason = error.reason ?? decodeRevertReason(error.data);
+    const code = Object.keys(PreflightErrors).find(
+      (key) => PreflightErrors[key] === reason
+    );
+    if (!code) throw error;
+    return fail(code);
+  }
+
+  // The token checks the allowance before the balance
+  const erc20 = await client.getToken(token);
+  if ((await erc20.allowance(sender, await client.getAddress())) < amount) {
+    return fail("INSUFFICIENT_ALLOWANCE");
+  }
+  if ((await contract.getBalance(token, sender)) < amount) {
+    return fail("INSUFFICIENT_BALANCE");
+  }
+
+  return {
+    ok: true,
+    quote: {
+      requestId,
+      sender,
+      recipient,
+      token: quote.token,
+      amount: quote.amount,
+      source: FEE_SOURCES[Number(quote.source)],
+      feeBps: quote.feeBps,
+      fee: quote.fee,
+      amountAfterFee: quote.amountAfterFee,
+      deadline,
+    },
+  };
+}
+
+module.exports = {
+  preflightTransfer,
+  PreflightError,
+  PreflightErrors,
+};
@@ -0,0 +1,426 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { task, types } = require("hardhat/config");
+const {
+  HurupayClient,
+  HurupayIndexer,
+  HurupayRelayer,
+  JsonFileStore,
+  createRelayerServer,
+  normalizeRequestId,
+} = require("../src");
+
+// Operator tasks for a deployed HurupaySmartContract, e.g.
+//
+//   npx hardhat hurupay:status --network base
+//   npx hardhat hurupay:set-fee --fee 25 --dry-run --network base
+//
+// The contract address comes from --address, HURUPAY_ADDRESS or the Ignition
+// deployment of the network, in that order. Transactions are sent by the
+// first account of the network and are simulated before sending; --dry-run
+// stops after the simulation.
+
+const IGNITION_FUTURE_ID = "HurupayModule#Hurupay";
+
+function resolveAddress(hre, chainId, address) {
+  if (address) return address;
+  if (process.env.HURUPAY_ADDRESS) return process.env.HURUPAY_ADDRESS;
+
+  const file = path.join(
+    hre.config.paths.ignition,
+    "deployments",
+    `chain-${chainId}`,
+    "deployed_addresses.json"
+  );
+  if (fs.existsSync(file)) {
+    const deployed = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (deployed[IGNITION_FUTURE_ID]) return deployed[IGNITION_FUTURE_ID];
+  }
+  throw new Error(
+    `Hurupay: no deployment found for chain ${chainId}, pass --address`
+  );
+}
+
+async function connect(hre, address) {
+  const [signer] = await hre.ethers.getSigners();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const client = HurupayClient.connect(
+    resolveAddress(hre, chainId, address),
+    signer
+  );
+  return { client, signer, chainId };
+}
+
+async function formatAmount(client, token, amount) {
+  const contract = await client.getToken(token);
+  const [decimals, symbol] = await Promise.all([
+    contract.decimals(),
+    contract.symbol().catch(() => ""),
+  ]);
+  return `${ethers.formatUnits(amount, decimals)} ${symbol}`.trim();
+}
+
+// Decoded Hurupay events of a receipt, also printed
+function printEvents(client, receipt) {
+  const events = [];
+  for (const log of receipt.logs) {
+    let parsed;
+    try {
+      parsed = client.contract.interface.parseLog(log);
+    } catch (_) {
+      continue;
+    }
+    if (!parsed) continue;
+    const args = {};
+    parsed.fragment.inputs.forEach((input, i) => {
+      args[input.name] = parsed.args[i];
+    });
+    events.push({ name: parsed.name, args });
+    const formatted = Object.entries(args)
+      .map(([name, value]) => `${name}=${value}`)
+      .join(", ");
+    console.log(`  ${parsed.name}(${formatted})`);
+  }
+  return events;
+}
+
+// Simulates `method`, then sends it unless dryRun
+async function send(client, method, args, dryRun) {
+  await client.contract[method].staticCall(...args);
+  if (dryRun) {
+    console.log("Dry run: simulation succeeded, nothing sent");
+    return { sent: false };
+  }
+
+  const tx = await client.contract[method](...args);
+  const receipt = await tx.wait();
+  console.log(`Sent ${method} in ${tx.hash} (block ${receipt.blockNumber})`);
+  return { sent: true, hash: tx.hash, events: printEvents(client, receipt) };
+}
+
+// Timelocked admin call: proposes it on the first run and makes it once
+// adminDelay has passed
+async function runAdminAction(client, method, args, dryRun) {
+  const call = `${method}(${args.join(", ")})`;
+  const readyAt = await client.getAdminActionReadyAt(method, args);
+  const block = await client.provider.getBlock("latest");
+  const now = BigInt(block.timestamp);
+
+  if (readyAt === 0n) {
+    const delay = await client.contract.adminDelay();
+    console.log(`Will propose ${call}, executable ${delay}s after proposal`);
+    const { data } = client.encodeAdminAction(method, args);
+    return {
+      stage: "proposed",
+      ...(await send(client, "proposeAction", [data], dryRun)),
+    };
+  }
+  if (now < readyAt) {
+    console.log(
+      `${call} is proposed and executable from ${new Date(
+        Number(readyAt) * 1000
+      ).toISOString()}`
+    );
+    return { stage: "timelocked", sent: false, readyAt };
+  }
+  if (now > readyAt + (await client.contract.ACTION_GRACE_PERIOD())) {
+    console.log(`${call} expired, cancel it and propose it again`);
+    return { stage: "expired", sent: false, readyAt };
+  }
+
+  console.log(`Will execute ${call}`);
+  return { stage: "executed", ...(await send(client, method, args, dryRun)) };
+}
+
+task("hurupay:status", "Prints the configuration and balances of Hurupay")
+  .addOptionalParam("address", "Hurupay contract address")
+  .setAction(async ({ address }, hre) => {
+    const { client, chainId } = await connect(hre, address);
+    const contract = client.contract;
+
+    const status = {
+      address: await client.getAddress(),
+      chainId,
+      owner: await contract.owner(),
+      pendingOwner: await contract.pendingOwner(),
+      guardian: await contract.guardian(),
+      paused: await contract.paused(),
+      openRelaying: await contract.openRelaying(),
+      feePercentage: await contract.feePercentage(),
+      relayerFeeShare: await contract.relayerFeeShare(),
+      adminDelay: await contract.adminDelay(),
+      tokens: [],
+    };
+    for (const token of await client.getSupportedTokens()) {
+      status.tokens.push({
+        token,
+        balance: await (await client.getToken(token)).balanceOf(status.address),
+        accumulatedFees: await contract.accumulatedFees(token),
+        relayerFees: await contract.totalRelayerFees(token),
+        escrowed: await contract.totalEscrowed(token),
+      });
+    }
+
+    console.log(`Hurupay ${status.address} on chain ${chainId}`);
+    console.log(`  owner:            ${status.owner}`);
+    if (status.pendingOwner !== ethers.ZeroAddress) {
+      console.log(`  pending owner:    ${status.pendingOwner}`);
+    }
+    console.log(`  guardian:         ${status.guardian}`);
+    console.log(`  paused:           ${status.paused}`);
+    console.log(`  open relaying:    ${status.openRelaying}`);
+    console.log(`  fee:              ${status.feePercentage} bps`);
+    console.log(`  relayer share:    ${status.relayerFeeShare} bps`);
+    console.log(`  admin delay:      ${status.adminDelay}s`);
+    for (const entry of status.tokens) {
+      console.log(`  token ${entry.token}`);
+      for (const key of [
+        "balance",
+        "accumulatedFees",
+        "relayerFees",
+        "escrowed",
+      ]) {
+        console.log(
+          `    ${key.padEnd(16)}${await formatAmount(
+            client,
+            entry.token,
+            entry[key]
+          )}`
+        );
+      }
+    }
+    return status;
+  });
+
+task("hurupay:set-fee", "Proposes or makes a base fee change (timelocked)")
+  .addParam("fee", "New fee in basis points", undefined, types.int)
+  .addOptionalParam("address", "Hurupay contract address")
+  .addFlag("dryRun", "Only simulate the transaction")
+  .setAction(async ({ fee, address, dryRun }, hre) => {
+    const { client } = await connect(hre, address);
+    console.log(
+      `Base fee: ${await client.contract.feePercentage()} bps -> ${fee} bps`
+    );
+    return runAdminAction(client, "updateFee", [fee], dryRun);
+  });
+
+task(
+  "hurupay:withdraw-fees",
+  "Withdraws the collected fees to the owner or the beneficiaries"
+)
+  .addOptionalParam("token", "Token to withdraw, USDC by default")
+  .addOptionalParam("address", "Hurupay contract address")
+  .addFlag("dryRun", "Only simulate the transaction")
+  .setAction(async ({ token, address, dryRun }, hre) => {
+    const { client } = await connect(hre, address);
+    const tokenAddress = token ?? (await client.getDefaultToken());
+    const amount = await client.contract.accumulatedFees(tokenAddress);
+    const beneficiaries = await client.getBeneficiaries();
+    console.log(
+      `Will withdraw ${await formatAmount(client, tokenAddress, amount)} to ${
+        beneficiaries.length > 0
+          ? `${beneficiaries.length} beneficiaries to claim`
+          : await client.contract.owner()
+      }`
+    );
+    return {
+      amount,
+      ...(await send(client, "withdrawFees", [tokenAddress], dryRun)),
+    };
+  });
+
+task("hurupay:recover", "Proposes or makes an ERC20 recovery (timelocked)")
+  .addParam("token", "Token sent to the contract by mistake")
+  .addOptionalParam("address", "Hurupay contract address")
+  .addFlag("dryRun", "Only simulate the transaction")
+  .setAction(async ({ token, address, dryRun }, hre) => {
+    const { client } = await connect(hre, address);
+    const contract = client.contract;
+    const self = await client.getAddress();
+
+    // Fees and escrows stay in the contract, only the rest is recoverable
+    const balance = await (await client.getToken(token)).balanceOf(self);
+    const reserved =
+      (await contract.accumulatedFees(token)) +
+      (await contract.totalClaimableFees(token)) +
+      (await contract.totalRelayerFees(token)) +
+      (await contract.totalEscrowed(token));
+    const amount = balance > reserved ? balance - reserved : 0n;
+    console.log(
+      `Recoverable now: ${await formatAmount(client, token, amount)}`
+    );
+    return {
+      amount,
+      ...(await runAdminAction(client, "recoverERC20", [token], dryRun)),
+    };
+  });
+
+task("hurupay:check-request", "Shows what happened to a signed request")
+  .addParam("requestId", "Request id (bytes32, or the order id it hashes)")
+  .addOptionalParam("sender", "Sender, to check cancellations and the nonce")
+  .addOptionalParam("address", "Hurupay contract address")
+  .addOptionalParam(
+    "fromBlock",
+    "First block to search for the transfer",
+    0,
+    types.int
+  )
+  .setAction(async ({ requestId, sender, address, fromBlock }, hre) => {
+    const { client } = await connect(hre, address);
+    const id = normalizeRequestId(requestId);
+
+    const result = {
+      requestId: id,
+      processed: await client.contract.processedRequests(id),
+      escrow: await client.getEscrow(id),
+      transfer: null,
+    };
+    if (result.processed) {
+      result.transfer = await client.findSignedTransfer(id, { fromBlock });
+    }
+    if (sender) {
+      result.cancelled = await client.contract.cancelledRequests(sender, id);
+      result.nonce = await client.getNonce(sender);
+    }
+
+    console.log(`Request ${id}`);
+    console.log(`  processed: ${result.processed}`);
+    if (sender) {
+      console.log(`  cancelled: ${result.cancelled}`);
+      console.log(`  sender nonce: ${result.nonce}`);
+    }
+    if (result.transfer) {
+      const { transfer } = result;
+      console.log(
+        `  transfer: ${await formatAmount(
+          client,
+          transfer.token,
+          transfer.netAmount
+        )} from ${transfer.sender} to ${transfer.recipient}, fee ${
+          transfer.fee
+        } (${transfer.feeBps} bps), relayed by ${transfer.relayer} in ${
+          transfer.transactionHash
+        }`
+      );
+    }
+    if (result.escrow.status !== "none") {
+      const { escrow } = result;
+      console.log(
+        `  escrow: ${escrow.status}, ${await formatAmount(
+          client,
+          escrow.token,
+          escrow.amount
+        )} from ${escrow.sender} to ${escrow.recipient}`
+      );
+    }
+    return result;
+  });
+
+task(
+  "hurupay:reconcile",
+  "Indexes fee events and checks them against accumulatedFees"
+)
+  .addOptionalParam("address", "Hurupay contract address")
+  .addOptionalParam(
+    "store",
+    "JSON file of the index, under .hurupay/ by default"
+  )
+  .addOptionalParam(
+    "fromBlock",
+    "First block of a new index, the deployment block",
+    0,
+    types.int
+  )
+  .addOptionalParam("batchSize", "Blocks per log query", 2000, types.int)
+  .addOptionalParam(
+    "confirmations",
+    "Blocks to stay behind the chain head",
+    0,
+    types.int
+  )
+  .setAction(
+    async ({ address, store, fromBlock, batchSize, confirmations }, hre) => {
+      const { client, signer, chainId } = await connect(hre, address);
+      const contractAddress = await client.getAddress();
+      const file =
+        store ??
+        path.join(
+          hre.config.paths.root,
+          ".hurupay",
+          `index-${chainId}-${contractAddress.toLowerCase()}.json`
+        );
+      const indexer = HurupayIndexer.connect(contractAddress, signer, {
+        store: new JsonFileStore(file),
+        fromBlock,
+        batchSize,
+        confirmations,
+      });
+
+      const indexed = await indexer.sync();
+      console.log(`Indexed up to block ${indexed.lastBlock} into ${file}`);
+      console.log(
+        `  ${indexed.transfers} transfers, ${indexed.feeUpdates} fee updates, ` +
+          `${indexed.feeWithdrawals} withdrawals, ` +
+          `${indexed.feeDistributions} distributions, ` +
+          `${indexed.refunds} refunds, ` +
+          `${indexed.relayerFeeCredits} relayer fee credits`
+      );
+
+      const report = await indexer.reconcile();
+      for (const entry of report.tokens) {
+        console.log(
+          `  token ${entry.token}: ${entry.matches ? "OK" : "MISMATCH"}`
+        );
+        for (const key of [
+          "fees",
+          "relayerFees",
+          "withdrawn",
+          "distributed",
+          "refundedFees",
+          "expected",
+          "onChain",
+        ]) {
+          console.log(
+            `    ${key.padEnd(16)}${await formatAmount(
+              client,
+              entry.token,
+              entry[key]
+            )}`
+          );
+        }
+      }
+      console.log(
+        report.ok
+          ? "Reconciled: indexed fees match accumulatedFees"
+          : "Indexed fees do not match accumulatedFees"
+      );
+      return report;
+    }
+  );
+
+task("hurupay:relayer", "Runs an HTTP relayer for signed transfer requests")
+  .addOptionalParam("address", "Hurupay contract address")
+  .addOptionalParam("port", "Port to listen on", 3000, types.int)
+  .addOptionalParam(
+    "confirmations",
+    "Blocks to wait for before a transfer counts as confirmed",
+    1,
+    types.int
+  )
+  .setAction(async ({ address, port, confirmations }, hre) => {
+    const { client, signer } = await connect(hre, address);
+    const relayer = new HurupayRelayer(client, { confirmations });
+    const server = createRelayerServer(relayer);
+    await new Promise((resolve) => server.listen(port, resolve));
+    console.log(
+      `Relaying for ${await client.getAddress()} from ${
+        signer.address
+      } on http://localhost:${port}`
+    );
+
+    // Serve until interrupted
+    await new Promise(() => {});
+  });
+
+module.exports = { resolveAddress };
@@ -0,0 +1,313 @@
+const {
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  HurupayClient,
+  HURUPAY_ABI,
+  LEGACY_HURUPAY_ABI,
+  TRANSFER_TYPEHASH,
+  ESCROW_TYPEHASH,
+  SCHEDULE_TYPEHASH,
+  SPLIT_TYPEHASH,
+  INVOICE_TYPEHASH,
+  CANCEL_TYPEHASH,
+  normalizeRequestId,
+  recoverTransferSigner,
+} = require("../src");
+const { deployHurupay } = require("./fixtures");
+
+async function deployClientFixture() {
+  const fixture = await deployHurupay();
+
+  // Connect through the bundled ABI, as the backend would
+  const client = HurupayClient.connect(fixture.hurupay.target, fixture.owner);
+  return { ...fixture, client };
+}
+
+describe("HurupayClient", function () {
+  describe("Request IDs", function () {
+    it("Should keep a bytes32 requestId as is", async function () {
+      const requestId = ethers.keccak256(ethers.toUtf8Bytes("order-1"));
+      expect(normalizeRequestId(requestId)).to.equal(requestId);
+    });
+
+    it("Should left pad short hex requestIds to bytes32", async function () {
+      expect(normalizeRequestId("0x1234")).to.equal(
+        ethers.zeroPadValue("0x1234", 32)
+      );
+    });
+
+    it("Should hash plain string requestIds", async function () {
+      expect(normalizeRequestId("order-1")).to.equal(
+        ethers.keccak256(ethers.toUtf8Bytes("order-1"))
+      );
+    });
+
+    it("Should generate a random requestId when none is given", async function () {
+      const first = normalizeRequestId();
+      const second = normalizeRequestId();
+      expect(ethers.dataLength(first)).to.equal(32);
+      expect(first).to.not.equal(second);
+    });
+
+    it("Should reject requestIds longer than 32 bytes", async function () {
+      expect(() => normalizeRequestId(ethers.randomBytes(33))).to.throw(
+        "Hurupay: requestId longer than 32 bytes"
+      );
+    });
+  });
+
+  describe("Signing", function () {
+    it("Should match the contract TRANSFER_TYPEHASH", async function () {
+      const { hurupay } = await loadFixture(deployClientFixture);
+      expect(await hurupay.TRANSFER_TYPEHASH()).to.equal(TRANSFER_TYPEHASH);
+    });
+
+    it("Should match the contract ESCROW_TYPEHASH", async function () {
+      const { hurupay } = await loadFixture(deployClientFixture);
+      expect(await hurupay.ESCROW_TYPEHASH()).to.equal(ESCROW_TYPEHASH);
+    });
+
+    it("Should match the contract SCHEDULE_TYPEHASH", async function () {
+      const { hurupay } = await loadFixture(deployClientFixture);
+      expect(await hurupay.SCHEDULE_TYPEHASH()).to.equal(SCHEDULE_TYPEHASH);
+    });
+
+    it("Should match the contract SPLIT_TYPEHASH", async function () {
+      const { hurupay } = await loadFixture(deployClientFixture);
+      expect(await hurupay.SPLIT_TYPEHASH()).to.equal(SPLIT_TYPEHASH);
+    });
+
+    it("Should match the contract INVOICE_TYPEHASH", async function () {
+      const { hurupay } = await loadFixture(deployClientFixture);
+      expect(await hurupay.INVOICE_TYPEHASH()).to.equal(INVOICE_TYPEHASH);
+    });
+
+    it("Should match the contract CANCEL_TYPEHASH", async function () {
+      const { hurupay } = await loadFixture(deployClientFixture);
+      expect(await hurupay.CANCEL_TYPEHASH()).to.equal(CANCEL_TYPEHASH);
+    });
+
+    it("Should sign with the sender's current nonce", async function () {
+      const { hurupay, client, user1, user2 } = await loadFixture(
+        deployClientFixture
+      );
+
+      await hurupay.connect(user1).incrementNonce();
+      const request = await client.signTransferRequest(user1, {
+        recipient: user2.address,
+        amount: ethers.parseUnits("10", 6),
+      });
+
+      expect(request.nonce).to.equal(1);
+    });
+
+    it("Should produce a signature recoverable to the sender", async function () {
+      const { client, user1, user2 } = await loadFixture(deployClientFixture);
+
+      const request = await client.signTransferRequest(user1, {
+        recipient: user2.address,
+        amount: ethers.parseUnits("10", 6),
+      });
+      const typedData = await client.buildTransferTypedData(request);
+
+      expect(recoverTransferSigner(typedData, request.signature)).to.equal(
+        user1.address
+      );
+    });
+
+    it("Should set the deadline relative to the latest block", async function () {
+      const { client, user1, user2 } = await loadFixture(deployClientFixture);
+
+      const request = await client.signTransferRequest(user1, {
+        recipient: user2.address,
+        amount: ethers.parseUnits("10", 6),
+        deadlineInMinutes: 5,
+      });
+      const block = await ethers.provider.getBlock("latest");
+
+      expect(request.deadline).to.equal(BigInt(block.timestamp + 5 * 60));
+    });
+
+    it("Should sign with a plain ethers wallet", async function () {
+      const { hurupay, client, mockUSDC, user2 } = await loadFixture(
+        deployClientFixture
+      );
+
+      const wallet = ethers.Wallet.createRandom(ethers.provider);
+      await mockUSDC.mint(wallet.address, ethers.parseUnits("100", 6));
+      await user2.sendTransaction({
+        to: wallet.address,
+        value: ethers.parseEther("1"),
+      });
+      await mockUSDC.connect(wallet).approve(hurupay.target, ethers.MaxUint256);
+
+      const amount = ethers.parseUnits("100", 6);
+      const request = await client.signTransferRequest(wallet, {
+        requestId: "wallet-order",
+        recipient: user2.address,
+        amount,
+      });
+      const { fee, amountAfterFee } = await client.quote(amount);
+
+      await expect(client.executeTransfer(request))
+        .to.emit(hurupay, "Transfer")
+        .withArgs(
+          wallet.address,
+          user2.address,
+          mockUSDC.target,
+          amountAfterFee,
+          fee
+        );
+      expect(await client.isProcessed("wallet-order")).to.equal(true);
+    });
+  });
+
+  describe("Invoices", function () {
+    it("Should verify an invoice as the contract would", async function () {
+      const { hurupay, client, user1, user2 } = await loadFixture(
+        deployClientFixture
+      );
+      const invoice = await client.createInvoice(user2, {
+        invoiceId: "INV-1",
+        amount: ethers.parseUnits("10", 6),
+        memo: "order-42",
+      });
+      expect(invoice.memo).to.equal(ethers.id("order-42"));
+      expect(invoice.payer).to.equal(ethers.ZeroAddress);
+
+      expect(await client.verifyInvoice(invoice)).to.deep.equal({
+        valid: true,
+        status: "open",
+        reason: null,
+      });
+      expect(
+        await client.verifyInvoice({ ...invoice, merchant: user1.address })
+      ).to.include({ valid: false, reason: "Hurupay: invalid signature" });
+
+      await hurupay.connect(user2).voidInvoice(invoice.invoiceId);
+      expect(await client.verifyInvoice(invoice)).to.include({
+        valid: false,
+        status: "void",
+        reason: "Hurupay: invoice void",
+      });
+    });
+  });
+
+  describe("ABI", function () {
+    it("Should include every event the contracts emit in the bundled ABI", async function () {
+      const bundled = new ethers.Interface(HURUPAY_ABI);
+      for (const name of [
+        "HurupaySmartContract",
+        "HurupayExtension",
+        "HurupayPayments",
+      ]) {
+        const { interface: contract } = await ethers.getContractFactory(name);
+        contract.forEachEvent((event) => {
+          // Emitted by OpenZeppelin internals, not by Hurupay flows
+          if (["Initialized", "EIP712DomainChanged"].includes(event.name)) {
+            return;
+          }
+          expect(bundled.getEvent(event.format()), event.format()).to.not.equal(
+            null
+          );
+        });
+      }
+    });
+  });
+
+  describe("Transfer events", function () {
+    it("Should parse signed transfers with their requestId", async function () {
+      const { client, mockUSDC, owner, user1, user2 } = await loadFixture(
+        deployClientFixture
+      );
+
+      const amount = ethers.parseUnits("100", 6);
+      const request = await client.signTransferRequest(user1, {
+        requestId: "order-1",
+        recipient: user2.address,
+        amount,
+      });
+      const receipt = await (await client.executeTransfer(request)).wait();
+
+      expect(client.parseTransfers(receipt)).to.deep.equal([
+        {
+          requestId: request.requestId,
+          relayer: owner.address,
+          sender: user1.address,
+          recipient: user2.address,
+          token: mockUSDC.target,
+          grossAmount: amount,
+          netAmount: ethers.parseUnits("99", 6),
+          fee: ethers.parseUnits("1", 6),
+          feeBps: 100n,
+        },
+      ]);
+    });
+
+    it("Should parse direct transfers from the Transfer event", async function () {
+      const { hurupay, client, mockUSDC, user1, user2 } = await loadFixture(
+        deployClientFixture
+      );
+
+      const amount = ethers.parseUnits("5", 6);
+      const tx = await hurupay
+        .connect(user1)
+        .transfer(mockUSDC.target, user2.address, amount);
+
+      const [transfer] = client.parseTransfers(await tx.wait());
+      expect(transfer.requestId).to.equal(null);
+      expect(transfer.grossAmount).to.equal(amount);
+      expect(transfer.netAmount).to.equal(amount);
+      expect(transfer.fee).to.equal(0);
+    });
+
+    it("Should parse the token-less Transfer of the first deployment", async function () {
+      const { hurupay, client, user1, user2 } = await loadFixture(
+        deployClientFixture
+      );
+
+      // Transfer as emitted before the event carried the token
+      const legacy = new ethers.Interface(LEGACY_HURUPAY_ABI);
+      const log = legacy.encodeEventLog("Transfer", [
+        user1.address,
+        user2.address,
+        ethers.parseUnits("99", 6),
+        ethers.parseUnits("1", 6),
+      ]);
+      const receipt = { logs: [{ address: hurupay.target, ...log }] };
+
+      expect(client.parseTransfers(receipt)).to.deep.equal([
+        {
+          requestId: null,
+          relayer: null,
+          sender: user1.address,
+          recipient: user2.address,
+          token: null,
+          grossAmount: ethers.parseUnits("100", 6),
+          netAmount: ethers.parseUnits("99", 6),
+          fee: ethers.parseUnits("1", 6),
+          feeBps: null,
+        },
+      ]);
+    });
+
+    it("Should find the transfer of a requestId", async function () {
+      const { client, user1, user2 } = await loadFixture(deployClientFixture);
+
+      const request = await client.signTransferRequest(user1, {
+        requestId: "order-1",
+        recipient: user2.address,
+        amount: ethers.parseUnits("10", 6),
+      });
+      const tx = await client.executeTransfer(request);
+
+      const transfer = await client.findSignedTransfer("order-1");
+      expect(transfer.transactionHash).to.equal(tx.hash);
+      expect(transfer.recipient).to.equal(user2.address);
+      expect(await client.findSignedTransfer("order-2")).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+const {
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const {
+  HurupayClient,
+  HurupayIndexer,
+  JsonFileStore,
+  MemoryStore,
+} = require("../src");
+const { deployHurupay, executeTimelocked } = require("./fixtures");
+
+async function sendTransfer(client, sender, recipient, requestId, amount) {
+  const request = await client.signTransferRequest(sender, {
+    requestId,
+    recipient: recipient.address,
+    amount: ethers.parseUnits(amount, 6),
+  });
+  await client.executeTransfer(request);
+}
+
+describe("HurupayIndexer", function () {
+  it("Should index transfers, fee updates and withdrawals", async function () {
+    const { hurupay, client, mockUSDC, owner, user1, user2, deployBlock } =
+      await loadFixture(deployHurupay);
+
+    await sendTransfer(client, user1, user2, "order-1", "100");
+    await executeTimelocked(client, "updateFee", [200]); // 2%
+    await sendTransfer(client, user1, user2, "order-2", "100");
+    await hurupay.withdrawFees(mockUSDC.target);
+
+    const indexer = new HurupayIndexer(hurupay, { fromBlock: deployBlock });
+    const indexed = await indexer.sync();
+
+    expect(indexed.transfers).to.equal(2);
+    expect(indexed.feeUpdates).to.equal(1);
+    expect(indexed.feeWithdrawals).to.equal(1);
+
+    const state = await indexer.getState();
+    expect(state.transfers[1]).to.include({
+      from: user1.address,
+      to: user2.address,
+      token: mockUSDC.target,
+      amount: ethers.parseUnits("98", 6).toString(),
+      fee: ethers.parseUnits("2", 6).toString(),
+    });
+    expect(state.feeUpdates[0]).to.include({ oldFee: "100", newFee: "200" });
+    expect(state.feeWithdrawals[0]).to.include({
+      owner: owner.address,
+      amount: ethers.parseUnits("3", 6).toString(),
+    });
+  });
+
+  it("Should reconcile fees net of relayer shares and withdrawals", async function () {
+    const { hurupay, client, mockUSDC, user1, user2, deployBlock } =
+      await loadFixture(deployHurupay);
+
+    await sendTransfer(client, user1, user2, "order-1", "100");
+    await hurupay.withdrawFees(mockUSDC.target);
+    await executeTimelocked(client, "updateRelayerFeeShare", [5000]); // 50%
+    await sendTransfer(client, user1, user2, "order-2", "200");
+
+    const indexer = new HurupayIndexer(hurupay, { fromBlock: deployBlock });
+    await indexer.sync();
+    const report = await indexer.reconcile();
+
+    expect(report.ok).to.equal(true);
+    const [entry] = report.tokens;
+    expect(entry.token).to.equal(mockUSDC.target);
+    expect(entry.fees).to.equal(ethers.parseUnits("3", 6));
+    expect(entry.relayerFees).to.equal(ethers.parseUnits("1", 6));
+    expect(entry.withdrawn).to.equal(ethers.parseUnits("1", 6));
+    expect(entry.onChain).to.equal(ethers.parseUnits("1", 6));
+  });
+
+  it("Should reconcile fees distributed to beneficiaries", async function () {
+    const { hurupay, client, mockUSDC, owner, user1, user2, deployBlock } =
+      await loadFixture(deployHurupay);
+
+    await executeTimelocked(client, "setBeneficiaries", [
+      [{ account: owner.address, shareBps: 10000 }],
+    ]);
+    await sendTransfer(client, user1, user2, "order-1", "100");
+    await hurupay.withdrawFees(mockUSDC.target);
+    await client.claimFees(mockUSDC.target, { amount: 1n });
+    await sendTransfer(client, user1, user2, "order-2", "100");
+
+    const indexer = new HurupayIndexer(hurupay, { fromBlock: deployBlock });
+    const indexed = await indexer.sync();
+    const report = await indexer.reconcile();
+
+    expect(indexed.feeDistributions).to.equal(1);
+    expect(indexed.feeClaims).to.equal(1);
+    expect(report.ok).to.equal(true);
+    expect(report.tokens[0].distributed).to.equal(ethers.parseUnits("1", 6));
+  });
+
+  it("Should reconcile fees refunded to senders", async function () {
+    const { hurupay, client, mockUSDC, user1, user2, deployBlock } =
+      await loadFixture(deployHurupay);
+
+    const recipientClient = new HurupayClient(hurupay.connect(user2));
+    await sendTransfer(client, user1, user2, "order-1", "100");
+    await mockUSDC.connect(user2).approve(hurupay.target, ethers.MaxUint256);
+    await recipientClient.refundTransfer("order-1", {
+      amount: ethers.parseUnits("49.5", 6),
+    });
+    await client.refundTransferFee("order-1");
+
+    const indexer = new HurupayIndexer(hurupay, { fromBlock: deployBlock });
+    const indexed = await indexer.sync();
+    const report = await indexer.reconcile();
+
+    expect(indexed.refunds).to.equal(2);
+    expect(report.ok).to.equal(true);
+    expect(report.tokens[0].refundedFees).to.equal(ethers.parseUnits("0.5", 6));
+  });
+
+  it("Should report fees collected before the indexed range", async function () {
+    const { hurupay, client, user1, user2 } = await loadFixture(deployHurupay);
+
+    await sendTransfer(client, user1, user2, "order-1", "100");
+    const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+    await sendTransfer(client, user1, user2, "order-2", "100");
+
+    const indexer = new HurupayIndexer(hurupay, { fromBlock });
+    await indexer.sync();
+    const report = await indexer.reconcile();
+
+    expect(report.ok).to.equal(false);
+    expect(report.tokens[0].difference).to.equal(ethers.parseUnits("1", 6));
+  });
+
+  it("Should resume from the last indexed block", async function () {
+    const { hurupay, client, user1, user2, deployBlock } = await loadFixture(
+      deployHurupay
+    );
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hurupay-"));
+    const file = path.join(dir, "index.json");
+    const options = { fromBlock: deployBlock, batchSize: 2 };
+
+    await sendTransfer(client, user1, user2, "order-1", "100");
+    const first = await HurupayIndexer.connect(
+      hurupay.target,
+      ethers.provider,
+      { ...options, store: new JsonFileStore(file) }
+    ).sync();
+    expect(first.transfers).to.equal(1);
+
+    await sendTransfer(client, user1, user2, "order-2", "100");
+    const indexer = HurupayIndexer.connect(hurupay.target, ethers.provider, {
+      ...options,
+      store: new JsonFileStore(file),
+    });
+    const second = await indexer.sync();
+
+    expect(second.transfers).to.equal(1);
+    expect((await indexer.getState()).transfers).to.have.lengthOf(2);
+    expect((await indexer.reconcile()).ok).to.equal(true);
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it("Should stay behind the head by the given confirmations", async function () {
+    const { hurupay, client, user1, user2, deployBlock } = await loadFixture(
+      deployHurupay
+    );
+
+    await sendTransfer(client, user1, user2, "order-1", "100");
+    const indexer = new HurupayIndexer(hurupay, {
+      fromBlock: deployBlock,
+      confirmations: 1,
+    });
+    const indexed = await indexer.sync();
+
+    expect(indexed.transfers).to.equal(0);
+    expect(indexed.lastBlock).to.equal(
+      (await ethers.provider.getBlockNumber()) - 1
+    );
+  });
+
+  it("Should refuse a store of another deployment", async function () {
+    const { hurupay, deployBlock } = await loadFixture(deployHurupay);
+    const store = new MemoryStore();
+    store.save({ address: ethers.ZeroAddress, chainId: "31337" });
+
+    const indexer = new HurupayIndexer(hurupay, {
+      store,
+      fromBlock: deployBlock,
+    });
+
+    await expect(indexer.sync()).to.be.rejectedWith(
+      "Hurupay: store belongs to another deployment"
+    );
+  });
+});
@@ -0,0 +1,65 @@
+const { expect } = require("chai");
+const { ethers, ignition, upgrades } = require("hardhat");
+const HurupayModule = require("../ignition/modules/Hurupay");
+const HurupayOwnershipModule = require("../ignition/modules/HurupayOwnership");
+const baseParameters = require("../ignition/parameters/base.json");
+const localParameters = require("../ignition/parameters/localhost.json");
+
+describe("Ignition modules", function () {
+  it("Should deploy an initialized proxy with MockUSDC on the local network", async function () {
+    const [owner] = await ethers.getSigners();
+
+    const { hurupay, implementation, extension, payments, mockUSDC } =
+      await ignition.deploy(HurupayModule, {
+        parameters: { HurupayModule: { initialFee: 100 } },
+      });
+
+    expect(await hurupay.usdc()).to.equal(mockUSDC.target);
+    expect(await hurupay.feePercentage()).to.equal(100);
+    expect(await hurupay.owner()).to.equal(owner.address);
+    expect(await hurupay.extension()).to.equal(extension.target);
+    expect(await hurupay.payments()).to.equal(payments.target);
+    expect(
+      await upgrades.erc1967.getImplementationAddress(hurupay.target)
+    ).to.equal(implementation.target);
+  });
+
+  it("Should start the ownership transfer to the configured owner", async function () {
+    const [owner, multisig] = await ethers.getSigners();
+
+    const { hurupay } = await ignition.deploy(HurupayOwnershipModule, {
+      parameters: { HurupayOwnershipModule: { owner: multisig.address } },
+    });
+
+    expect(await hurupay.owner()).to.equal(owner.address);
+    expect(await hurupay.pendingOwner()).to.equal(multisig.address);
+
+    await hurupay.connect(multisig).acceptOwnership();
+    expect(await hurupay.owner()).to.equal(multisig.address);
+  });
+
+  it("Should deploy and hand over with the local parameter file", async function () {
+    const [owner, newOwner] = await ethers.getSigners();
+
+    const { hurupay } = await ignition.deploy(HurupayOwnershipModule, {
+      parameters: localParameters,
+    });
+
+    expect(await hurupay.feePercentage()).to.equal(
+      localParameters.HurupayModule.initialFee
+    );
+    expect(await hurupay.owner()).to.equal(owner.address);
+    expect(await hurupay.pendingOwner()).to.equal(newOwner.address);
+  });
+
+  it("Should give every module its parameters in the Base file", async function () {
+    expect(ethers.isAddress(baseParameters.HurupayModule.usdc)).to.equal(true);
+    expect(baseParameters.HurupayModule.initialFee).to.be.a("number");
+
+    // The owner is a placeholder until the multisig's address is filled in,
+    // and cannot be deployed as is
+    await expect(
+      ignition.deploy(HurupayOwnershipModule, { parameters: baseParameters })
+    ).to.be.rejectedWith(/REPLACE_WITH_MULTISIG_ADDRESS/);
+  });
+});
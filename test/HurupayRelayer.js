@@ -0,0 +1,282 @@
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { HurupayRelayer, RelayStatus, createRelayerServer } = require("../src");
+const { deployHurupay } = require("./fixtures");
+
+// Relayer for the fixture contract served over HTTP on a free port
+async function startRelayer(hurupay, signer, options = {}) {
+  const relayer = HurupayRelayer.connect(hurupay.target, signer, {
+    retryDelayMs: 0,
+    ...options,
+  });
+  const server = createRelayerServer(relayer);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  return { relayer, server, url };
+}
+
+async function post(url, body) {
+  const response = await fetch(`${url}/requests`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body, (_, v) =>
+      typeof v === "bigint" ? v.toString() : v
+    ),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function get(url, path) {
+  const response = await fetch(`${url}${path}`);
+  return { status: response.status, body: await response.json() };
+}
+
+describe("HurupayRelayer", function () {
+  let server;
+
+  afterEach(async function () {
+    if (server) await new Promise((resolve) => server.close(resolve));
+    server = null;
+  });
+
+  async function setup() {
+    const fixture = await loadFixture(deployHurupay);
+    const started = await startRelayer(fixture.hurupay, fixture.owner);
+    server = started.server;
+    return { ...fixture, ...started };
+  }
+
+  function signRequest(client, sender, recipient, requestId, params = {}) {
+    return client.signTransferRequest(sender, {
+      requestId,
+      recipient: recipient.address,
+      amount: ethers.parseUnits("100", 6),
+      ...params,
+    });
+  }
+
+  it("Should accept a signed request and confirm it on-chain", async function () {
+    const { hurupay, client, mockUSDC, user1, user2, relayer, url } =
+      await setup();
+    const request = await signRequest(client, user1, user2, "order-1");
+
+    const accepted = await post(url, request);
+    expect(accepted.status).to.equal(202);
+    expect(accepted.body.requestId).to.equal(request.requestId);
+    expect(accepted.body.status).to.equal(RelayStatus.QUEUED);
+
+    await relayer.idle();
+    const { status, body } = await get(url, `/requests/${request.requestId}`);
+    expect(status).to.equal(200);
+    expect(body.status).to.equal(RelayStatus.CONFIRMED);
+    expect(body.transactionHash).to.be.a("string");
+
+    expect(await hurupay.processedRequests(request.requestId)).to.equal(true);
+    expect(await mockUSDC.balanceOf(user2.address)).to.equal(
+      ethers.parseUnits("99", 6)
+    );
+  });
+
+  it("Should reject a signature that does not match the request", async function () {
+    const { client, user1, user2, url } = await setup();
+    const request = await signRequest(client, user1, user2, "order-1");
+
+    const { status, body } = await post(url, {
+      ...request,
+      amount: ethers.parseUnits("200", 6),
+    });
+
+    expect(status).to.equal(400);
+    expect(body.error).to.equal("Hurupay: invalid signature");
+  });
+
+  it("Should reject processed, expired and unfunded requests", async function () {
+    const { client, mockUSDC, user1, user2, url } = await setup();
+
+    const executed = await signRequest(client, user1, user2, "order-1");
+    await client.executeTransfer(executed);
+    let response = await post(url, executed);
+    expect(response.status).to.equal(409);
+    expect(response.body.error).to.equal("Hurupay: request already processed");
+
+    const expired = await signRequest(client, user1, user2, "order-2", {
+      deadlineInMinutes: 1,
+    });
+    await time.increase(120);
+    response = await post(url, expired);
+    expect(response.body.error).to.equal("Hurupay: transaction expired");
+
+    // user2 holds funds but never approved the contract
+    await mockUSDC.mint(user2.address, ethers.parseUnits("100", 6));
+    const unapproved = await signRequest(client, user2, user1, "order-3");
+    response = await post(url, unapproved);
+    expect(response.body.error).to.equal("Hurupay: insufficient allowance");
+
+    const tooLarge = await signRequest(client, user1, user2, "order-4", {
+      amount: ethers.parseUnits("5000", 6),
+    });
+    response = await post(url, tooLarge);
+    expect(response.body.error).to.equal("Hurupay: insufficient balance");
+  });
+
+  it("Should reject a request that is already queued", async function () {
+    const { client, user1, user2, relayer, url } = await setup();
+    const request = await signRequest(client, user1, user2, "order-1");
+
+    await post(url, request);
+    const { status, body } = await post(url, request);
+    await relayer.idle();
+
+    expect(status).to.equal(409);
+    expect(body.error).to.equal("Hurupay: request already queued");
+  });
+
+  it("Should queue a request once when submitted concurrently", async function () {
+    const { client, user1, user2, relayer, url } = await setup();
+    const request = await signRequest(client, user1, user2, "order-1");
+
+    const responses = await Promise.all([
+      post(url, request),
+      post(url, request),
+    ]);
+    await relayer.idle();
+
+    expect(responses.map((response) => response.status).sort()).to.deep.equal([
+      202, 409,
+    ]);
+    const status = relayer.getStatus(request.requestId);
+    expect(status.status).to.equal(RelayStatus.CONFIRMED);
+    expect(status.attempts).to.equal(1);
+  });
+
+  it("Should reject malformed requests", async function () {
+    const { url } = await setup();
+
+    let response = await post(url, { requestId: "order-1" });
+    expect(response.status).to.equal(400);
+    expect(response.body.error).to.equal("Hurupay: missing sender");
+
+    response = await fetch(`${url}/requests`, {
+      method: "POST",
+      body: "not json",
+    });
+    expect(response.status).to.equal(400);
+
+    for (const body of [null, [], "order-1"]) {
+      response = await post(url, body);
+      expect(response.status).to.equal(400);
+      expect(response.body.error).to.equal(
+        "Hurupay: request must be a JSON object"
+      );
+    }
+  });
+
+  it("Should reject malformed requestIds in status lookups", async function () {
+    const { url } = await setup();
+
+    for (const id of ["0x1", ethers.hexlify(ethers.randomBytes(33))]) {
+      const { status, body } = await get(url, `/requests/${id}`);
+      expect(status).to.equal(400);
+      expect(body.error).to.match(/^Hurupay: malformed requestId/);
+    }
+  });
+
+  it("Should send queued requests with consecutive nonces", async function () {
+    const { client, owner, user1, user2, relayer, url } = await setup();
+    const startNonce = await owner.getNonce();
+
+    const requests = [];
+    for (let i = 0; i < 3; i++) {
+      requests.push(await signRequest(client, user1, user2, `order-${i}`));
+    }
+    for (const request of requests) {
+      expect((await post(url, request)).status).to.equal(202);
+    }
+    await relayer.idle();
+
+    const nonces = [];
+    for (const request of requests) {
+      const status = relayer.getStatus(request.requestId);
+      expect(status.status).to.equal(RelayStatus.CONFIRMED);
+      nonces.push(
+        (await ethers.provider.getTransaction(status.transactionHash)).nonce
+      );
+    }
+    expect(nonces).to.deep.equal([startNonce, startNonce + 1, startNonce + 2]);
+  });
+
+  it("Should retry with a fresh nonce when the account nonce moved", async function () {
+    const { client, owner, user1, user2, relayer, url } = await setup();
+
+    await post(url, await signRequest(client, user1, user2, "order-1"));
+    await relayer.idle();
+
+    // Another transaction from the relayer account takes the cached nonce
+    await owner.sendTransaction({ to: user2.address, value: 1 });
+
+    const request = await signRequest(client, user1, user2, "order-2");
+    await post(url, request);
+    await relayer.idle();
+
+    const status = relayer.getStatus(request.requestId);
+    expect(status.status).to.equal(RelayStatus.CONFIRMED);
+    expect(status.attempts).to.equal(2);
+  });
+
+  it("Should fail a request that became invalid while queued", async function () {
+    const { client, user1, user2, relayer, url } = await setup();
+    const amount = ethers.parseUnits("600", 6);
+
+    // Each is covered by the balance on its own, but not both
+    const first = await signRequest(client, user1, user2, "order-1", {
+      amount,
+    });
+    const second = await signRequest(client, user1, user2, "order-2", {
+      amount,
+    });
+
+    // Keep the first one pending so both pass validation
+    await ethers.provider.send("evm_setAutomine", [false]);
+    try {
+      expect((await post(url, first)).status).to.equal(202);
+      expect((await post(url, second)).status).to.equal(202);
+      while (
+        relayer.getStatus(first.requestId).status !== RelayStatus.SUBMITTED
+      ) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+      await ethers.provider.send("evm_mine", []);
+      await relayer.idle();
+    } finally {
+      await ethers.provider.send("evm_setAutomine", [true]);
+    }
+
+    expect(relayer.getStatus(first.requestId).status).to.equal(
+      RelayStatus.CONFIRMED
+    );
+    const status = relayer.getStatus(second.requestId);
+    expect(status.status).to.equal(RelayStatus.FAILED);
+    expect(status.attempts).to.equal(1);
+    expect(status.transactionHash).to.equal(null);
+    expect(status.error).to.be.a("string");
+  });
+
+  it("Should report health and unknown requests", async function () {
+    const { hurupay, owner, url } = await setup();
+
+    const health = await get(url, "/health");
+    expect(health.body).to.deep.equal({
+      relayer: owner.address,
+      contract: hurupay.target,
+      chainId: "31337",
+      queueLength: 0,
+    });
+
+    const unknown = await get(url, `/requests/${ethers.ZeroHash}`);
+    expect(unknown.status).to.equal(404);
+  });
+});
@@ -1,27 +1,21 @@
 const {
   loadFixture,
+  time,
 } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, upgrades } = require("hardhat");
+const { HurupayClient, RequestStatus } = require("../src");
+const { deployHurupay, executeTimelocked } = require("./fixtures");
+
+const BASIS_POINTS = 10000n;
 
 // Define the fixture at the top level so it's available to all tests
 async function deployHurupayFixture() {
-  const [owner, user1, user2] = await ethers.getSigners();
-
-  // Deploy a mock USDC token for testing
-  const MockUSDC = await ethers.getContractFactory("MockUSDC");
-  const mockUSDC = await MockUSDC.deploy();
+  const fixture = await deployHurupay();
+  const { mockUSDC, hurupay, owner, user1, user2 } = fixture;
 
-  // Deploy the Hurupay contract
-  const Hurupay = await ethers.getContractFactory("HurupaySmartContract");
-  const hurupay = await Hurupay.deploy(mockUSDC.target, 100); // 1% initial fee
-
-  // Mint some USDC to users for testing
-  await mockUSDC.mint(user1.address, ethers.parseUnits("1000", 6)); // 1000 USDC
+  // Fund user2 as well, so either can send
   await mockUSDC.mint(user2.address, ethers.parseUnits("1000", 6)); // 1000 USDC
-
-  // Approve Hurupay to spend USDC on behalf of users
-  await mockUSDC.connect(user1).approve(hurupay.target, ethers.MaxUint256);
   await mockUSDC.connect(user2).approve(hurupay.target, ethers.MaxUint256);
 
   console.log("Hurupay deployed to:", hurupay.target);
@@ -29,71 +23,7 @@ async function deployHurupayFixture() {
   console.log("Hurupay USDC address:", mockUSDC.target);
   console.log("Hurupay user1 address:", user1.address);
   console.log("Hurupay user2 address:", user2.address);
-  return { hurupay, mockUSDC, owner, user1, user2 };
-}
-
-async function signTransferRequest(
-  requestId,
-  sender,
-  recipient,
-  amount,
-  hurupayAddress,
-  deadlineInMinutes = 30
-) {
-  const amountWei = ethers.parseUnits(amount, 6); // USDC decimals
-  const deadline = Math.floor(Date.now() / 1000) + deadlineInMinutes * 60;
-  const chainId = (await ethers.provider.getNetwork()).chainId;
-
-  // Ensure requestId is bytes32
-  const requestIdBytes32 = ethers.zeroPadValue(ethers.hexlify(requestId), 32);
-
-  // Get the signer
-  const signer = await ethers.getSigner(sender);
-
-  // Create the domain separator (domain corresponds to EIP-712 parameters in contract)
-  const domain = {
-    name: "Hurupay",
-    version: "1",
-    chainId: chainId,
-    verifyingContract: hurupayAddress,
-  };
-
-  // Define the types for EIP-712 (must match TRANSFER_TYPEHASH in contract)
-  const types = {
-    Transfer: [
-      { name: "requestId", type: "bytes32" },
-      { name: "sender", type: "address" },
-      { name: "recipient", type: "address" },
-      { name: "amount", type: "uint256" },
-      { name: "deadline", type: "uint256" },
-      { name: "chainId", type: "uint256" },
-    ],
-  };
-
-  // Create the data to sign
-  const value = {
-    requestId: requestIdBytes32,
-    sender: sender,
-    recipient: recipient,
-    amount: amountWei,
-    deadline: deadline,
-    chainId: chainId,
-  };
-
-  // Sign using EIP-712
-  const signature = await signer.signTypedData(domain, types, value);
-
-  console.log("Request ID:", requestIdBytes32);
-  console.log("Signature:", signature);
-
-  return {
-    requestId: requestIdBytes32,
-    sender,
-    recipient,
-    amount: amountWei,
-    deadline,
-    signature,
-  };
+  return fixture;
 }
 
 describe("Hurupay", function () {
@@ -108,6 +38,17 @@ describe("Hurupay", function () {
       expect(await hurupay.usdc()).to.equal(mockUSDC.target);
     });
 
+    it("Should reject a missing extension", async function () {
+      const { hurupay } = await loadFixture(deployHurupayFixture);
+      const Hurupay = await ethers.getContractFactory("HurupaySmartContract");
+      await expect(
+        Hurupay.deploy(ethers.ZeroAddress, await hurupay.payments())
+      ).to.be.revertedWith("Hurupay: invalid extension address");
+      await expect(
+        Hurupay.deploy(await hurupay.extension(), ethers.ZeroAddress)
+      ).to.be.revertedWith("Hurupay: invalid payments address");
+    });
+
     it("Should set the right initial fee percentage", async function () {
       const { hurupay } = await loadFixture(deployHurupayFixture);
       expect(await hurupay.feePercentage()).to.equal(100); // 1%
@@ -122,9 +63,11 @@ describe("Hurupay", function () {
 
       const amount = ethers.parseUnits("100", 6); // 100 USDC
 
-      await expect(hurupay.connect(user1).transfer(user2.address, amount))
+      await expect(
+        hurupay.connect(user1).transfer(mockUSDC.target, user2.address, amount)
+      )
         .to.emit(hurupay, "Transfer")
-        .withArgs(user1.address, user2.address, amount, 0); // Fee is 0
+        .withArgs(user1.address, user2.address, mockUSDC.target, amount, 0); // Fee is 0
 
       // Check balances after transfer
       expect(await mockUSDC.balanceOf(user1.address)).to.equal(
@@ -135,76 +78,73 @@ describe("Hurupay", function () {
       ); // 1000 + 100
 
       // No accumulated fees
-      expect(await hurupay.accumulatedFees()).to.equal(0);
+      expect(await hurupay.accumulatedFees(mockUSDC.target)).to.equal(0);
 
       // Contract should not hold any tokens
       expect(await mockUSDC.balanceOf(hurupay.target)).to.equal(0);
     });
 
     it("Should revert if sender has insufficient balance", async function () {
-      const { hurupay, user1, user2 } = await loadFixture(deployHurupayFixture);
+      const { hurupay, mockUSDC, user1, user2 } = await loadFixture(
+        deployHurupayFixture
+      );
 
       const amount = ethers.parseUnits("2000", 6); // 2000 USDC (more than user1's balance)
-      await expect(hurupay.connect(user1).transfer(user2.address, amount)).to.be
-        .reverted; // SafeERC20 reverts with a different message
+      await expect(
+        hurupay.connect(user1).transfer(mockUSDC.target, user2.address, amount)
+      ).to.be.reverted; // SafeERC20 reverts with a different message
     });
 
     it("Should revert if recipient is the zero address", async function () {
-      const { hurupay, user1 } = await loadFixture(deployHurupayFixture);
+      const { hurupay, mockUSDC, user1 } = await loadFixture(
+        deployHurupayFixture
+      );
 
       const amount = ethers.parseUnits("100", 6); // 100 USDC
       await expect(
-        hurupay.connect(user1).transfer(ethers.ZeroAddress, amount)
+        hurupay
+          .connect(user1)
+          .transfer(mockUSDC.target, ethers.ZeroAddress, amount)
       ).to.be.revertedWith("Hurupay: transfer to zero address");
     });
 
     it("Should revert if amount is zero", async function () {
-      const { hurupay, user1, user2 } = await loadFixture(deployHurupayFixture);
+      const { hurupay, mockUSDC, user1, user2 } = await loadFixture(
+        deployHurupayFixture
+      );
 
       const amount = ethers.parseUnits("0", 6); // 0 USDC
       await expect(
-        hurupay.connect(user1).transfer(user2.address, amount)
+        hurupay.connect(user1).transfer(mockUSDC.target, user2.address, amount)
       ).to.be.revertedWith("Hurupay: amount must be greater than zero");
     });
   });
 
   describe("Signature Verification", function () {
     it("Should verify the signature and deduct fee correctly", async function () {
-      const { hurupay, mockUSDC, user1, user2 } = await loadFixture(
+      const { hurupay, client, mockUSDC, user1, user2 } = await loadFixture(
         deployHurupayFixture
       );
 
       const requestId = ethers.keccak256(ethers.toUtf8Bytes("test-request"));
-      const amount = "100"; // 100 USDC
+      const amount = ethers.parseUnits("100", 6); // 100 USDC
 
       // Sign the transfer request
-      const transferRequest = await signTransferRequest(
+      const transferRequest = await client.signTransferRequest(user1, {
         requestId,
-        user1.address, // Sender
-        user2.address, // Recipient
+        recipient: user2.address,
         amount,
-        hurupay.target // Hurupay contract address
-      );
+      });
 
-      const amountWei = ethers.parseUnits(amount, 6);
-      const fee = await hurupay.calculateFee(amountWei);
-      const amountAfterFee = amountWei - fee;
+      const { fee, amountAfterFee } = await client.quote(amount);
 
       // Execute the transfer with signature
-      await expect(
-        hurupay.executeTransferWithSignature(
-          transferRequest.requestId,
-          transferRequest.sender,
-          transferRequest.recipient,
-          transferRequest.amount,
-          transferRequest.deadline,
-          transferRequest.signature
-        )
-      )
+      await expect(client.executeTransfer(transferRequest))
         .to.emit(hurupay, "Transfer")
         .withArgs(
           transferRequest.sender,
           transferRequest.recipient,
+          mockUSDC.target,
           amountAfterFee,
           fee
         );
@@ -219,290 +159,3059 @@ describe("Hurupay", function () {
       );
 
       // Check accumulated fees
-      expect(await hurupay.accumulatedFees()).to.equal(fee);
+      expect(await hurupay.accumulatedFees(mockUSDC.target)).to.equal(fee);
       expect(await mockUSDC.balanceOf(hurupay.target)).to.equal(fee);
     });
 
+    it("Should emit SignedTransfer with the requestId and relayer", async function () {
+      const { hurupay, client, mockUSDC, owner, user1, user2 } =
+        await loadFixture(deployHurupayFixture);
+
+      const amount = ethers.parseUnits("100", 6); // 100 USDC
+      const request = await client.signTransferRequest(user1, {
+        requestId: "order-1",
+        recipient: user2.address,
+        amount,
+      });
+      const { fee, amountAfterFee } = await client.quote(amount);
+
+      await expect(client.executeTransfer(request))
+        .to.emit(hurupay, "SignedTransfer")
+        .withArgs(
+          request.requestId,
+          owner.address,
+          user1.address,
+          user2.address,
+          mockUSDC.target,
+          amount,
+          amountAfterFee,
+          fee,
+          100
+        );
+    });
+
+    it("Should not emit SignedTransfer for a direct transfer", async function () {
+      const { hurupay, mockUSDC, user1, user2 } = await loadFixture(
+        deployHurupayFixture
+      );
+
+      await expect(
+        hurupay
+          .connect(user1)
+          .transfer(mockUSDC.target, user2.address, ethers.parseUnits("1", 6))
+      ).to.not.emit(hurupay, "SignedTransfer");
+    });
+
     it("Should revert if requestId is reused", async function () {
-      const { hurupay, user1, user2 } = await loadFixture(deployHurupayFixture);
+      const { hurupay, client, user1, user2 } = await loadFixture(
+        deployHurupayFixture
+      );
 
       const requestId = ethers.keccak256(ethers.toUtf8Bytes("test-request"));
-      const amount = "100"; // 100 USDC
+      const amount = ethers.parseUnits("100", 6); // 100 USDC
 
       // Sign the transfer request
-      const transferRequest = await signTransferRequest(
+      const transferRequest = await client.signTransferRequest(user1, {
         requestId,
-        user1.address, // Sender
-        user2.address, // Recipient
+        recipient: user2.address,
         amount,
-        hurupay.target // Hurupay contract address
-      );
+      });
 
       // Execute the transfer with signature first time
-      await hurupay.executeTransferWithSignature(
-        transferRequest.requestId,
-        transferRequest.sender,
-        transferRequest.recipient,
-        transferRequest.amount,
-        transferRequest.deadline,
-        transferRequest.signature
-      );
+      await client.executeTransfer(transferRequest);
 
       // Attempt to reuse the same requestId
-      await expect(
-        hurupay.executeTransferWithSignature(
-          transferRequest.requestId,
-          transferRequest.sender,
-          transferRequest.recipient,
-          transferRequest.amount,
-          transferRequest.deadline,
-          transferRequest.signature
-        )
-      ).to.be.revertedWith("Hurupay: request already processed");
+      await expect(client.executeTransfer(transferRequest)).to.be.revertedWith(
+        "Hurupay: request already processed"
+      );
     });
 
     it("Should revert if the deadline has passed", async function () {
-      const { hurupay, user1, user2 } = await loadFixture(deployHurupayFixture);
+      const { hurupay, client, user1, user2 } = await loadFixture(
+        deployHurupayFixture
+      );
 
       // Create a transfer request with a deadline in the past
       const requestId = ethers.keccak256(ethers.toUtf8Bytes("expired-request"));
-      const amount = "100"; // 100 USDC
+      const amount = ethers.parseUnits("100", 6); // 100 USDC
 
       // Create a signature with standard deadline
-      const transferRequest = await signTransferRequest(
+      const transferRequest = await client.signTransferRequest(user1, {
         requestId,
-        user1.address,
-        user2.address,
+        recipient: user2.address,
         amount,
-        hurupay.target
-      );
-
-      // Override the deadline to be in the past
-      const expiredDeadline = Math.floor(Date.now() / 1000) - 60; // 1 minute in the past
+      });
 
       // We can't simply override the deadline as the signature would be invalid,
       // so we need to manually set the block timestamp to be after the deadline
       await ethers.provider.send("evm_setNextBlockTimestamp", [
-        transferRequest.deadline + 3600,
+        Number(transferRequest.deadline) + 3600,
       ]); // 1 hour after deadline
       await ethers.provider.send("evm_mine");
 
       // Attempt to execute with the now-expired deadline
-      await expect(
-        hurupay.executeTransferWithSignature(
-          transferRequest.requestId,
-          transferRequest.sender,
-          transferRequest.recipient,
-          transferRequest.amount,
-          transferRequest.deadline,
-          transferRequest.signature
-        )
-      ).to.be.revertedWith("Hurupay: transaction expired");
+      await expect(client.executeTransfer(transferRequest)).to.be.revertedWith(
+        "Hurupay: transaction expired"
+      );
     });
 
     it("Should calculate fees correctly for different amounts", async function () {
-      const { hurupay, owner } = await loadFixture(deployHurupayFixture);
+      const { hurupay, mockUSDC, client, owner } = await loadFixture(
+        deployHurupayFixture
+      );
 
       // Test with default fee (1%)
       let amount = ethers.parseUnits("100", 6); // 100 USDC
       let expectedFee = ethers.parseUnits("1", 6); // 1 USDC
-      expect(await hurupay.calculateFee(amount)).to.equal(expectedFee);
+      expect(await hurupay.calculateFee(mockUSDC.target, amount)).to.equal(
+        expectedFee
+      );
 
       // Test with small amount where fee rounds to small value
       amount = ethers.parseUnits("0.01", 6); // 0.01 USDC = 10,000 units
       expectedFee = BigInt(100); // 0.0001 USDC = 100 units (1% of 10,000)
-      expect(await hurupay.calculateFee(amount)).to.equal(expectedFee);
+      expect(await hurupay.calculateFee(mockUSDC.target, amount)).to.equal(
+        expectedFee
+      );
 
       // Test with very small amount where fee becomes very small
       amount = ethers.parseUnits("0.0001", 6); // 0.0001 USDC = 100 units
       expectedFee = BigInt(1); // 0.000001 USDC = 1 unit (1% of 100)
-      expect(await hurupay.calculateFee(amount)).to.equal(expectedFee);
+      expect(await hurupay.calculateFee(mockUSDC.target, amount)).to.equal(
+        expectedFee
+      );
 
       // Test with extremely small amount where fee becomes 0
       amount = ethers.parseUnits("0.00001", 6); // 0.00001 USDC = 10 units
       expectedFee = BigInt(0); // 1% of 10 = 0.1, rounds to 0 with integer division
-      expect(await hurupay.calculateFee(amount)).to.equal(expectedFee);
+      expect(await hurupay.calculateFee(mockUSDC.target, amount)).to.equal(
+        expectedFee
+      );
 
       // Test with maximum fee (5%)
-      await hurupay.connect(owner).updateFee(500); // 5%
+      await executeTimelocked(client, "updateFee", [500]); // 5%
       amount = ethers.parseUnits("100", 6); // 100 USDC
       expectedFee = ethers.parseUnits("5", 6); // 5 USDC
-      expect(await hurupay.calculateFee(amount)).to.equal(expectedFee);
+      expect(await hurupay.calculateFee(mockUSDC.target, amount)).to.equal(
+        expectedFee
+      );
     });
   });
 
-  describe("Admin Functions", function () {
-    it("Should update fee percentage", async function () {
-      const { hurupay, owner } = await loadFixture(deployHurupayFixture);
+  describe("Batch Execution", function () {
+    async function signBatch(client, sender, recipient, count, prefix) {
+      const requests = [];
+      for (let i = 0; i < count; i++) {
+        requests.push(
+          await client.signTransferRequest(sender, {
+            requestId: `${prefix}-${i}`,
+            recipient,
+            amount: ethers.parseUnits("10", 6),
+          })
+        );
+      }
+      return requests;
+    }
 
-      const newFee = 200; // 2%
-      await expect(hurupay.connect(owner).updateFee(newFee))
-        .to.emit(hurupay, "FeeUpdated")
-        .withArgs(100, newFee);
+    it("Should execute a batch atomically and accumulate fees", async function () {
+      const { hurupay, client, mockUSDC, user1, user2 } = await loadFixture(
+        deployHurupayFixture
+      );
 
-      expect(await hurupay.feePercentage()).to.equal(newFee);
+      const requests = await signBatch(
+        client,
+        user1,
+        user2.address,
+        3,
+        "batch"
+      );
+      const { fee, amountAfterFee } = await client.quote(requests[0].amount);
+
+      await expect(client.executeBatch(requests)).to.changeTokenBalances(
+        mockUSDC,
+        [user1.address, user2.address, hurupay.target],
+        [ethers.parseUnits("-30", 6), amountAfterFee * 3n, fee * 3n]
+      );
+
+      expect(await hurupay.accumulatedFees(mockUSDC.target)).to.equal(fee * 3n);
+      for (const request of requests) {
+        expect(await client.isProcessed(request.requestId)).to.equal(true);
+      }
     });
 
-    it("Should revert if new fee exceeds maximum fee", async function () {
-      const { hurupay, owner } = await loadFixture(deployHurupayFixture);
+    it("Should revert the whole atomic batch on a duplicate requestId", async function () {
+      const { hurupay, mockUSDC, client, user1, user2 } = await loadFixture(
+        deployHurupayFixture
+      );
 
-      const newFee = 501; // 5.01% (exceeds MAX_FEE_PERCENTAGE)
-      await expect(hurupay.connect(owner).updateFee(newFee)).to.be.revertedWith(
-        "Hurupay: fee too high"
+      const [request] = await signBatch(client, user1, user2.address, 1, "dup");
+
+      await expect(client.executeBatch([request, request])).to.be.revertedWith(
+        "Hurupay: request already processed"
       );
+
+      expect(await client.isProcessed(request.requestId)).to.equal(false);
+      expect(await hurupay.accumulatedFees(mockUSDC.target)).to.equal(0);
     });
 
-    it("Should withdraw accumulated fees", async function () {
-      const { hurupay, mockUSDC, user1, user2, owner } = await loadFixture(
+    it("Should skip a duplicate requestId in skip-failures mode", async function () {
+      const { hurupay, mockUSDC, client, user1, user2 } = await loadFixture(
         deployHurupayFixture
       );
 
-      // First make a signature-based transfer to accumulate fees
-      const requestId = ethers.keccak256(ethers.toUtf8Bytes("fee-test"));
-      const amount = "100"; // 100 USDC
+      const [request] = await signBatch(client, user1, user2.address, 1, "dup");
+      const { fee } = await client.quote(request.amount);
 
-      // Sign the transfer request
-      const transferRequest = await signTransferRequest(
-        requestId,
-        user1.address,
-        user2.address,
-        amount,
-        hurupay.target
+      const tx = await client.executeBatch([request, request], {
+        atomic: false,
+      });
+      await expect(tx)
+        .to.emit(hurupay, "BatchItemResult")
+        .withArgs(0, request.requestId, true, "0x");
+
+      const results = client.parseBatchResults(await tx.wait());
+      expect(results.map((r) => r.success)).to.deep.equal([true, false]);
+      expect(results[1].reason).to.equal("Hurupay: request already processed");
+
+      // Only the first item was charged
+      expect(await hurupay.accumulatedFees(mockUSDC.target)).to.equal(fee);
+    });
+
+    it("Should skip expired signatures and execute valid ones", async function () {
+      const { hurupay, client, mockUSDC, user1, user2 } = await loadFixture(
+        deployHurupayFixture
       );
 
-      // Execute transfer to accumulate fees
-      await hurupay.executeTransferWithSignature(
-        transferRequest.requestId,
-        transferRequest.sender,
-        transferRequest.recipient,
-        transferRequest.amount,
-        transferRequest.deadline,
-        transferRequest.signature
+      const [valid, other] = await signBatch(
+        client,
+        user1,
+        user2.address,
+        2,
+        "mixed"
+      );
+      const expired = await client.signTransferRequest(user1, {
+        requestId: "mixed-expired",
+        recipient: user2.address,
+        amount: ethers.parseUnits("10", 6),
+        deadline: (await client.deadlineFromNow(0)) - 60,
+      });
+
+      const tx = await client.executeBatch([valid, expired, other], {
+        atomic: false,
+      });
+      const results = client.parseBatchResults(await tx.wait());
+
+      expect(results).to.have.length(3);
+      expect(results.map((r) => r.success)).to.deep.equal([true, false, true]);
+      expect(results[1].requestId).to.equal(expired.requestId);
+      expect(results[1].reason).to.equal("Hurupay: transaction expired");
+
+      expect(await client.isProcessed(expired.requestId)).to.equal(false);
+      expect(await mockUSDC.balanceOf(user1.address)).to.equal(
+        ethers.parseUnits("980", 6)
       );
+    });
 
-      const fee = await hurupay.calculateFee(transferRequest.amount);
+    it("Should revert an atomic batch containing an expired signature", async function () {
+      const { client, user1, user2 } = await loadFixture(deployHurupayFixture);
 
-      // Check accumulated fees
-      expect(await hurupay.accumulatedFees()).to.equal(fee);
+      const [valid] = await signBatch(client, user1, user2.address, 1, "mixed");
+      const expired = await client.signTransferRequest(user1, {
+        requestId: "mixed-expired",
+        recipient: user2.address,
+        amount: ethers.parseUnits("10", 6),
+        deadline: (await client.deadlineFromNow(0)) - 60,
+      });
 
-      // Withdraw fees
-      await expect(hurupay.connect(owner).withdrawFees())
-        .to.emit(hurupay, "FeesWithdrawn")
-        .withArgs(owner.address, fee);
+      await expect(client.executeBatch([valid, expired])).to.be.revertedWith(
+        "Hurupay: transaction expired"
+      );
+      expect(await client.isProcessed(valid.requestId)).to.equal(false);
+    });
 
-      // Check that fees were withdrawn
-      expect(await hurupay.accumulatedFees()).to.equal(0);
-      expect(await mockUSDC.balanceOf(owner.address)).to.equal(fee);
-      expect(await mockUSDC.balanceOf(hurupay.target)).to.equal(0);
+    it("Should revert on an empty batch", async function () {
+      const { client } = await loadFixture(deployHurupayFixture);
+
+      await expect(client.executeBatch([])).to.be.revertedWith(
+        "Hurupay: empty batch"
+      );
     });
 
-    it("Should revert if there are no fees to withdraw", async function () {
-      const { hurupay, owner } = await loadFixture(deployHurupayFixture);
+    it("Should not allow calling executeBatchItem directly", async function () {
+      const { hurupay, mockUSDC, client, owner, user1, user2 } =
+        await loadFixture(deployHurupayFixture);
 
-      // No transfers made, so no fees accumulated
-      await expect(hurupay.connect(owner).withdrawFees()).to.be.revertedWith(
-        "Hurupay: no fees to withdraw"
+      const [request] = await signBatch(client, user1, user2.address, 1, "ext");
+
+      await expect(
+        hurupay.executeBatchItem(request, owner.address)
+      ).to.be.revertedWith("Hurupay: caller is not self");
+    });
+  });
+
+  describe("Permit", function () {
+    // A fresh wallet that holds USDC but never approved the contract
+    async function newWalletFixture() {
+      const fixture = await deployHurupayFixture();
+      const [, , , newUser] = await ethers.getSigners();
+      await fixture.mockUSDC.mint(newUser.address, ethers.parseUnits("100", 6));
+      return { ...fixture, newUser };
+    }
+
+    it("Should transfer from a wallet without a prior approve", async function () {
+      const { hurupay, client, mockUSDC, user2, newUser } = await loadFixture(
+        newWalletFixture
       );
+
+      const amount = ethers.parseUnits("100", 6);
+      const { request, permit } = await client.signTransferWithPermit(newUser, {
+        requestId: "permit-request",
+        recipient: user2.address,
+        amount,
+      });
+      const { fee, amountAfterFee } = await client.quote(amount);
+
+      await expect(client.executeTransferWithPermit(request, permit))
+        .to.emit(hurupay, "Transfer")
+        .withArgs(
+          newUser.address,
+          user2.address,
+          mockUSDC.target,
+          amountAfterFee,
+          fee
+        );
+
+      expect(await mockUSDC.balanceOf(newUser.address)).to.equal(0);
+      expect(await hurupay.accumulatedFees(mockUSDC.target)).to.equal(fee);
+      // The permit covered exactly this transfer
+      expect(
+        await mockUSDC.allowance(newUser.address, hurupay.target)
+      ).to.equal(0);
     });
 
-    it("Should transfer ownership correctly", async function () {
-      const { hurupay, owner, user1 } = await loadFixture(deployHurupayFixture);
+    it("Should still transfer if the permit was front-run", async function () {
+      const { hurupay, client, mockUSDC, user1, user2, newUser } =
+        await loadFixture(newWalletFixture);
 
-      // With OpenZeppelin's Ownable, ownership transfer is direct
-      await expect(hurupay.connect(owner).transferOwnership(user1.address))
-        .to.emit(hurupay, "OwnershipTransferred") // Note the updated event name
-        .withArgs(owner.address, user1.address);
+      const { request, permit } = await client.signTransferWithPermit(newUser, {
+        requestId: "front-run",
+        recipient: user2.address,
+        amount: ethers.parseUnits("50", 6),
+      });
 
-      expect(await hurupay.owner()).to.equal(user1.address);
+      // Someone submits the permit on its own first
+      await mockUSDC
+        .connect(user1)
+        .permit(
+          newUser.address,
+          hurupay.target,
+          permit.value,
+          permit.deadline,
+          permit.v,
+          permit.r,
+          permit.s
+        );
+
+      await expect(
+        client.executeTransferWithPermit(request, permit)
+      ).to.changeTokenBalance(mockUSDC, newUser, ethers.parseUnits("-50", 6));
     });
 
-    it("Should revert when non-owner tries to transfer ownership", async function () {
-      const { hurupay, user1 } = await loadFixture(deployHurupayFixture);
+    it("Should revert if the permit is invalid and there is no allowance", async function () {
+      const { client, user2, newUser } = await loadFixture(newWalletFixture);
 
-      // Just check that it reverts, without specifying the error message
-      await expect(hurupay.connect(user1).transferOwnership(user1.address)).to
-        .be.reverted;
+      const { request, permit } = await client.signTransferWithPermit(newUser, {
+        requestId: "bad-permit",
+        recipient: user2.address,
+        amount: ethers.parseUnits("50", 6),
+      });
+
+      await expect(
+        client.executeTransferWithPermit(request, { ...permit, value: 1n })
+      ).to.be.revertedWith("Hurupay: permit failed");
+    });
+
+    it("Should use the token's EIP-712 domain for permits", async function () {
+      const { client, mockUSDC } = await loadFixture(newWalletFixture);
+
+      const domain = await client.getPermitDomain();
+      expect(domain.name).to.equal("Mock USDC");
+      expect(domain.version).to.equal("1");
+      expect(domain.verifyingContract).to.equal(mockUSDC.target);
     });
   });
 
-  describe("ERC20 Recovery", function () {
-    it("Should recover accidentally sent ERC20 tokens", async function () {
-      const { hurupay, mockUSDC, owner, user1 } = await loadFixture(
+  describe("Escrow", function () {
+    // A locked marketplace order with an arbiter and a one day timeout
+    async function escrowFixture() {
+      const fixture = await deployHurupayFixture();
+      const [, , , arbiter, stranger] = await ethers.getSigners();
+      const { client, user1, user2 } = fixture;
+
+      const request = await client.signEscrowRequest(user1, {
+        requestId: "order-1",
+        recipient: user2.address,
+        amount: ethers.parseUnits("100", 6),
+        arbiter: arbiter.address,
+        refundInMinutes: 60 * 24,
+      });
+      await client.executeEscrow(request);
+
+      return { ...fixture, arbiter, stranger, request };
+    }
+
+    it("Should lock the signed amount in the contract", async function () {
+      const { hurupay, mockUSDC, client, user1, user2 } = await loadFixture(
         deployHurupayFixture
       );
+      const [, , , arbiter] = await ethers.getSigners();
+      const amount = ethers.parseUnits("100", 6);
 
-      // User1 accidentally sends 10 USDC directly to the contract
-      await mockUSDC
-        .connect(user1)
-        .transfer(hurupay.target, ethers.parseUnits("10", 6));
+      const request = await client.signEscrowRequest(user1, {
+        recipient: user2.address,
+        amount,
+        arbiter: arbiter.address,
+        refundInMinutes: 60,
+      });
 
-      // Owner should be able to recover these tokens
+      await expect(client.executeEscrow(request))
+        .to.emit(hurupay, "EscrowCreated")
+        .withArgs(
+          request.requestId,
+          user1.address,
+          user2.address,
+          mockUSDC.target,
+          amount,
+          arbiter.address,
+          request.refundAfter
+        );
+
+      const escrow = await client.getEscrow(request.requestId);
+      expect(escrow.status).to.equal("locked");
+      expect(escrow.fee).to.equal((await client.quote(amount)).fee);
+      expect(await mockUSDC.balanceOf(hurupay.target)).to.equal(amount);
+      expect(await hurupay.totalEscrowed(mockUSDC.target)).to.equal(amount);
+      expect(await hurupay.accumulatedFees(mockUSDC.target)).to.equal(0);
+      expect(await client.isProcessed(request.requestId)).to.equal(true);
+    });
+
+    it("Should release to the recipient less the fee", async function () {
+      const { hurupay, mockUSDC, client, user1, user2, request } =
+        await loadFixture(escrowFixture);
+      const { fee, amountAfterFee } = await client.quote(request.amount);
+
+      await expect(hurupay.connect(user1).releaseEscrow(request.requestId))
+        .to.emit(hurupay, "EscrowReleased")
+        .withArgs(request.requestId, user1.address, amountAfterFee, fee)
+        .and.to.emit(hurupay, "Transfer")
+        .withArgs(
+          user1.address,
+          user2.address,
+          mockUSDC.target,
+          amountAfterFee,
+          fee
+        );
+
+      expect(await mockUSDC.balanceOf(user2.address)).to.equal(
+        ethers.parseUnits("1000", 6) + amountAfterFee
+      );
+      expect(await hurupay.accumulatedFees(mockUSDC.target)).to.equal(fee);
+      expect(await hurupay.totalEscrowed(mockUSDC.target)).to.equal(0);
+      expect((await client.getEscrow(request.requestId)).status).to.equal(
+        "released"
+      );
       await expect(
-        hurupay.connect(owner).recoverERC20(mockUSDC.target)
+        hurupay.connect(user1).refundEscrow(request.requestId)
+      ).to.be.revertedWith("Hurupay: escrow not active");
+    });
+
+    it("Should only let the sender or arbiter release", async function () {
+      const { hurupay, user2, arbiter, stranger, request } = await loadFixture(
+        escrowFixture
+      );
+
+      await expect(
+        hurupay.connect(user2).releaseEscrow(request.requestId)
+      ).to.be.revertedWith("Hurupay: not allowed to release");
+      await expect(
+        hurupay.connect(stranger).releaseEscrow(request.requestId)
+      ).to.be.revertedWith("Hurupay: not allowed to release");
+      await expect(
+        hurupay.connect(arbiter).releaseEscrow(request.requestId)
+      ).to.emit(hurupay, "EscrowReleased");
+    });
+
+    it("Should refund the sender in full", async function () {
+      const { hurupay, mockUSDC, user1, user2, stranger, request } =
+        await loadFixture(escrowFixture);
+
+      await expect(
+        hurupay.connect(stranger).refundEscrow(request.requestId)
+      ).to.be.revertedWith("Hurupay: not allowed to refund");
+
+      await expect(
+        hurupay.connect(user2).refundEscrow(request.requestId)
       ).to.changeTokenBalances(
         mockUSDC,
-        [hurupay.target, owner.address],
-        [ethers.parseUnits("-10", 6), ethers.parseUnits("10", 6)]
+        [hurupay.target, user1.address],
+        [-request.amount, request.amount]
       );
+      expect(await hurupay.accumulatedFees(mockUSDC.target)).to.equal(0);
     });
 
-    it("Should not allow recovering accumulated fees", async function () {
-      const { hurupay, mockUSDC, owner, user1, user2 } = await loadFixture(
+    it("Should let anyone refund after the timeout", async function () {
+      const { hurupay, stranger, request } = await loadFixture(escrowFixture);
+
+      await time.increaseTo(request.refundAfter);
+
+      await expect(hurupay.connect(stranger).refundEscrow(request.requestId))
+        .to.emit(hurupay, "EscrowRefunded")
+        .withArgs(request.requestId, stranger.address, request.amount);
+    });
+
+    it("Should leave a disputed escrow to the arbiter", async function () {
+      const { hurupay, user1, user2, arbiter, stranger, request } =
+        await loadFixture(escrowFixture);
+
+      await expect(
+        hurupay.connect(stranger).disputeEscrow(request.requestId)
+      ).to.be.revertedWith("Hurupay: not allowed to dispute");
+      await expect(hurupay.connect(user2).disputeEscrow(request.requestId))
+        .to.emit(hurupay, "EscrowDisputed")
+        .withArgs(request.requestId, user2.address);
+
+      // Neither the parties nor the timeout can settle it now
+      await time.increaseTo(request.refundAfter);
+      await expect(
+        hurupay.connect(user1).releaseEscrow(request.requestId)
+      ).to.be.revertedWith("Hurupay: not allowed to release");
+      await expect(
+        hurupay.connect(stranger).refundEscrow(request.requestId)
+      ).to.be.revertedWith("Hurupay: not allowed to refund");
+
+      await expect(
+        hurupay.connect(arbiter).refundEscrow(request.requestId)
+      ).to.emit(hurupay, "EscrowRefunded");
+    });
+
+    it("Should not allow a dispute without an arbiter", async function () {
+      const { hurupay, client, user1, user2 } = await loadFixture(
         deployHurupayFixture
       );
 
-      // Make a signature-based transfer to accumulate fees
-      const requestId = ethers.keccak256(ethers.toUtf8Bytes("recovery-test"));
-      const amount = "100"; // 100 USDC
+      const request = await client.signEscrowRequest(user1, {
+        recipient: user2.address,
+        amount: ethers.parseUnits("10", 6),
+        refundInMinutes: 60,
+      });
+      await client.executeEscrow(request);
 
-      const transferRequest = await signTransferRequest(
-        requestId,
-        user1.address,
-        user2.address,
-        amount,
-        hurupay.target
-      );
+      await expect(
+        hurupay.connect(user1).disputeEscrow(request.requestId)
+      ).to.be.revertedWith("Hurupay: no arbiter");
+    });
 
-      await hurupay.executeTransferWithSignature(
-        transferRequest.requestId,
-        transferRequest.sender,
-        transferRequest.recipient,
-        transferRequest.amount,
-        transferRequest.deadline,
-        transferRequest.signature
+    it("Should reject tampered or reused escrow requests", async function () {
+      const { client, stranger, request } = await loadFixture(escrowFixture);
+
+      await expect(
+        client.executeEscrow({ ...request, requestId: ethers.ZeroHash })
+      ).to.be.revertedWith("Hurupay: invalid signature");
+      await expect(
+        client.executeEscrow({
+          ...request,
+          requestId: ethers.id("order-2"),
+          arbiter: stranger.address,
+        })
+      ).to.be.revertedWith("Hurupay: invalid signature");
+      await expect(client.executeEscrow(request)).to.be.revertedWith(
+        "Hurupay: request already processed"
       );
+    });
 
-      const fee = await hurupay.calculateFee(transferRequest.amount);
+    it("Should not let escrowed funds be recovered", async function () {
+      const { mockUSDC, client } = await loadFixture(escrowFixture);
 
-      // Attempt to recover the USDC (should fail because only accumulated fees are present)
       await expect(
-        hurupay.connect(owner).recoverERC20(mockUSDC.target)
+        executeTimelocked(client, "recoverERC20", [mockUSDC.target])
       ).to.be.revertedWith("Hurupay: only accumulated fees available");
+    });
+  });
 
-      // Send additional tokens to the contract
-      await mockUSDC
-        .connect(user1)
-        .transfer(hurupay.target, ethers.parseUnits("10", 6));
+  describe("Scheduled Payments", function () {
+    const DAY = 24 * 60 * 60;
+    const period = 30 * DAY;
+    const amount = ethers.parseUnits("50", 6);
 
-      // Now should be able to recover the extra 10 USDC, but not the fees
-      await expect(
-        hurupay.connect(owner).recoverERC20(mockUSDC.target)
-      ).to.changeTokenBalances(
-        mockUSDC,
-        [hurupay.target, owner.address],
-        [ethers.parseUnits("-10", 6), ethers.parseUnits("10", 6)]
-      );
+    // A monthly payment of 50 USDC, three times, starting now
+    async function scheduleFixture() {
+      const fixture = await deployHurupayFixture();
+      const { client, user1, user2 } = fixture;
 
-      // Accumulated fees should still be there
-      expect(await hurupay.accumulatedFees()).to.equal(fee);
-      expect(await mockUSDC.balanceOf(hurupay.target)).to.equal(fee);
+      const schedule = await client.signPaymentSchedule(user1, {
+        scheduleId: "payroll-user2",
+        recipient: user2.address,
+        amount,
+        period,
+        maxOccurrences: 3,
+      });
+
+      return { ...fixture, schedule };
+    }
+
+    it("Should pay once per period until completed", async function () {
+      const { hurupay, mockUSDC, client, user1, user2, schedule } =
+        await loadFixture(scheduleFixture);
+      const { fee, amountAfterFee } = await client.quote(amount);
+
+      for (let occurrence = 0; occurrence < 3; occurrence++) {
+        await expect(client.executeScheduledPayment(schedule))
+          .to.emit(hurupay, "ScheduledPaymentExecuted")
+          .withArgs(
+            schedule.scheduleId,
+            user1.address,
+            user2.address,
+            occurrence,
+            amountAfterFee,
+            fee
+          );
+        await expect(
+          client.executeScheduledPayment(schedule)
+        ).to.be.revertedWith(
+          occurrence < 2
+            ? "Hurupay: payment not due"
+            : "Hurupay: schedule completed"
+        );
+        await time.increase(period);
+      }
+
+      expect(await mockUSDC.balanceOf(user2.address)).to.equal(
+        ethers.parseUnits("1000", 6) + amountAfterFee * 3n
+      );
+      expect(await hurupay.accumulatedFees(mockUSDC.target)).to.equal(fee * 3n);
+      const status = await client.getSchedule(schedule);
+      expect(status.executed).to.equal(3);
+      expect(status.completed).to.equal(true);
+      expect(status.nextDueAt).to.equal(null);
     });
 
-    it("Should revert when zero address is provided for token recovery", async function () {
-      const { hurupay, owner } = await loadFixture(deployHurupayFixture);
+    it("Should pay only the current occurrence after missed ones", async function () {
+      const { hurupay, client, user1, user2, schedule } = await loadFixture(
+        scheduleFixture
+      );
+      const { fee, amountAfterFee } = await client.quote(amount);
+
+      await time.increase(period * 2 - DAY);
+      expect((await client.getSchedule(schedule)).nextDueAt).to.equal(
+        schedule.start + BigInt(period)
+      );
+
+      // Occurrence 0 is forfeited; occurrence 1 is paid once
+      await expect(client.executeScheduledPayment(schedule))
+        .to.emit(hurupay, "ScheduledPaymentExecuted")
+        .withArgs(
+          schedule.scheduleId,
+          user1.address,
+          user2.address,
+          1,
+          amountAfterFee,
+          fee
+        );
+      await expect(client.executeScheduledPayment(schedule)).to.be.revertedWith(
+        "Hurupay: payment not due"
+      );
+
+      const status = await client.getSchedule(schedule);
+      expect(status.executed).to.equal(2);
+      expect(status.nextDueAt).to.equal(schedule.start + 2n * BigInt(period));
+
+      // Once the last period passed unpaid, nothing is left to pay
+      await time.increase(period * 2);
+      expect((await client.getSchedule(schedule)).completed).to.equal(true);
+      await expect(client.executeScheduledPayment(schedule)).to.be.revertedWith(
+        "Hurupay: schedule completed"
+      );
+    });
+
+    it("Should pay a daily schedule once after days of inactivity", async function () {
+      const { mockUSDC, client, user1, user2 } = await loadFixture(
+        deployHurupayFixture
+      );
+      const schedule = await client.signPaymentSchedule(user1, {
+        recipient: user2.address,
+        amount,
+        period: DAY,
+        maxOccurrences: 30,
+      });
+
+      await time.increase(5 * DAY);
+      await expect(
+        client.executeScheduledPayment(schedule)
+      ).to.changeTokenBalance(mockUSDC, user1, -amount);
+      await expect(client.executeScheduledPayment(schedule)).to.be.revertedWith(
+        "Hurupay: payment not due"
+      );
+      expect((await client.getSchedule(schedule)).executed).to.equal(6);
+    });
+
+    it("Should not pay before the start", async function () {
+      const { client, user1, user2 } = await loadFixture(deployHurupayFixture);
+
+      const schedule = await client.signPaymentSchedule(user1, {
+        recipient: user2.address,
+        amount,
+        period,
+        start: (await time.latest()) + DAY,
+        maxOccurrences: 1,
+      });
+
+      await expect(client.executeScheduledPayment(schedule)).to.be.revertedWith(
+        "Hurupay: payment not due"
+      );
+      await time.increase(DAY);
+      await expect(client.executeScheduledPayment(schedule)).to.emit(
+        client.contract,
+        "ScheduledPaymentExecuted"
+      );
+    });
+
+    it("Should stop once the sender revokes it", async function () {
+      const { hurupay, client, user1, user2, schedule } = await loadFixture(
+        scheduleFixture
+      );
+
+      await client.executeScheduledPayment(schedule);
+
+      // Revoking someone else's schedule id only touches the caller's own
+      await hurupay.connect(user2).revokeSchedule(schedule.scheduleId);
+      await time.increase(period);
+      await client.executeScheduledPayment(schedule);
+
+      await expect(hurupay.connect(user1).revokeSchedule(schedule.scheduleId))
+        .to.emit(hurupay, "ScheduleRevoked")
+        .withArgs(user1.address, schedule.scheduleId);
+      await time.increase(period);
+      await expect(client.executeScheduledPayment(schedule)).to.be.revertedWith(
+        "Hurupay: schedule revoked"
+      );
+      expect((await client.getSchedule(schedule)).revoked).to.equal(true);
+    });
+
+    it("Should reject tampered schedules and bumped nonces", async function () {
+      const { hurupay, client, user1, schedule } = await loadFixture(
+        scheduleFixture
+      );
+
+      await expect(
+        client.executeScheduledPayment({ ...schedule, amount: amount * 2n })
+      ).to.be.revertedWith("Hurupay: invalid signature");
+      await expect(
+        client.executeScheduledPayment({ ...schedule, period: 1 })
+      ).to.be.revertedWith("Hurupay: invalid signature");
+
+      await hurupay.connect(user1).incrementNonce();
+      await expect(client.executeScheduledPayment(schedule)).to.be.revertedWith(
+        "Hurupay: invalid signature"
+      );
+    });
+  });
+
+  describe("Split Payments", function () {
+    async function splitFixture() {
+      const fixture = await deployHurupayFixture();
+      const [, , , user3] = await ethers.getSigners();
+      const payees = [
+        {
+          recipient: fixture.user2.address,
+          amount: ethers.parseUnits("100", 6),
+        },
+        { recipient: user3.address, amount: ethers.parseUnits("33.333333", 6) },
+      ];
+      const request = await fixture.client.signSplitRequest(fixture.user1, {
+        requestId: "payroll-1",
+        payees,
+      });
+      return { ...fixture, user3, payees, request };
+    }
+
+    it("Should pay every payee its share net of one fee", async function () {
+      const { hurupay, mockUSDC, client, user1, user2, user3, request } =
+        await loadFixture(splitFixture);
+      const quote = await client.quoteSplit(request.payees);
+      const [first, second] = quote.payees;
+      expect(first.fee + second.fee).to.equal(quote.fee);
+
+      const tx = client.executeSplit(request);
+      await expect(tx).to.changeTokenBalances(
+        mockUSDC,
+        [user1, user2, user3],
+        [-quote.amount, first.amountAfterFee, second.amountAfterFee]
+      );
+      await expect(tx)
+        .to.emit(hurupay, "SplitPayment")
+        .withArgs(
+          request.requestId,
+          user1.address,
+          user3.address,
+          mockUSDC.target,
+          second.amount,
+          second.fee
+        )
+        .and.to.emit(hurupay, "Transfer")
+        .withArgs(
+          user1.address,
+          user2.address,
+          mockUSDC.target,
+          first.amountAfterFee,
+          first.fee
+        );
+
+      expect(await hurupay.accumulatedFees(mockUSDC.target)).to.equal(
+        quote.fee
+      );
+      const transfers = client.parseTransfers(await (await tx).wait());
+      expect(transfers.map((t) => t.requestId)).to.deep.equal([
+        request.requestId,
+        request.requestId,
+      ]);
+    });
+
+    it("Should charge the fee once on the total", async function () {
+      const { hurupay, mockUSDC, client, user1, user2, user3 } =
+        await loadFixture(splitFixture);
+      // A 1 USDC minimum would cost each of three single transfers 1 USDC
+      await executeTimelocked(client, "updateFeeLimits", [
+        mockUSDC.target,
+        ethers.parseUnits("1", 6),
+        0,
+      ]);
+      const amount = ethers.parseUnits("10", 6);
+      const request = await client.signSplitRequest(user1, {
+        payees: [user2, user3, user2].map((payee) => ({
+          recipient: payee.address,
+          amount,
+        })),
+      });
+
+      await client.executeSplit(request);
+
+      expect(await hurupay.accumulatedFees(mockUSDC.target)).to.equal(
+        ethers.parseUnits("1", 6)
+      );
+    });
+
+    it("Should share replay protection with single transfers", async function () {
+      const { client, user1, user2, request } = await loadFixture(splitFixture);
+
+      await client.executeSplit(request);
+      await expect(client.executeSplit(request)).to.be.revertedWith(
+        "Hurupay: request already processed"
+      );
+
+      const transfer = await client.signTransferRequest(user1, {
+        requestId: request.requestId,
+        recipient: user2.address,
+        amount: ethers.parseUnits("10", 6),
+      });
+      await expect(client.executeTransfer(transfer)).to.be.revertedWith(
+        "Hurupay: request already processed"
+      );
+    });
+
+    it("Should reject tampered payees and invalid splits", async function () {
+      const { hurupay, client, user1, user2, user3, payees, request } =
+        await loadFixture(splitFixture);
+
+      await expect(
+        client.executeSplit({ ...request, payees: payees.slice(0, 1) })
+      ).to.be.revertedWith("Hurupay: invalid signature");
+      await expect(
+        client.executeSplit({
+          ...request,
+          payees: [payees[0], { ...payees[1], recipient: user1.address }],
+        })
+      ).to.be.revertedWith("Hurupay: invalid signature");
+      await expect(
+        client.executeSplit({ ...request, payees: [] })
+      ).to.be.revertedWith("Hurupay: invalid payee count");
+
+      const zero = await client.signSplitRequest(user1, {
+        payees: [...payees, { recipient: user2.address, amount: 0 }],
+      });
+      await expect(client.executeSplit(zero)).to.be.revertedWith(
+        "Hurupay: amount must be greater than zero"
+      );
+
+      await hurupay.setBlocked(user3.address, true);
+      await expect(client.executeSplit(request)).to.be.revertedWith(
+        "Hurupay: recipient blocked"
+      );
+    });
+  });
+
+  describe("Invoices", function () {
+    const amount = ethers.parseUnits("100", 6);
+
+    // user2 is the merchant, user1 pays from its own client
+    async function invoiceFixture() {
+      const fixture = await deployHurupayFixture();
+      const invoice = await fixture.client.createInvoice(fixture.user2, {
+        invoiceId: "INV-1",
+        amount,
+        memo: "order-42",
+      });
+      const payerClient = new HurupayClient(
+        fixture.hurupay.connect(fixture.user1)
+      );
+      return { ...fixture, invoice, payerClient };
+    }
+
+    it("Should pay the merchant net of the fee and emit the memo", async function () {
+      const { hurupay, client, mockUSDC, user1, user2, payerClient } =
+        await loadFixture(invoiceFixture);
+      // There is no relayer to share the fee with
+      await executeTimelocked(client, "updateRelayerFeeShare", [5000]);
+      const invoice = await client.createInvoice(user2, {
+        invoiceId: "INV-1",
+        amount,
+        memo: "order-42",
+      });
+      const { fee, amountAfterFee } = await client.quote(amount);
+
+      const tx = payerClient.payInvoice(invoice);
+      await expect(tx).to.changeTokenBalances(
+        mockUSDC,
+        [user1, user2],
+        [-amount, amountAfterFee]
+      );
+      await expect(tx)
+        .to.emit(hurupay, "InvoicePaid")
+        .withArgs(
+          user2.address,
+          invoice.invoiceId,
+          user1.address,
+          mockUSDC.target,
+          amount,
+          fee,
+          ethers.id("order-42")
+        );
+
+      expect(await hurupay.accumulatedFees(mockUSDC.target)).to.equal(fee);
+      expect(await client.getInvoiceStatus(invoice)).to.equal("paid");
+      await expect(payerClient.payInvoice(invoice)).to.be.revertedWith(
+        "Hurupay: invoice already paid"
+      );
+    });
+
+    it("Should reject tampered, expired and other payers' invoices", async function () {
+      const { client, user2, owner, invoice, payerClient } = await loadFixture(
+        invoiceFixture
+      );
+
+      await expect(
+        payerClient.payInvoice({ ...invoice, amount: 1n })
+      ).to.be.revertedWith("Hurupay: invalid signature");
+      await expect(
+        payerClient.payInvoice({ ...invoice, memo: ethers.ZeroHash })
+      ).to.be.revertedWith("Hurupay: invalid signature");
+
+      const forOwner = await client.createInvoice(user2, {
+        invoiceId: "INV-2",
+        payer: owner.address,
+        amount,
+      });
+      await expect(payerClient.payInvoice(forOwner)).to.be.revertedWith(
+        "Hurupay: invoice is for another payer"
+      );
+
+      const shortLived = await client.createInvoice(user2, {
+        invoiceId: "INV-3",
+        amount,
+        expiresInMinutes: 1,
+      });
+      await time.increase(120);
+      await expect(payerClient.payInvoice(shortLived)).to.be.revertedWith(
+        "Hurupay: invoice expired"
+      );
+      expect(await client.getInvoiceStatus(shortLived)).to.equal("expired");
+    });
+
+    it("Should let only the merchant void an open invoice", async function () {
+      const { hurupay, client, user2, invoice, payerClient } =
+        await loadFixture(invoiceFixture);
+
+      // Voiding someone else's invoice id only touches the caller's own
+      await payerClient.voidInvoice(invoice.invoiceId);
+      expect(await client.getInvoiceStatus(invoice)).to.equal("open");
+
+      await expect(hurupay.connect(user2).voidInvoice(invoice.invoiceId))
+        .to.emit(hurupay, "InvoiceVoided")
+        .withArgs(user2.address, invoice.invoiceId);
+      await expect(payerClient.payInvoice(invoice)).to.be.revertedWith(
+        "Hurupay: invoice void"
+      );
+      await expect(
+        hurupay.connect(user2).voidInvoice(invoice.invoiceId)
+      ).to.be.revertedWith("Hurupay: invoice void");
+
+      const paid = await client.createInvoice(user2, {
+        invoiceId: "INV-2",
+        amount,
+      });
+      await payerClient.payInvoice(paid);
+      await expect(
+        hurupay.connect(user2).voidInvoice(paid.invoiceId)
+      ).to.be.revertedWith("Hurupay: invoice already paid");
+    });
+  });
+
+  describe("Refunds", function () {
+    const amount = ethers.parseUnits("100", 6);
+
+    // user1 pays user2 through the owner as relayer; user2 refunds from its
+    // own client
+    async function refundFixture() {
+      const fixture = await deployHurupayFixture();
+      const recipientClient = new HurupayClient(
+        fixture.hurupay.connect(fixture.user2)
+      );
+      const request = await fixture.client.signTransferRequest(fixture.user1, {
+        requestId: "order-1",
+        recipient: fixture.user2.address,
+        amount,
+      });
+      await fixture.client.executeTransfer(request);
+      return { ...fixture, request, recipientClient };
+    }
+
+    it("Should refund the amount, and the owner's part of the fee with the owner's consent", async function () {
+      const { hurupay, client, mockUSDC, owner, user1, user2 } =
+        await loadFixture(deployHurupayFixture);
+      await executeTimelocked(client, "updateRelayerFeeShare", [5000]); // 50%
+      const refunder = new HurupayClient(hurupay.connect(user2));
+      const request = await client.signTransferRequest(user1, {
+        requestId: "order-1",
+        recipient: user2.address,
+        amount,
+      });
+      await client.executeTransfer(request);
+
+      const transfer = await refunder.getRefundableTransfer("order-1");
+      expect(transfer).to.include({
+        sender: user1.address,
+        recipient: user2.address,
+        netAmount: ethers.parseUnits("99", 6),
+        ownerFee: ethers.parseUnits("0.5", 6),
+        refunded: 0n,
+        feeRefunded: 0n,
+        refundable: true,
+      });
+
+      const tx = refunder.refundTransfer("order-1");
+      await expect(tx).to.changeTokenBalances(
+        mockUSDC,
+        [user1, user2],
+        [ethers.parseUnits("99", 6), -ethers.parseUnits("99", 6)]
+      );
+      await expect(tx)
+        .to.emit(hurupay, "TransferRefunded")
+        .withArgs(
+          request.requestId,
+          user1.address,
+          user2.address,
+          mockUSDC.target,
+          ethers.parseUnits("99", 6),
+          0
+        );
+
+      // The fee goes back only when the owner refunds it
+      await expect(client.refundTransferFee("order-1"))
+        .to.emit(hurupay, "TransferRefunded")
+        .withArgs(
+          request.requestId,
+          user1.address,
+          user2.address,
+          mockUSDC.target,
+          0,
+          ethers.parseUnits("0.5", 6)
+        );
+
+      // The relayer keeps its share
+      expect(await hurupay.accumulatedFees(mockUSDC.target)).to.equal(0);
+      expect(await hurupay.relayerFees(owner, mockUSDC)).to.equal(
+        ethers.parseUnits("0.5", 6)
+      );
+      await expect(
+        refunder.refundTransfer("order-1", { amount: 1n })
+      ).to.be.revertedWith("Hurupay: refund exceeds amount");
+      await expect(client.refundTransferFee("order-1")).to.be.revertedWith(
+        "Hurupay: no fee to refund"
+      );
+    });
+
+    it("Should allow partial refunds up to the net amount", async function () {
+      const { hurupay, client, mockUSDC, request, recipientClient } =
+        await loadFixture(refundFixture);
+
+      await recipientClient.refundTransfer("order-1", {
+        amount: ethers.parseUnits("33", 6),
+      });
+      await client.refundTransferFee("order-1");
+      // 1 USDC fee on 99 net: a third of it, rounded down
+      expect(await hurupay.accumulatedFees(mockUSDC.target)).to.equal(
+        ethers.parseUnits("1", 6) - 333333n
+      );
+      await expect(
+        recipientClient.refundTransfer("order-1", {
+          amount: ethers.parseUnits("67", 6),
+        })
+      ).to.be.revertedWith("Hurupay: refund exceeds amount");
+
+      // What is left by default
+      await expect(recipientClient.refundTransfer("order-1"))
+        .to.emit(hurupay, "TransferRefunded")
+        .withArgs(
+          request.requestId,
+          request.sender,
+          request.recipient,
+          mockUSDC.target,
+          ethers.parseUnits("66", 6),
+          0
+        );
+      await client.refundTransferFee("order-1");
+      expect(await hurupay.accumulatedFees(mockUSDC.target)).to.equal(0);
+      expect(await hurupay.refundedFees(request.requestId)).to.equal(
+        ethers.parseUnits("1", 6)
+      );
+    });
+
+    it("Should find the relayer's share through a lowercase address", async function () {
+      const { hurupay, client, user1, user2 } = await loadFixture(
+        deployHurupayFixture
+      );
+      await executeTimelocked(client, "updateRelayerFeeShare", [5000]); // 50%
+      await client.executeTransfer(
+        await client.signTransferRequest(user1, {
+          requestId: "order-1",
+          recipient: user2.address,
+          amount,
+        })
+      );
+
+      const refunder = HurupayClient.connect(
+        hurupay.target.toLowerCase(),
+        user2
+      );
+      expect(await refunder.getRefundableTransfer("order-1")).to.include({
+        ownerFee: ethers.parseUnits("0.5", 6),
+        refundable: true,
+      });
+    });
+
+    it("Should record transfers made in a batch", async function () {
+      const { client, recipientClient, mockUSDC, user1, user2 } =
+        await loadFixture(refundFixture);
+      await client.executeBatch([
+        await client.signTransferRequest(user1, {
+          requestId: "order-2",
+          recipient: user2.address,
+          amount,
+        }),
+      ]);
+
+      expect(
+        (await client.getRefundableTransfer("order-2")).refundable
+      ).to.equal(true);
+      await expect(
+        recipientClient.refundTransfer("order-2")
+      ).to.changeTokenBalances(
+        mockUSDC,
+        [user1, user2],
+        [ethers.parseUnits("99", 6), -ethers.parseUnits("99", 6)]
+      );
+    });
+
+    it("Should reject refunds by others or of tampered transfers", async function () {
+      const { hurupay, client, recipientClient, user1 } = await loadFixture(
+        refundFixture
+      );
+      const transfer = await client.getRefundableTransfer("order-1");
+      const struct = {
+        requestId: transfer.requestId,
+        sender: transfer.sender,
+        recipient: transfer.recipient,
+        token: transfer.token,
+        netAmount: transfer.netAmount,
+        ownerFee: transfer.ownerFee,
+      };
+
+      await expect(
+        hurupay.connect(user1).refundTransfer(struct, 1n)
+      ).to.be.revertedWith("Hurupay: caller is not the recipient");
+      await expect(
+        recipientClient.contract.refundTransfer(
+          { ...struct, ownerFee: struct.ownerFee + 1n },
+          1n
+        )
+      ).to.be.revertedWith("Hurupay: transfer not refundable");
+      await expect(
+        recipientClient.refundTransfer("order-1", { amount: 0n })
+      ).to.be.revertedWith("Hurupay: amount must be greater than zero");
+      await expect(
+        recipientClient.refundTransfer("order-2")
+      ).to.be.rejectedWith("Hurupay: transfer not found");
+      await expect(
+        hurupay.connect(user1).refundTransferFee(struct)
+      ).to.be.revertedWithCustomError(hurupay, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should refund the fee only while it is still collected", async function () {
+      const { hurupay, client, mockUSDC, user1, recipientClient } =
+        await loadFixture(refundFixture);
+      await hurupay.withdrawFees(mockUSDC.target);
+
+      await expect(
+        recipientClient.refundTransfer("order-1")
+      ).to.changeTokenBalance(mockUSDC, user1, ethers.parseUnits("99", 6));
+      await expect(client.refundTransferFee("order-1")).to.be.revertedWith(
+        "Hurupay: insufficient fees to refund"
+      );
+    });
+  });
+
+  describe("Cancellation and Nonces", function () {
+    async function signRequest(client, sender, recipient, requestId) {
+      return client.signTransferRequest(sender, {
+        requestId,
+        recipient,
+        amount: ethers.parseUnits("10", 6),
+      });
+    }
+
+    it("Should let the sender cancel a request on-chain", async function () {
+      const { hurupay, client, user1, user2 } = await loadFixture(
+        deployHurupayFixture
+      );
+
+      const request = await signRequest(client, user1, user2.address, "c-1");
+
+      await expect(hurupay.connect(user1).cancelRequest(request.requestId))
+        .to.emit(hurupay, "RequestCancelled")
+        .withArgs(user1.address, request.requestId);
+
+      expect(await client.getRequestStatus(request)).to.equal(
+        RequestStatus.CANCELLED
+      );
+      await expect(client.executeTransfer(request)).to.be.revertedWith(
+        "Hurupay: request cancelled"
+      );
+    });
+
+    it("Should accept a cancellation signed by the sender", async function () {
+      const { hurupay, client, user1, user2 } = await loadFixture(
+        deployHurupayFixture
+      );
+
+      const request = await signRequest(client, user1, user2.address, "c-2");
+      const cancellation = await client.signCancellation(
+        user1,
+        request.requestId
+      );
+
+      // Submitted by the relayer (owner)
+      await expect(client.executeCancellation(cancellation))
+        .to.emit(hurupay, "RequestCancelled")
+        .withArgs(user1.address, request.requestId);
+
+      await expect(client.executeTransfer(request)).to.be.revertedWith(
+        "Hurupay: request cancelled"
+      );
+    });
+
+    it("Should reject a cancellation not signed by the sender", async function () {
+      const { client, user1, user2 } = await loadFixture(deployHurupayFixture);
+
+      const request = await signRequest(client, user1, user2.address, "c-3");
+      const cancellation = await client.signCancellation(
+        user2,
+        request.requestId
+      );
+
+      await expect(
+        client.executeCancellation({ ...cancellation, sender: user1.address })
+      ).to.be.revertedWith("Hurupay: invalid signature");
+    });
+
+    it("Should only cancel the request for that sender", async function () {
+      const { hurupay, client, user1, user2 } = await loadFixture(
+        deployHurupayFixture
+      );
+
+      const request = await signRequest(client, user1, user2.address, "c-4");
+      await hurupay.connect(user2).cancelRequest(request.requestId);
+
+      await expect(client.executeTransfer(request)).to.emit(
+        hurupay,
+        "Transfer"
+      );
+    });
+
+    it("Should not cancel an executed request", async function () {
+      const { hurupay, client, user1, user2 } = await loadFixture(
+        deployHurupayFixture
+      );
+
+      const request = await signRequest(client, user1, user2.address, "c-5");
+      await client.executeTransfer(request);
+
+      await expect(
+        hurupay.connect(user1).cancelRequest(request.requestId)
+      ).to.be.revertedWith("Hurupay: request already processed");
+    });
+
+    it("Should invalidate outstanding signatures when the nonce is bumped", async function () {
+      const { hurupay, client, user1, user2 } = await loadFixture(
+        deployHurupayFixture
+      );
+
+      const first = await signRequest(client, user1, user2.address, "n-1");
+      const second = await signRequest(client, user1, user2.address, "n-2");
+
+      await expect(hurupay.connect(user1).incrementNonce())
+        .to.emit(hurupay, "NonceIncremented")
+        .withArgs(user1.address, 1);
+
+      for (const request of [first, second]) {
+        expect(await client.getRequestStatus(request)).to.equal(
+          RequestStatus.CANCELLED
+        );
+        await expect(client.executeTransfer(request)).to.be.revertedWith(
+          "Hurupay: invalid signature"
+        );
+      }
+
+      // Requests signed under the new nonce go through
+      const fresh = await signRequest(client, user1, user2.address, "n-1");
+      expect(fresh.nonce).to.equal(1);
+      await expect(client.executeTransfer(fresh)).to.emit(hurupay, "Transfer");
+    });
+
+    it("Should report pending, executed and expired requests", async function () {
+      const { mockUSDC, client, user1, user2 } = await loadFixture(
+        deployHurupayFixture
+      );
+
+      const executed = await signRequest(client, user1, user2.address, "s-1");
+      const expiring = await signRequest(client, user1, user2.address, "s-2");
+
+      expect(await client.getRequestStatus(executed)).to.equal(
+        RequestStatus.PENDING
+      );
+      await client.executeTransfer(executed);
+      expect(await client.getRequestStatus(executed)).to.equal(
+        RequestStatus.EXECUTED
+      );
+
+      await time.increaseTo(expiring.deadline + 1n);
+      expect(await client.getRequestStatus(expiring)).to.equal(
+        RequestStatus.EXPIRED
+      );
+    });
+  });
+
+  describe("Contract Wallet Senders", function () {
+    async function contractWalletFixture() {
+      const fixture = await deployHurupayFixture();
+      const [, , , walletOwner] = await ethers.getSigners();
+
+      const MockContractWallet = await ethers.getContractFactory(
+        "MockContractWallet"
+      );
+      const wallet = await MockContractWallet.deploy(walletOwner.address);
+
+      // Fund the wallet and approve Hurupay through the wallet itself
+      await fixture.mockUSDC.mint(wallet.target, ethers.parseUnits("1000", 6));
+      await wallet
+        .connect(walletOwner)
+        .execute(
+          fixture.mockUSDC.target,
+          fixture.mockUSDC.interface.encodeFunctionData("approve", [
+            fixture.hurupay.target,
+            ethers.MaxUint256,
+          ])
+        );
+
+      return { ...fixture, wallet, walletOwner };
+    }
+
+    it("Should charge the same fee to EOA and contract-wallet senders", async function () {
+      const { hurupay, client, mockUSDC, user1, user2, wallet, walletOwner } =
+        await loadFixture(contractWalletFixture);
+
+      const amount = ethers.parseUnits("100", 6);
+      const { fee, amountAfterFee } = await client.quote(amount);
+
+      const fromEoa = await client.signTransferRequest(user1, {
+        requestId: "eoa-sender",
+        recipient: user2.address,
+        amount,
+      });
+      const fromWallet = await client.signTransferRequest(walletOwner, {
+        requestId: "wallet-sender",
+        sender: wallet.target,
+        recipient: user2.address,
+        amount,
+      });
+
+      await expect(client.executeTransfer(fromEoa))
+        .to.emit(hurupay, "Transfer")
+        .withArgs(
+          user1.address,
+          user2.address,
+          mockUSDC.target,
+          amountAfterFee,
+          fee
+        );
+      await expect(client.executeTransfer(fromWallet))
+        .to.emit(hurupay, "Transfer")
+        .withArgs(
+          wallet.target,
+          user2.address,
+          mockUSDC.target,
+          amountAfterFee,
+          fee
+        );
+
+      expect(await mockUSDC.balanceOf(wallet.target)).to.equal(
+        ethers.parseUnits("900", 6)
+      );
+      expect(await mockUSDC.balanceOf(user2.address)).to.equal(
+        ethers.parseUnits("1000", 6) + amountAfterFee * 2n
+      );
+      expect(await hurupay.accumulatedFees(mockUSDC.target)).to.equal(fee * 2n);
+    });
+
+    it("Should reject a signature the wallet does not accept", async function () {
+      const { client, user1, user2, wallet } = await loadFixture(
+        contractWalletFixture
+      );
+
+      // Signed by an EOA that does not own the wallet
+      const request = await client.signTransferRequest(user1, {
+        sender: wallet.target,
+        recipient: user2.address,
+        amount: ethers.parseUnits("100", 6),
+      });
+
+      await expect(client.executeTransfer(request)).to.be.revertedWith(
+        "Hurupay: invalid signature"
+      );
+    });
+
+    it("Should accept a cancellation signed for a contract wallet", async function () {
+      const { hurupay, client, user2, wallet, walletOwner } = await loadFixture(
+        contractWalletFixture
+      );
+
+      const request = await client.signTransferRequest(walletOwner, {
+        sender: wallet.target,
+        recipient: user2.address,
+        amount: ethers.parseUnits("100", 6),
+      });
+      const cancellation = await client.signCancellation(
+        walletOwner,
+        request.requestId,
+        { sender: wallet.target }
+      );
+
+      await expect(client.executeCancellation(cancellation))
+        .to.emit(hurupay, "RequestCancelled")
+        .withArgs(wallet.target, request.requestId);
+      await expect(client.executeTransfer(request)).to.be.revertedWith(
+        "Hurupay: request cancelled"
+      );
+    });
+  });
+
+  describe("Relayers", function () {
+    async function signRequest(client, sender, recipient, requestId) {
+      return client.signTransferRequest(sender, {
+        requestId,
+        recipient,
+        amount: ethers.parseUnits("100", 6),
+      });
+    }
+
+    it("Should allow anyone to relay while open relaying is enabled", async function () {
+      const { hurupay, client, user1, user2 } = await loadFixture(
+        deployHurupayFixture
+      );
+
+      expect(await hurupay.openRelaying()).to.equal(true);
+      const request = await signRequest(client, user1, user2.address, "r-1");
+
+      await expect(
+        new HurupayClient(hurupay.connect(user2)).executeTransfer(request)
+      ).to.emit(hurupay, "Transfer");
+    });
+
+    it("Should only allow authorized relayers when open relaying is disabled", async function () {
+      const { hurupay, client, owner, user1, user2 } = await loadFixture(
+        deployHurupayFixture
+      );
+
+      await expect(hurupay.connect(owner).setOpenRelaying(false))
+        .to.emit(hurupay, "OpenRelayingUpdated")
+        .withArgs(false);
+      const request = await signRequest(client, user1, user2.address, "r-2");
+
+      await expect(client.executeTransfer(request)).to.be.revertedWith(
+        "Hurupay: caller is not an authorized relayer"
+      );
+      await expect(client.executeBatch([request])).to.be.revertedWith(
+        "Hurupay: caller is not an authorized relayer"
+      );
+
+      await expect(hurupay.connect(owner).setRelayer(owner.address, true))
+        .to.emit(hurupay, "RelayerUpdated")
+        .withArgs(owner.address, true);
+      expect(await client.canRelay(owner.address)).to.equal(true);
+      expect(await client.canRelay(user2.address)).to.equal(false);
+
+      await expect(client.executeTransfer(request)).to.emit(
+        hurupay,
+        "Transfer"
+      );
+    });
+
+    it("Should only let the owner manage relayers", async function () {
+      const { hurupay, user1 } = await loadFixture(deployHurupayFixture);
+
+      await expect(hurupay.connect(user1).setRelayer(user1.address, true)).to.be
+        .reverted;
+      await expect(hurupay.connect(user1).setOpenRelaying(false)).to.be
+        .reverted;
+      await expect(hurupay.connect(user1).updateRelayerFeeShare(1000)).to.be
+        .reverted;
+    });
+
+    it("Should credit the relayer's share of the fee", async function () {
+      const { hurupay, mockUSDC, client, owner, user1, user2 } =
+        await loadFixture(deployHurupayFixture);
+
+      await expect(executeTimelocked(client, "updateRelayerFeeShare", [2500])) // 25%
+        .to.emit(hurupay, "RelayerFeeShareUpdated")
+        .withArgs(0, 2500);
+
+      const request = await signRequest(client, user1, user2.address, "r-3");
+      const { fee } = await client.quote(request.amount);
+      const relayerFee = fee / 4n;
+
+      await expect(client.executeTransfer(request))
+        .to.emit(hurupay, "RelayerFeeCredited")
+        .withArgs(owner.address, mockUSDC.target, relayerFee);
+
+      expect(await client.getRelayerFees(owner.address)).to.equal(relayerFee);
+      expect(await hurupay.totalRelayerFees(mockUSDC.target)).to.equal(
+        relayerFee
+      );
+      expect(await hurupay.accumulatedFees(mockUSDC.target)).to.equal(
+        fee - relayerFee
+      );
+    });
+
+    it("Should credit the batch submitter in skip-failures mode", async function () {
+      const { hurupay, mockUSDC, client, owner, user1, user2 } =
+        await loadFixture(deployHurupayFixture);
+
+      await executeTimelocked(client, "updateRelayerFeeShare", [BASIS_POINTS]);
+      const request = await signRequest(client, user1, user2.address, "r-4");
+      const { fee } = await client.quote(request.amount);
+
+      await client.executeBatch([request], { atomic: false });
+
+      expect(await client.getRelayerFees(owner.address)).to.equal(fee);
+      expect(await hurupay.accumulatedFees(mockUSDC.target)).to.equal(0);
+    });
+
+    it("Should let relayers withdraw their fees", async function () {
+      const { hurupay, client, mockUSDC, owner, user1, user2 } =
+        await loadFixture(deployHurupayFixture);
+
+      await executeTimelocked(client, "updateRelayerFeeShare", [5000]); // 50%
+      await hurupay.connect(owner).setRelayer(user2.address, true);
+      const request = await signRequest(client, user1, user2.address, "r-5");
+      const { fee } = await client.quote(request.amount);
+      const relayerClient = new HurupayClient(hurupay.connect(user2));
+      await relayerClient.executeTransfer(request);
+
+      await expect(relayerClient.withdrawRelayerFees())
+        .to.emit(hurupay, "RelayerFeesWithdrawn")
+        .withArgs(user2.address, mockUSDC.target, fee / 2n);
+
+      expect(await hurupay.totalRelayerFees(mockUSDC.target)).to.equal(0);
+      await expect(relayerClient.withdrawRelayerFees()).to.be.revertedWith(
+        "Hurupay: no relayer fees to withdraw"
+      );
+
+      // The owner's part is untouched
+      await expect(
+        hurupay.connect(owner).withdrawFees(mockUSDC.target)
+      ).to.changeTokenBalance(mockUSDC, owner, fee - fee / 2n);
+    });
+
+    it("Should not recover relayer fees through recoverERC20", async function () {
+      const { hurupay, client, mockUSDC, owner, user1, user2 } =
+        await loadFixture(deployHurupayFixture);
+
+      await executeTimelocked(client, "updateRelayerFeeShare", [5000]);
+      const request = await signRequest(client, user1, user2.address, "r-6");
+      await client.executeTransfer(request);
+
+      await expect(
+        executeTimelocked(client, "recoverERC20", [mockUSDC.target])
+      ).to.be.revertedWith("Hurupay: only accumulated fees available");
+
+      await mockUSDC
+        .connect(user1)
+        .transfer(hurupay.target, ethers.parseUnits("10", 6));
+      await expect(
+        executeTimelocked(client, "recoverERC20", [mockUSDC.target])
+      ).to.changeTokenBalance(mockUSDC, owner, ethers.parseUnits("10", 6));
+    });
+
+    it("Should reject a relayer fee share above 100%", async function () {
+      const { hurupay, client, owner } = await loadFixture(
+        deployHurupayFixture
+      );
+
+      await expect(
+        executeTimelocked(client, "updateRelayerFeeShare", [BASIS_POINTS + 1n])
+      ).to.be.revertedWith("Hurupay: share too high");
+    });
+  });
+
+  describe("Fee Schedule", function () {
+    const usdc = (value) => ethers.parseUnits(value, 6);
+
+    it("Should apply volume tiers by amount", async function () {
+      const { hurupay, mockUSDC, client, owner } = await loadFixture(
+        deployHurupayFixture
+      );
+
+      const tiers = [
+        { minAmount: usdc("1000"), feeBps: 50 }, // 0.5%
+        { minAmount: usdc("10000"), feeBps: 25 }, // 0.25%
+      ];
+      await expect(
+        executeTimelocked(client, "setFeeTiers", [mockUSDC.target, tiers])
+      ).to.emit(hurupay, "FeeTiersUpdated");
+      expect(await hurupay.getFeeTiers(mockUSDC.target)).to.have.length(2);
+
+      let quote = await client.quote(usdc("999"));
+      expect(quote.source).to.equal("base");
+      expect(quote.fee).to.equal(usdc("9.99"));
+
+      quote = await client.quote(usdc("1000"));
+      expect(quote.source).to.equal("tier");
+      expect(quote.feeBps).to.equal(50);
+      expect(quote.fee).to.equal(usdc("5"));
+
+      quote = await client.quote(usdc("20000"));
+      expect(quote.feeBps).to.equal(25);
+      expect(quote.fee).to.equal(usdc("50"));
+      expect(quote.amountAfterFee).to.equal(usdc("19950"));
+
+      // Dropping the tiers falls back to the base rate
+      await executeTimelocked(client, "setFeeTiers", [mockUSDC.target, []]);
+      expect(
+        await hurupay.calculateFee(mockUSDC.target, usdc("20000"))
+      ).to.equal(usdc("200"));
+    });
+
+    it("Should reject unsorted or too expensive tiers", async function () {
+      const { mockUSDC, client } = await loadFixture(deployHurupayFixture);
+
+      await expect(
+        executeTimelocked(client, "setFeeTiers", [
+          mockUSDC.target,
+          [
+            { minAmount: usdc("1000"), feeBps: 50 },
+            { minAmount: usdc("1000"), feeBps: 25 },
+          ],
+        ])
+      ).to.be.revertedWith("Hurupay: tiers not sorted");
+      await expect(
+        executeTimelocked(client, "setFeeTiers", [
+          mockUSDC.target,
+          [{ minAmount: usdc("1000"), feeBps: 501 }],
+        ])
+      ).to.be.revertedWith("Hurupay: fee too high");
+      await expect(
+        executeTimelocked(client, "setFeeTiers", [ethers.ZeroAddress, []])
+      ).to.be.revertedWith("Hurupay: unsupported token");
+    });
+
+    it("Should keep tiers in each token's own units", async function () {
+      const { hurupay, mockUSDC, client } = await loadFixture(
+        deployHurupayFixture
+      );
+      const MockDAI = await ethers.getContractFactory("MockDAI");
+      const mockDAI = await MockDAI.deploy();
+      await hurupay.setSupportedToken(mockDAI.target, true);
+      const dai = (value) => ethers.parseUnits(value, 18);
+
+      await executeTimelocked(client, "setFeeTiers", [
+        mockUSDC.target,
+        [{ minAmount: usdc("1000"), feeBps: 50 }],
+      ]);
+
+      // 1 DAI is far more units than 1000 USDC, but USDC tiers do not apply
+      let quote = await client.quote(dai("1"), { token: mockDAI.target });
+      expect(quote.source).to.equal("base");
+      expect(quote.fee).to.equal(dai("0.01"));
+
+      await expect(
+        executeTimelocked(client, "setFeeTiers", [
+          mockDAI.target,
+          [{ minAmount: dai("1000"), feeBps: 25 }],
+        ])
+      )
+        .to.emit(hurupay, "FeeTiersUpdated")
+        .withArgs(mockDAI.target, [[dai("1000"), 25n]]);
+      quote = await client.quote(dai("999"), { token: mockDAI.target });
+      expect(quote.source).to.equal("base");
+      quote = await client.quote(dai("1000"), { token: mockDAI.target });
+      expect(quote.source).to.equal("tier");
+      expect(quote.feeBps).to.equal(25);
+      expect((await client.quote(usdc("1000"))).feeBps).to.equal(50);
+    });
+
+    it("Should apply the minimum and maximum absolute fee", async function () {
+      const { hurupay, mockUSDC, client, owner } = await loadFixture(
+        deployHurupayFixture
+      );
+
+      await expect(
+        executeTimelocked(client, "updateFeeLimits", [
+          mockUSDC.target,
+          usdc("0.5"),
+          usdc("5"),
+        ])
+      )
+        .to.emit(hurupay, "FeeLimitsUpdated")
+        .withArgs(mockUSDC.target, usdc("0.5"), usdc("5"));
+
+      // 1% of 10 USDC is 0.1, raised to the 0.5 minimum
+      let quote = await client.quote(usdc("10"));
+      expect(quote.rateFee).to.equal(usdc("0.1"));
+      expect(quote.fee).to.equal(usdc("0.5"));
+
+      // 1% of 1000 USDC is 10, capped at 5
+      quote = await client.quote(usdc("1000"));
+      expect(quote.rateFee).to.equal(usdc("10"));
+      expect(quote.fee).to.equal(usdc("5"));
+
+      // The minimum fee cannot swallow the whole amount
+      await expect(
+        hurupay.calculateFee(mockUSDC.target, usdc("0.5"))
+      ).to.be.revertedWith("Hurupay: fee exceeds amount");
+    });
+
+    it("Should reject a maximum fee below the minimum", async function () {
+      const { hurupay, mockUSDC, client, owner } = await loadFixture(
+        deployHurupayFixture
+      );
+
+      await expect(
+        executeTimelocked(client, "updateFeeLimits", [
+          mockUSDC.target,
+          usdc("5"),
+          usdc("1"),
+        ])
+      ).to.be.revertedWith("Hurupay: invalid fee limits");
+    });
+
+    it("Should prefer recipient overrides over sender overrides", async function () {
+      const { hurupay, mockUSDC, client, owner, user1, user2 } =
+        await loadFixture(deployHurupayFixture);
+      const parties = { sender: user1.address, recipient: user2.address };
+
+      await expect(
+        executeTimelocked(client, "setSenderFeeOverride", [
+          user1.address,
+          true,
+          20,
+        ])
+      )
+        .to.emit(hurupay, "SenderFeeOverrideUpdated")
+        .withArgs(user1.address, true, 20);
+      let quote = await client.quote(usdc("100"), parties);
+      expect(quote.source).to.equal("sender");
+      expect(quote.fee).to.equal(usdc("0.2"));
+
+      await expect(
+        executeTimelocked(client, "setRecipientFeeOverride", [
+          user2.address,
+          true,
+          0,
+        ])
+      )
+        .to.emit(hurupay, "RecipientFeeOverrideUpdated")
+        .withArgs(user2.address, true, 0);
+      quote = await client.quote(usdc("100"), parties);
+      expect(quote.source).to.equal("recipient");
+      expect(quote.fee).to.equal(0);
+
+      // Overrides do not affect the party-less quote
+      expect(await hurupay.calculateFee(mockUSDC.target, usdc("100"))).to.equal(
+        usdc("1")
+      );
+
+      await executeTimelocked(client, "setRecipientFeeOverride", [
+        user2.address,
+        false,
+        0,
+      ]);
+      quote = await client.quote(usdc("100"), parties);
+      expect(quote.source).to.equal("sender");
+    });
+
+    it("Should charge the negotiated rate on signed transfers", async function () {
+      const { hurupay, mockUSDC, client, owner, user1, user2 } =
+        await loadFixture(deployHurupayFixture);
+
+      await executeTimelocked(client, "setRecipientFeeOverride", [
+        user2.address,
+        true,
+        30,
+      ]); // 0.3%
+      const request = await client.signTransferRequest(user1, {
+        recipient: user2.address,
+        amount: usdc("100"),
+      });
+
+      await expect(client.executeTransfer(request))
+        .to.emit(hurupay, "Transfer")
+        .withArgs(
+          user1.address,
+          user2.address,
+          mockUSDC.target,
+          usdc("99.7"),
+          usdc("0.3")
+        );
+      expect(await hurupay.accumulatedFees(mockUSDC.target)).to.equal(
+        usdc("0.3")
+      );
+    });
+
+    it("Should only let the owner change the fee schedule", async function () {
+      const { hurupay, mockUSDC, user1 } = await loadFixture(
+        deployHurupayFixture
+      );
+
+      await expect(hurupay.connect(user1).setFeeTiers(mockUSDC.target, [])).to
+        .be.reverted;
+      await expect(
+        hurupay.connect(user1).updateFeeLimits(mockUSDC.target, 0, 0)
+      ).to.be.reverted;
+      await expect(
+        hurupay.connect(user1).setSenderFeeOverride(user1.address, true, 0)
+      ).to.be.reverted;
+      await expect(
+        hurupay.connect(user1).setRecipientFeeOverride(user1.address, true, 0)
+      ).to.be.reverted;
+    });
+  });
+
+  describe("Multiple Tokens", function () {
+    // Adds a second stablecoin next to USDC
+    async function multiTokenFixture() {
+      const fixture = await deployHurupayFixture();
+      const { hurupay, owner, user1 } = fixture;
+
+      const MockUSDC = await ethers.getContractFactory("MockUSDC");
+      const mockEURC = await MockUSDC.deploy();
+      await mockEURC.mint(user1.address, ethers.parseUnits("1000", 6));
+      await mockEURC.connect(user1).approve(hurupay.target, ethers.MaxUint256);
+      await hurupay.connect(owner).setSupportedToken(mockEURC.target, true);
+
+      return { ...fixture, mockEURC };
+    }
+
+    const amount = ethers.parseUnits("100", 6);
+
+    it("Should only support the deployment token by default", async function () {
+      const { hurupay, mockUSDC, client, user1, user2 } = await loadFixture(
+        deployHurupayFixture
+      );
+
+      const MockUSDC = await ethers.getContractFactory("MockUSDC");
+      const other = await MockUSDC.deploy();
+
+      expect(await hurupay.getSupportedTokens()).to.deep.equal([
+        mockUSDC.target,
+      ]);
+      await expect(
+        hurupay.connect(user1).transfer(other.target, user2.address, amount)
+      ).to.be.revertedWith("Hurupay: unsupported token");
+
+      const request = await client.signTransferRequest(user1, {
+        recipient: user2.address,
+        token: other.target,
+        amount,
+      });
+      await expect(client.executeTransfer(request)).to.be.revertedWith(
+        "Hurupay: unsupported token"
+      );
+    });
+
+    it("Should move a supported token and keep its fees apart", async function () {
+      const { hurupay, mockUSDC, mockEURC, client, owner, user1, user2 } =
+        await loadFixture(multiTokenFixture);
+
+      const request = await client.signTransferRequest(user1, {
+        recipient: user2.address,
+        token: mockEURC.target,
+        amount,
+      });
+      const { fee, amountAfterFee } = await client.quote(amount, {
+        token: mockEURC.target,
+      });
+
+      await expect(client.executeTransfer(request))
+        .to.emit(hurupay, "Transfer")
+        .withArgs(
+          user1.address,
+          user2.address,
+          mockEURC.target,
+          amountAfterFee,
+          fee
+        );
+      expect(await mockEURC.balanceOf(user2.address)).to.equal(amountAfterFee);
+      expect(await hurupay.accumulatedFees(mockEURC.target)).to.equal(fee);
+      expect(await hurupay.accumulatedFees(mockUSDC.target)).to.equal(0);
+
+      await expect(
+        hurupay.connect(owner).withdrawFees(mockEURC.target)
+      ).to.changeTokenBalance(mockEURC, owner, fee);
+    });
+
+    it("Should bind the signature to the token", async function () {
+      const { mockEURC, client, user1, user2 } = await loadFixture(
+        multiTokenFixture
+      );
+
+      const request = await client.signTransferRequest(user1, {
+        recipient: user2.address,
+        amount,
+      });
+
+      await expect(
+        client.executeTransfer({ ...request, token: mockEURC.target })
+      ).to.be.revertedWith("Hurupay: invalid signature");
+    });
+
+    it("Should apply a per-token rate and fee limits", async function () {
+      const { hurupay, mockUSDC, mockEURC, client } = await loadFixture(
+        multiTokenFixture
+      );
+
+      await expect(
+        executeTimelocked(client, "updateTokenFee", [mockEURC.target, true, 30])
+      )
+        .to.emit(hurupay, "TokenFeeUpdated")
+        .withArgs(mockEURC.target, true, 30);
+      await executeTimelocked(client, "updateFeeLimits", [
+        mockEURC.target,
+        ethers.parseUnits("1", 6),
+        0,
+      ]);
+
+      let quote = await client.quote(amount, { token: mockEURC.target });
+      expect(quote.source).to.equal("token");
+      expect(quote.rateFee).to.equal(ethers.parseUnits("0.3", 6));
+      expect(quote.fee).to.equal(ethers.parseUnits("1", 6));
+
+      // USDC keeps the base rate and no minimum
+      quote = await client.quote(amount, { token: mockUSDC.target });
+      expect(quote.source).to.equal("base");
+      expect(quote.fee).to.equal(ethers.parseUnits("1", 6));
+      expect(
+        await hurupay.calculateFee(mockUSDC.target, ethers.parseUnits("1", 6))
+      ).to.equal(ethers.parseUnits("0.01", 6));
+    });
+
+    it("Should keep fees withdrawable after a token is removed", async function () {
+      const { hurupay, mockEURC, client, owner, user1, user2 } =
+        await loadFixture(multiTokenFixture);
+
+      await client.executeTransfer(
+        await client.signTransferRequest(user1, {
+          recipient: user2.address,
+          token: mockEURC.target,
+          amount,
+        })
+      );
+      const fee = await hurupay.accumulatedFees(mockEURC.target);
+
+      await expect(
+        hurupay.connect(owner).setSupportedToken(mockEURC.target, false)
+      )
+        .to.emit(hurupay, "TokenSupportUpdated")
+        .withArgs(mockEURC.target, false);
+      await expect(
+        hurupay.connect(user1).transfer(mockEURC.target, user2.address, amount)
+      ).to.be.revertedWith("Hurupay: unsupported token");
+
+      await expect(
+        hurupay.connect(owner).withdrawFees(mockEURC.target)
+      ).to.changeTokenBalance(mockEURC, owner, fee);
+    });
+
+    it("Should only let the owner manage supported tokens", async function () {
+      const { hurupay, mockEURC, owner, user1 } = await loadFixture(
+        multiTokenFixture
+      );
+
+      await expect(
+        hurupay.connect(user1).setSupportedToken(mockEURC.target, false)
+      ).to.be.reverted;
+      await expect(
+        hurupay.connect(owner).setSupportedToken(mockEURC.target, true)
+      ).to.be.revertedWith("Hurupay: token unchanged");
+      await expect(
+        hurupay.connect(owner).setSupportedToken(ethers.ZeroAddress, true)
+      ).to.be.revertedWith("Hurupay: invalid token address");
+    });
+  });
+
+  describe("Pause and Blocklist", function () {
+    async function guardedFixture() {
+      const fixture = await deployHurupayFixture();
+      const [, , , guardian, newUser] = await ethers.getSigners();
+      await fixture.hurupay
+        .connect(fixture.owner)
+        .setGuardian(guardian.address);
+      await fixture.mockUSDC.mint(newUser.address, ethers.parseUnits("100", 6));
+      return { ...fixture, guardian, newUser };
+    }
+
+    const amount = ethers.parseUnits("10", 6);
+
+    // Lets `sender` pay through the contract outside the fixture's approvals
+    async function approve({ hurupay, mockUSDC }, sender) {
+      await mockUSDC.connect(sender).approve(hurupay.target, ethers.MaxUint256);
+    }
+
+    // Escrows `amount` from the sender to the recipient with the owner as
+    // arbiter; resolves to its requestId
+    async function lockEscrow(fixture, sender, recipient) {
+      await approve(fixture, sender);
+      const request = await fixture.client.signEscrowRequest(sender, {
+        recipient: recipient.address,
+        amount,
+        arbiter: fixture.owner.address,
+        refundInMinutes: 60,
+      });
+      await fixture.client.executeEscrow(request);
+      return request.requestId;
+    }
+
+    // Pays `amount` from the sender to the recipient by a signed transfer,
+    // which the recipient can refund; resolves to its requestId
+    async function sendRefundable(fixture, sender, recipient) {
+      await approve(fixture, sender);
+      await approve(fixture, recipient);
+      const request = await fixture.client.signTransferRequest(sender, {
+        recipient: recipient.address,
+        amount,
+      });
+      await fixture.client.executeTransfer(request);
+      return request.requestId;
+    }
+
+    // Every transfer entry point, as (fixture, sender, recipient) => promise,
+    // or as { prepare, submit } when funds must be in place before the
+    // contract is paused or anyone blocked. What prepare resolves to is
+    // passed to submit. Entry points that move no funds set blocklist to
+    // false and are only checked against the pause.
+    const entryPoints = {
+      transfer: ({ hurupay, mockUSDC }, sender, recipient) =>
+        hurupay
+          .connect(sender)
+          .transfer(mockUSDC.target, recipient.address, amount),
+      executeTransferWithSignature: async ({ client }, sender, recipient) =>
+        client.executeTransfer(
+          await client.signTransferRequest(sender, {
+            recipient: recipient.address,
+            amount,
+          })
+        ),
+      executeTransferWithPermit: async ({ client }, sender, recipient) => {
+        const { request, permit } = await client.signTransferWithPermit(
+          sender,
+          { recipient: recipient.address, amount }
+        );
+        return client.executeTransferWithPermit(request, permit);
+      },
+      executeBatchTransferWithSignature: async (
+        { client },
+        sender,
+        recipient
+      ) =>
+        client.executeBatch([
+          await client.signTransferRequest(sender, {
+            recipient: recipient.address,
+            amount,
+          }),
+        ]),
+      executeEscrowWithSignature: async ({ client }, sender, recipient) =>
+        client.executeEscrow(
+          await client.signEscrowRequest(sender, {
+            recipient: recipient.address,
+            amount,
+            refundInMinutes: 60,
+          })
+        ),
+      releaseEscrow: {
+        prepare: lockEscrow,
+        submit: ({ hurupay }, sender, recipient, requestId) =>
+          hurupay.connect(sender).releaseEscrow(requestId),
+      },
+      refundEscrow: {
+        prepare: lockEscrow,
+        submit: ({ hurupay }, sender, recipient, requestId) =>
+          hurupay.connect(recipient).refundEscrow(requestId),
+      },
+      disputeEscrow: {
+        prepare: lockEscrow,
+        submit: ({ hurupay }, sender, recipient, requestId) =>
+          hurupay.connect(sender).disputeEscrow(requestId),
+        blocklist: false,
+      },
+      executeScheduledPayment: async ({ client }, sender, recipient) =>
+        client.executeScheduledPayment(
+          await client.signPaymentSchedule(sender, {
+            recipient: recipient.address,
+            amount,
+            period: 60 * 60,
+            maxOccurrences: 1,
+          })
+        ),
+      executeSplitTransferWithSignature: async (
+        { client },
+        sender,
+        recipient
+      ) =>
+        client.executeSplit(
+          await client.signSplitRequest(sender, {
+            payees: [{ recipient: recipient.address, amount }],
+          })
+        ),
+      // The sender pays an invoice of the recipient
+      payInvoice: async ({ hurupay, client }, sender, recipient) =>
+        new HurupayClient(hurupay.connect(sender)).payInvoice(
+          await client.createInvoice(recipient, { amount })
+        ),
+      // The recipient of a transfer from the sender refunds part of it
+      refundTransfer: {
+        prepare: sendRefundable,
+        submit: ({ hurupay }, sender, recipient, requestId) =>
+          new HurupayClient(hurupay.connect(recipient)).refundTransfer(
+            requestId,
+            { amount: 1n }
+          ),
+      },
+      // The owner refunds the fee of a transfer the recipient refunded
+      refundTransferFee: {
+        prepare: async (fixture, sender, recipient) => {
+          const requestId = await sendRefundable(fixture, sender, recipient);
+          await new HurupayClient(
+            fixture.hurupay.connect(recipient)
+          ).refundTransfer(requestId);
+          return requestId;
+        },
+        submit: ({ client }, sender, recipient, requestId) =>
+          client.refundTransferFee(requestId),
+      },
+    };
+
+    it("Should set the deployer as the initial guardian", async function () {
+      const { hurupay, owner } = await loadFixture(deployHurupayFixture);
+      expect(await hurupay.guardian()).to.equal(owner.address);
+    });
+
+    it("Should let only the owner change the guardian", async function () {
+      const { hurupay, owner, user1, guardian } = await loadFixture(
+        guardedFixture
+      );
+
+      await expect(hurupay.connect(user1).setGuardian(user1.address)).to.be
+        .reverted;
+      await expect(hurupay.connect(owner).setGuardian(user1.address))
+        .to.emit(hurupay, "GuardianUpdated")
+        .withArgs(guardian.address, user1.address);
+    });
+
+    it("Should let only the guardian pause and unpause", async function () {
+      const { hurupay, owner, guardian } = await loadFixture(guardedFixture);
+
+      await expect(hurupay.connect(owner).pause()).to.be.revertedWith(
+        "Hurupay: caller is not the guardian"
+      );
+      await expect(hurupay.connect(guardian).pause())
+        .to.emit(hurupay, "Paused")
+        .withArgs(guardian.address);
+      expect(await hurupay.paused()).to.equal(true);
+
+      await expect(hurupay.connect(owner).unpause()).to.be.revertedWith(
+        "Hurupay: caller is not the guardian"
+      );
+      await expect(hurupay.connect(guardian).unpause())
+        .to.emit(hurupay, "Unpaused")
+        .withArgs(guardian.address);
+      await expect(hurupay.connect(guardian).unpause()).to.be.revertedWith(
+        "Hurupay: not paused"
+      );
+    });
+
+    for (const [name, entryPoint] of Object.entries(entryPoints)) {
+      const {
+        prepare = async () => {},
+        submit,
+        blocklist = true,
+      } = typeof entryPoint === "function"
+        ? { submit: entryPoint }
+        : entryPoint;
+
+      it(`Should block ${name} while paused`, async function () {
+        const fixture = await loadFixture(guardedFixture);
+        const { hurupay, guardian, user1, user2 } = fixture;
+        const prepared = await prepare(fixture, user1, user2);
+
+        await hurupay.connect(guardian).pause();
+        await expect(
+          submit(fixture, user1, user2, prepared)
+        ).to.be.revertedWith("Hurupay: paused");
+
+        await hurupay.connect(guardian).unpause();
+        await expect(submit(fixture, user1, user2, prepared)).to.not.be
+          .reverted;
+      });
+
+      if (!blocklist) continue;
+
+      it(`Should reject a blocked sender or recipient in ${name}`, async function () {
+        const fixture = await loadFixture(guardedFixture);
+        const { hurupay, owner, user1, user2, newUser } = fixture;
+        const prepared = await prepare(fixture, user1, user2);
+        const preparedForNewUser = await prepare(fixture, newUser, user1);
+
+        await expect(hurupay.connect(owner).setBlocked(user1.address, true))
+          .to.emit(hurupay, "BlockedUpdated")
+          .withArgs(user1.address, true);
+
+        await expect(
+          submit(fixture, user1, user2, prepared)
+        ).to.be.revertedWith("Hurupay: sender blocked");
+        await expect(
+          submit(fixture, newUser, user1, preparedForNewUser)
+        ).to.be.revertedWith("Hurupay: recipient blocked");
+      });
+    }
+
+    it("Should report blocked items in skip-failures batches", async function () {
+      const { hurupay, client, owner, user1, user2 } = await loadFixture(
+        guardedFixture
+      );
+
+      await hurupay.connect(owner).setBlocked(user2.address, true);
+      const request = await client.signTransferRequest(user1, {
+        recipient: user2.address,
+        amount,
+      });
+
+      const tx = await client.executeBatch([request], { atomic: false });
+      const [result] = client.parseBatchResults(await tx.wait());
+      expect(result.success).to.equal(false);
+      expect(result.reason).to.equal("Hurupay: recipient blocked");
+    });
+
+    it("Should allow transfers again once unblocked", async function () {
+      const { hurupay, mockUSDC, owner, user1, user2 } = await loadFixture(
+        guardedFixture
+      );
+
+      await hurupay.connect(owner).setBlocked(user1.address, true);
+      await hurupay.connect(owner).setBlocked(user1.address, false);
+
+      await expect(
+        hurupay.connect(user1).transfer(mockUSDC.target, user2.address, amount)
+      ).to.emit(hurupay, "Transfer");
+    });
+
+    it("Should only let the owner manage the blocklist", async function () {
+      const { hurupay, user1, guardian } = await loadFixture(guardedFixture);
+
+      await expect(hurupay.connect(user1).setBlocked(user1.address, true)).to.be
+        .reverted;
+      await expect(hurupay.connect(guardian).setBlocked(user1.address, true)).to
+        .be.reverted;
+    });
+  });
+
+  describe("Spending Limits", function () {
+    const HOUR = 60 * 60;
+    const dailyLimit = ethers.parseUnits("100", 6);
+    const maxTransfer = ethers.parseUnits("60", 6);
+
+    async function limitedFixture() {
+      const fixture = await deployHurupayFixture();
+      await fixture.hurupay.setSpendingLimit(
+        fixture.mockUSDC.target,
+        dailyLimit,
+        maxTransfer
+      );
+      return fixture;
+    }
+
+    // Moves to the start of the next hour, so that a test knows which
+    // hourly bucket its transfers land in
+    async function atNextHour() {
+      const hour = Math.floor((await time.latest()) / HOUR) + 1;
+      await time.increaseTo(hour * HOUR);
+      return hour;
+    }
+
+    async function sendSigned(client, sender, recipient, amount) {
+      return client.executeTransfer(
+        await client.signTransferRequest(sender, {
+          recipient: recipient.address,
+          amount,
+        })
+      );
+    }
+
+    it("Should cap the size of a single transfer", async function () {
+      const { hurupay, client, mockUSDC, user1, user2 } = await loadFixture(
+        limitedFixture
+      );
+      const tooLarge = maxTransfer + 1n;
+
+      await expect(
+        sendSigned(client, user1, user2, tooLarge)
+      ).to.be.revertedWith("Hurupay: amount exceeds transfer limit");
+      await expect(
+        hurupay
+          .connect(user1)
+          .transfer(mockUSDC.target, user2.address, tooLarge)
+      ).to.be.revertedWith("Hurupay: amount exceeds transfer limit");
+      await expect(sendSigned(client, user1, user2, maxTransfer)).to.emit(
+        hurupay,
+        "SignedTransfer"
+      );
+    });
+
+    it("Should cap what a sender moves per window", async function () {
+      const { hurupay, client, mockUSDC, user1, user2 } = await loadFixture(
+        limitedFixture
+      );
+      const amount = ethers.parseUnits("40", 6);
+      const hour = await atNextHour();
+
+      await sendSigned(client, user1, user2, amount);
+      await hurupay
+        .connect(user1)
+        .transfer(mockUSDC.target, user2.address, amount);
+
+      const allowance = await client.getSpendingAllowance(user1.address);
+      expect(allowance.remaining).to.equal(dailyLimit - amount * 2n);
+      expect(allowance.resetsAt).to.equal(BigInt((hour + 25) * HOUR));
+      await expect(sendSigned(client, user1, user2, amount)).to.be.revertedWith(
+        "Hurupay: daily limit exceeded"
+      );
+
+      // Limits are per sender
+      await sendSigned(client, user2, user1, amount);
+
+      await time.increaseTo(allowance.resetsAt);
+      expect(
+        (await client.getSpendingAllowance(user1.address)).remaining
+      ).to.equal(maxTransfer);
+      await sendSigned(client, user1, user2, amount);
+    });
+
+    it("Should cap any rolling day, not just one from the first transfer", async function () {
+      const { client, user1, user2 } = await loadFixture(limitedFixture);
+      const hour = await atNextHour();
+      const remaining = async () =>
+        (await client.getSpendingAllowance(user1.address)).remaining;
+
+      await sendSigned(client, user1, user2, 1n);
+      await time.increaseTo((hour + 24) * HOUR - 10);
+      await sendSigned(client, user1, user2, maxTransfer);
+      await sendSigned(client, user1, user2, dailyLimit - maxTransfer - 1n);
+
+      // A day after the first transfer, the rest of that day still counts
+      await time.increaseTo((hour + 24) * HOUR + 1);
+      expect(await remaining()).to.equal(0);
+      await expect(
+        sendSigned(client, user1, user2, maxTransfer)
+      ).to.be.revertedWith("Hurupay: daily limit exceeded");
+      expect(
+        (await client.getSpendingAllowance(user1.address)).resetsAt
+      ).to.equal(BigInt((hour + 25) * HOUR));
+
+      // Each hour frees up once it is more than a day old
+      await time.increaseTo((hour + 25) * HOUR);
+      expect(await remaining()).to.equal(1n);
+      await sendSigned(client, user1, user2, 1n);
+      await expect(sendSigned(client, user1, user2, 1n)).to.be.revertedWith(
+        "Hurupay: daily limit exceeded"
+      );
+
+      await time.increaseTo((hour + 23 + 25) * HOUR);
+      expect(await remaining()).to.equal(maxTransfer);
+    });
+
+    it("Should report nothing left when the limit is lowered mid-window", async function () {
+      const { hurupay, client, mockUSDC, user1, user2 } = await loadFixture(
+        limitedFixture
+      );
+      await sendSigned(client, user1, user2, maxTransfer);
+
+      await hurupay.setSpendingLimit(mockUSDC, maxTransfer / 2n, maxTransfer);
+
+      const [remaining] = await hurupay.getRemainingAllowance(user1, mockUSDC);
+      expect(remaining).to.equal(0);
+      await expect(sendSigned(client, user1, user2, 1n)).to.be.revertedWith(
+        "Hurupay: daily limit exceeded"
+      );
+    });
+
+    it("Should count split payments and escrows", async function () {
+      const { client, user1, user2 } = await loadFixture(limitedFixture);
+      const amount = ethers.parseUnits("30", 6);
+
+      await client.executeEscrow(
+        await client.signEscrowRequest(user1, {
+          recipient: user2.address,
+          amount: ethers.parseUnits("50", 6),
+          refundInMinutes: 60,
+        })
+      );
+      // 60 in total, within maxTransfer but over what is left today
+      const split = await client.signSplitRequest(user1, {
+        payees: [
+          { recipient: user2.address, amount },
+          { recipient: user2.address, amount },
+        ],
+      });
+
+      await expect(client.executeSplit(split)).to.be.revertedWith(
+        "Hurupay: daily limit exceeded"
+      );
+    });
+
+    it("Should let sender limits replace the token's", async function () {
+      const { hurupay, client, mockUSDC, user1, user2 } = await loadFixture(
+        limitedFixture
+      );
+      const amount = ethers.parseUnits("500", 6);
+
+      await expect(
+        hurupay
+          .connect(user1)
+          .setSenderSpendingLimit(user1, mockUSDC, true, 0, 0)
+      ).to.be.reverted;
+      await expect(
+        hurupay.setSenderSpendingLimit(user1, mockUSDC, true, 0, amount)
+      )
+        .to.emit(hurupay, "SenderSpendingLimitUpdated")
+        .withArgs(user1.address, mockUSDC.target, true, 0, amount);
+
+      const allowance = await client.getSpendingAllowance(user1.address);
+      expect(allowance.dailyLimit).to.equal(0);
+      expect(allowance.remaining).to.equal(amount);
+      await sendSigned(client, user1, user2, amount);
+
+      // Disabled, the token's limits apply again
+      await hurupay.setSenderSpendingLimit(user1, mockUSDC, false, 0, 0);
+      await expect(sendSigned(client, user1, user2, amount)).to.be.revertedWith(
+        "Hurupay: amount exceeds transfer limit"
+      );
+
+      // Lifting the token's limits removes them for everyone
+      await hurupay.setSpendingLimit(mockUSDC, 0, 0);
+      expect(
+        (await client.getSpendingAllowance(user1.address)).remaining
+      ).to.equal(null);
+      await sendSigned(client, user1, user2, amount);
+    });
+  });
+
+  describe("Admin Functions", function () {
+    it("Should update fee percentage", async function () {
+      const { hurupay, client, owner } = await loadFixture(
+        deployHurupayFixture
+      );
+
+      const newFee = 200; // 2%
+      await expect(executeTimelocked(client, "updateFee", [newFee]))
+        .to.emit(hurupay, "FeeUpdated")
+        .withArgs(100, newFee);
+
+      expect(await hurupay.feePercentage()).to.equal(newFee);
+    });
+
+    it("Should revert if new fee exceeds maximum fee", async function () {
+      const { hurupay, client, owner } = await loadFixture(
+        deployHurupayFixture
+      );
+
+      const newFee = 501; // 5.01% (exceeds MAX_FEE_PERCENTAGE)
+      await expect(
+        executeTimelocked(client, "updateFee", [newFee])
+      ).to.be.revertedWith("Hurupay: fee too high");
+    });
+
+    it("Should withdraw accumulated fees", async function () {
+      const { hurupay, client, mockUSDC, user1, user2, owner } =
+        await loadFixture(deployHurupayFixture);
+
+      // First make a signature-based transfer to accumulate fees
+      const requestId = ethers.keccak256(ethers.toUtf8Bytes("fee-test"));
+      const amount = ethers.parseUnits("100", 6); // 100 USDC
+
+      // Sign the transfer request
+      const transferRequest = await client.signTransferRequest(user1, {
+        requestId,
+        recipient: user2.address,
+        amount,
+      });
+
+      // Execute transfer to accumulate fees
+      await client.executeTransfer(transferRequest);
+
+      const fee = await hurupay.calculateFee(
+        mockUSDC.target,
+        transferRequest.amount
+      );
+
+      // Check accumulated fees
+      expect(await hurupay.accumulatedFees(mockUSDC.target)).to.equal(fee);
+
+      // Withdraw fees
+      await expect(hurupay.connect(owner).withdrawFees(mockUSDC.target))
+        .to.emit(hurupay, "FeesWithdrawn")
+        .withArgs(owner.address, mockUSDC.target, fee);
+
+      // Check that fees were withdrawn
+      expect(await hurupay.accumulatedFees(mockUSDC.target)).to.equal(0);
+      expect(await mockUSDC.balanceOf(owner.address)).to.equal(fee);
+      expect(await mockUSDC.balanceOf(hurupay.target)).to.equal(0);
+    });
+
+    it("Should revert if there are no fees to withdraw", async function () {
+      const { hurupay, mockUSDC, owner } = await loadFixture(
+        deployHurupayFixture
+      );
+
+      // No transfers made, so no fees accumulated
+      await expect(
+        hurupay.connect(owner).withdrawFees(mockUSDC.target)
+      ).to.be.revertedWith("Hurupay: no fees to withdraw");
+    });
+
+    it("Should transfer ownership in two steps", async function () {
+      const { hurupay, owner, user1 } = await loadFixture(deployHurupayFixture);
+
+      // Ownable2Step: the new owner has to accept
+      await expect(hurupay.connect(owner).transferOwnership(user1.address))
+        .to.emit(hurupay, "OwnershipTransferStarted")
+        .withArgs(owner.address, user1.address);
+
+      expect(await hurupay.owner()).to.equal(owner.address);
+      expect(await hurupay.pendingOwner()).to.equal(user1.address);
+
+      await expect(hurupay.connect(user1).acceptOwnership())
+        .to.emit(hurupay, "OwnershipTransferred")
+        .withArgs(owner.address, user1.address);
+
+      expect(await hurupay.owner()).to.equal(user1.address);
+      expect(await hurupay.pendingOwner()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should only let the pending owner accept ownership", async function () {
+      const { hurupay, owner, user1, user2 } = await loadFixture(
+        deployHurupayFixture
+      );
+
+      await hurupay.connect(owner).transferOwnership(user1.address);
+
+      await expect(hurupay.connect(user2).acceptOwnership()).to.be.reverted;
+      expect(await hurupay.owner()).to.equal(owner.address);
+    });
+
+    it("Should revert when non-owner tries to transfer ownership", async function () {
+      const { hurupay, user1 } = await loadFixture(deployHurupayFixture);
+
+      // Just check that it reverts, without specifying the error message
+      await expect(hurupay.connect(user1).transferOwnership(user1.address)).to
+        .be.reverted;
+    });
+  });
+
+  describe("Fee Treasury", function () {
+    const amount = ethers.parseUnits("100", 6); // pays a 1 USDC fee
+
+    // 70% to a treasury, 30% to a partner
+    async function treasuryFixture() {
+      const fixture = await deployHurupayFixture();
+      const [, , , treasury, partner] = await ethers.getSigners();
+      await executeTimelocked(fixture.client, "setBeneficiaries", [
+        [
+          { account: treasury.address, shareBps: 7000 },
+          { account: partner.address, shareBps: 3000 },
+        ],
+      ]);
+      await fixture.client.executeTransfer(
+        await fixture.client.signTransferRequest(fixture.user1, {
+          recipient: fixture.user2.address,
+          amount,
+        })
+      );
+      return { ...fixture, treasury, partner };
+    }
+
+    it("Should distribute withdrawn fees by share", async function () {
+      const { hurupay, mockUSDC, owner, treasury, partner } = await loadFixture(
+        treasuryFixture
+      );
+
+      const tx = hurupay.connect(owner).withdrawFees(mockUSDC.target);
+      await expect(tx)
+        .to.emit(hurupay, "FeesDistributed")
+        .withArgs(mockUSDC.target, ethers.parseUnits("1", 6))
+        .and.to.emit(hurupay, "FeesAllocated")
+        .withArgs(
+          partner.address,
+          mockUSDC.target,
+          ethers.parseUnits("0.3", 6)
+        );
+      await expect(tx).to.changeTokenBalance(mockUSDC, owner, 0);
+
+      expect(await hurupay.accumulatedFees(mockUSDC.target)).to.equal(0);
+      expect(
+        await hurupay.claimableFees(treasury.address, mockUSDC.target)
+      ).to.equal(ethers.parseUnits("0.7", 6));
+      expect(await hurupay.totalClaimableFees(mockUSDC.target)).to.equal(
+        ethers.parseUnits("1", 6)
+      );
+      await expect(
+        hurupay.connect(owner).withdrawFees(mockUSDC.target)
+      ).to.be.revertedWith("Hurupay: no fees to withdraw");
+    });
+
+    it("Should let beneficiaries claim in parts", async function () {
+      const { hurupay, mockUSDC, owner, partner } = await loadFixture(
+        treasuryFixture
+      );
+      await hurupay.connect(owner).withdrawFees(mockUSDC.target);
+      const part = ethers.parseUnits("0.1", 6);
+
+      await expect(
+        hurupay.connect(partner).claimFees(mockUSDC.target, part)
+      ).to.changeTokenBalance(mockUSDC, partner, part);
+      await expect(
+        hurupay
+          .connect(partner)
+          .claimFees(mockUSDC.target, ethers.parseUnits("0.3", 6))
+      ).to.be.revertedWith("Hurupay: amount exceeds claimable fees");
+      await expect(
+        hurupay
+          .connect(partner)
+          .claimFees(mockUSDC.target, ethers.parseUnits("0.2", 6))
+      )
+        .to.emit(hurupay, "FeesClaimed")
+        .withArgs(
+          partner.address,
+          mockUSDC.target,
+          ethers.parseUnits("0.2", 6)
+        );
+
+      await expect(
+        hurupay.connect(owner).claimFees(mockUSDC.target, part)
+      ).to.be.revertedWith("Hurupay: amount exceeds claimable fees");
+    });
+
+    it("Should distribute pending fees when claiming", async function () {
+      const { hurupay, mockUSDC, treasury } = await loadFixture(
+        treasuryFixture
+      );
+      const treasuryClient = new HurupayClient(hurupay.connect(treasury));
+      expect(await treasuryClient.getClaimableFees(treasury.address)).to.equal(
+        ethers.parseUnits("0.7", 6)
+      );
+
+      await expect(treasuryClient.claimFees())
+        .to.emit(hurupay, "FeesDistributed")
+        .and.to.emit(hurupay, "FeesClaimed")
+        .withArgs(
+          treasury.address,
+          mockUSDC.target,
+          ethers.parseUnits("0.7", 6)
+        );
+      expect(await treasuryClient.getClaimableFees(treasury.address)).to.equal(
+        0
+      );
+    });
+
+    it("Should validate beneficiaries and fall back to the owner", async function () {
+      const { hurupay, client, mockUSDC, owner, treasury } = await loadFixture(
+        treasuryFixture
+      );
+
+      await expect(
+        hurupay.setBeneficiaries([{ account: owner.address, shareBps: 10000 }])
+      ).to.be.revertedWith("Hurupay: action not proposed");
+      await expect(
+        executeTimelocked(client, "setBeneficiaries", [
+          [{ account: treasury.address, shareBps: 9000 }],
+        ])
+      ).to.be.revertedWith("Hurupay: shares must total 100%");
+      await expect(
+        executeTimelocked(client, "setBeneficiaries", [
+          [{ account: ethers.ZeroAddress, shareBps: 10000 }],
+        ])
+      ).to.be.revertedWith("Hurupay: invalid beneficiary address");
+
+      await expect(executeTimelocked(client, "setBeneficiaries", [[]])).to.emit(
+        hurupay,
+        "BeneficiariesUpdated"
+      );
+      expect(await client.getBeneficiaries()).to.deep.equal([]);
+      await expect(
+        hurupay.connect(owner).withdrawFees(mockUSDC.target)
+      ).to.changeTokenBalance(mockUSDC, owner, ethers.parseUnits("1", 6));
+    });
+  });
+
+  describe("Timelock", function () {
+    it("Should apply a fee change only after the delay", async function () {
+      const { hurupay, client } = await loadFixture(deployHurupayFixture);
+
+      const { data, actionId } = client.encodeAdminAction("updateFee", [200]);
+      const delay = await hurupay.adminDelay();
+      expect(delay).to.equal(2 * 24 * 60 * 60);
+
+      const tx = await client.proposeAdminAction("updateFee", [200]);
+      const readyAt = BigInt(await time.latest()) + delay;
+      await expect(tx)
+        .to.emit(hurupay, "ActionProposed")
+        .withArgs(actionId, data, readyAt);
+
+      await expect(hurupay.updateFee(200)).to.be.revertedWith(
+        "Hurupay: action is timelocked"
+      );
+
+      await time.increaseTo(readyAt);
+      await expect(hurupay.updateFee(200))
+        .to.emit(hurupay, "ActionExecuted")
+        .withArgs(actionId)
+        .and.to.emit(hurupay, "FeeUpdated")
+        .withArgs(100, 200);
+
+      // The proposal is consumed
+      expect(await hurupay.pendingActions(actionId)).to.equal(0);
+      await expect(hurupay.updateFee(300)).to.be.revertedWith(
+        "Hurupay: action not proposed"
+      );
+    });
+
+    it("Should only execute the exact proposed call", async function () {
+      const { hurupay, client } = await loadFixture(deployHurupayFixture);
+
+      await client.proposeAdminAction("updateFee", [200]);
+      await time.increase(await hurupay.adminDelay());
+
+      await expect(hurupay.updateFee(300)).to.be.revertedWith(
+        "Hurupay: action not proposed"
+      );
+    });
+
+    it("Should cancel a pending action", async function () {
+      const { hurupay, client } = await loadFixture(deployHurupayFixture);
+
+      const { actionId } = client.encodeAdminAction("updateFee", [200]);
+      await client.proposeAdminAction("updateFee", [200]);
+
+      await expect(client.cancelAdminAction("updateFee", [200]))
+        .to.emit(hurupay, "ActionCancelled")
+        .withArgs(actionId);
+
+      await time.increase(await hurupay.adminDelay());
+      await expect(hurupay.updateFee(200)).to.be.revertedWith(
+        "Hurupay: action not proposed"
+      );
+      await expect(hurupay.cancelAction(actionId)).to.be.revertedWith(
+        "Hurupay: action not proposed"
+      );
+    });
+
+    it("Should reject a duplicate proposal", async function () {
+      const { client } = await loadFixture(deployHurupayFixture);
+
+      await client.proposeAdminAction("updateFee", [200]);
+      await expect(
+        client.proposeAdminAction("updateFee", [200])
+      ).to.be.revertedWith("Hurupay: action already proposed");
+    });
+
+    it("Should expire actions not executed within the grace period", async function () {
+      const { hurupay, client } = await loadFixture(deployHurupayFixture);
+
+      await client.proposeAdminAction("updateFee", [200]);
+      await time.increase(
+        (await hurupay.adminDelay()) +
+          (await hurupay.ACTION_GRACE_PERIOD()) +
+          1n
+      );
+
+      await expect(hurupay.updateFee(200)).to.be.revertedWith(
+        "Hurupay: action expired"
+      );
+    });
+
+    it("Should timelock token recovery", async function () {
+      const { hurupay, client, mockUSDC, owner, user1 } = await loadFixture(
+        deployHurupayFixture
+      );
+
+      await mockUSDC
+        .connect(user1)
+        .transfer(hurupay.target, ethers.parseUnits("10", 6));
+
+      await expect(
+        hurupay.connect(owner).recoverERC20(mockUSDC.target)
+      ).to.be.revertedWith("Hurupay: action not proposed");
+
+      await client.proposeAdminAction("recoverERC20", [mockUSDC.target]);
+      await time.increase(await hurupay.adminDelay());
+
+      await expect(
+        client.executeAdminAction("recoverERC20", [mockUSDC.target])
+      ).to.changeTokenBalance(mockUSDC, owner, ethers.parseUnits("10", 6));
+    });
+
+    it("Should update the admin delay through the timelock", async function () {
+      const { hurupay, client } = await loadFixture(deployHurupayFixture);
+
+      const newDelay = 60 * 60 * 24; // 1 day
+      await expect(executeTimelocked(client, "updateAdminDelay", [newDelay]))
+        .to.emit(hurupay, "AdminDelayUpdated")
+        .withArgs(2 * 24 * 60 * 60, newDelay);
+
+      await expect(
+        executeTimelocked(client, "updateAdminDelay", [60])
+      ).to.be.revertedWith("Hurupay: invalid admin delay");
+    });
+
+    it("Should only let the owner propose and cancel actions", async function () {
+      const { hurupay, client, user1 } = await loadFixture(
+        deployHurupayFixture
+      );
+
+      const { data, actionId } = client.encodeAdminAction("updateFee", [200]);
+      await expect(hurupay.connect(user1).proposeAction(data)).to.be.reverted;
+
+      await client.proposeAdminAction("updateFee", [200]);
+      await expect(hurupay.connect(user1).cancelAction(actionId)).to.be
+        .reverted;
+
+      // A proposal made by the owner cannot be executed by anyone else
+      await time.increase(await hurupay.adminDelay());
+      await expect(hurupay.connect(user1).updateFee(200)).to.be.reverted;
+    });
+  });
+
+  describe("Upgrades", function () {
+    // Deploys MockHurupayV2 and returns the calldata to upgrade to it
+    async function prepareV2(hurupay) {
+      const MockHurupayV2 = await ethers.getContractFactory("MockHurupayV2");
+      // Validates the new implementation's storage layout against the proxy
+      const implementation = await upgrades.prepareUpgrade(
+        hurupay.target,
+        MockHurupayV2,
+        {
+          kind: "uups",
+          constructorArgs: [
+            await hurupay.extension(),
+            await hurupay.payments(),
+          ],
+        }
+      );
+      const migration =
+        MockHurupayV2.interface.encodeFunctionData("initializeV2");
+      return { MockHurupayV2, implementation, migration };
+    }
+
+    it("Should not initialize twice", async function () {
+      const { hurupay, mockUSDC } = await loadFixture(deployHurupayFixture);
+
+      await expect(
+        hurupay.initialize(mockUSDC.target, 100)
+      ).to.be.revertedWithCustomError(hurupay, "InvalidInitialization");
+
+      const implementation = await ethers.getContractAt(
+        "HurupaySmartContract",
+        await upgrades.erc1967.getImplementationAddress(hurupay.target)
+      );
+      await expect(
+        implementation.initialize(mockUSDC.target, 100)
+      ).to.be.revertedWithCustomError(hurupay, "InvalidInitialization");
+    });
+
+    it("Should keep state and signed requests across an upgrade", async function () {
+      const { hurupay, mockUSDC, client, owner, user1, user2 } =
+        await loadFixture(deployHurupayFixture);
+      const amount = ethers.parseUnits("100", 6);
+
+      const executed = await client.signTransferRequest(user1, {
+        requestId: "before-upgrade",
+        recipient: user2.address,
+        amount,
+      });
+      await client.executeTransfer(executed);
+      const fee = await hurupay.accumulatedFees(mockUSDC.target);
+      await executeTimelocked(client, "updateFee", [200]);
+      // Signed now, submitted after the upgrade
+      const pending = await client.signTransferRequest(user1, {
+        recipient: user2.address,
+        amount,
+        deadlineInMinutes: 60 * 24 * 7,
+      });
+
+      const { MockHurupayV2, implementation, migration } = await prepareV2(
+        hurupay
+      );
+      await expect(
+        executeTimelocked(client, "upgradeToAndCall", [
+          implementation,
+          migration,
+        ])
+      )
+        .to.emit(hurupay, "Upgraded")
+        .withArgs(implementation)
+        .and.to.emit(MockHurupayV2.attach(hurupay.target), "MigratedToV2");
+
+      const upgraded = MockHurupayV2.attach(hurupay.target);
+      expect(await upgraded.version()).to.equal("2");
+      expect(await upgraded.processedRequests(executed.requestId)).to.equal(
+        true
+      );
+      expect(await upgraded.accumulatedFees(mockUSDC.target)).to.equal(fee);
+      expect(await upgraded.feePercentage()).to.equal(200);
+      expect(await upgraded.owner()).to.equal(owner.address);
+      await expect(upgraded.initializeV2()).to.be.revertedWithCustomError(
+        upgraded,
+        "InvalidInitialization"
+      );
+
+      // Same proxy address and EIP-712 domain, so old signatures still work
+      await expect(client.executeTransfer(pending)).to.emit(
+        hurupay,
+        "Transfer"
+      );
+    });
+
+    it("Should only upgrade through the timelock", async function () {
+      const { hurupay, owner, user1 } = await loadFixture(deployHurupayFixture);
+      const { implementation } = await prepareV2(hurupay);
+
+      await expect(
+        hurupay.connect(user1).upgradeToAndCall(implementation, "0x")
+      ).to.be.revertedWithCustomError(hurupay, "OwnableUnauthorizedAccount");
+      await expect(
+        hurupay.connect(owner).upgradeToAndCall(implementation, "0x")
+      ).to.be.revertedWith("Hurupay: action not proposed");
+    });
+  });
+
+  describe("ERC20 Recovery", function () {
+    it("Should recover accidentally sent ERC20 tokens", async function () {
+      const { hurupay, client, mockUSDC, owner, user1 } = await loadFixture(
+        deployHurupayFixture
+      );
+
+      // User1 accidentally sends 10 USDC directly to the contract
+      await mockUSDC
+        .connect(user1)
+        .transfer(hurupay.target, ethers.parseUnits("10", 6));
+
+      // Owner should be able to recover these tokens
+      await expect(
+        executeTimelocked(client, "recoverERC20", [mockUSDC.target])
+      ).to.changeTokenBalances(
+        mockUSDC,
+        [hurupay.target, owner.address],
+        [ethers.parseUnits("-10", 6), ethers.parseUnits("10", 6)]
+      );
+    });
+
+    it("Should not allow recovering accumulated fees", async function () {
+      const { hurupay, client, mockUSDC, owner, user1, user2 } =
+        await loadFixture(deployHurupayFixture);
+
+      // Make a signature-based transfer to accumulate fees
+      const requestId = ethers.keccak256(ethers.toUtf8Bytes("recovery-test"));
+      const amount = ethers.parseUnits("100", 6); // 100 USDC
+
+      const transferRequest = await client.signTransferRequest(user1, {
+        requestId,
+        recipient: user2.address,
+        amount,
+      });
+
+      await client.executeTransfer(transferRequest);
+
+      const fee = await hurupay.calculateFee(
+        mockUSDC.target,
+        transferRequest.amount
+      );
+
+      // Attempt to recover the USDC (should fail because only accumulated fees are present)
+      await expect(
+        executeTimelocked(client, "recoverERC20", [mockUSDC.target])
+      ).to.be.revertedWith("Hurupay: only accumulated fees available");
+
+      // Send additional tokens to the contract
+      await mockUSDC
+        .connect(user1)
+        .transfer(hurupay.target, ethers.parseUnits("10", 6));
+
+      // Now should be able to recover the extra 10 USDC, but not the fees
+      await expect(
+        executeTimelocked(client, "recoverERC20", [mockUSDC.target])
+      ).to.changeTokenBalances(
+        mockUSDC,
+        [hurupay.target, owner.address],
+        [ethers.parseUnits("-10", 6), ethers.parseUnits("10", 6)]
+      );
+
+      // Accumulated fees should still be there
+      expect(await hurupay.accumulatedFees(mockUSDC.target)).to.equal(fee);
+      expect(await mockUSDC.balanceOf(hurupay.target)).to.equal(fee);
+    });
+
+    it("Should revert when zero address is provided for token recovery", async function () {
+      const { hurupay, client, owner } = await loadFixture(
+        deployHurupayFixture
+      );
 
       await expect(
-        hurupay.connect(owner).recoverERC20(ethers.ZeroAddress)
+        executeTimelocked(client, "recoverERC20", [ethers.ZeroAddress])
       ).to.be.revertedWith("Hurupay: invalid token address");
     });
   });
@@ -521,7 +3230,7 @@ describe("Hurupay", function () {
 
     it("Should protect against signature replay across chains", async function () {
       // This is handled by including chainId in the signature
-      // Our signTransferRequest function now includes chainId in the signature data
+      // The client includes chainId in the signed Transfer struct
       const { hurupay } = await loadFixture(deployHurupayFixture);
 
       // Just checking that the contract was deployed successfully
@@ -0,0 +1,160 @@
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployHurupay } = require("./fixtures");
+
+async function deployTasksFixture() {
+  const fixture = await deployHurupay();
+  const { hurupay, client, user1, user2 } = fixture;
+
+  // One signed transfer so there are fees to report and withdraw
+  const request = await client.signTransferRequest(user1, {
+    requestId: "order-1",
+    recipient: user2.address,
+    amount: ethers.parseUnits("100", 6),
+  });
+  await client.executeTransfer(request);
+
+  return { ...fixture, address: hurupay.target };
+}
+
+describe("Hurupay tasks", function () {
+  it("Should report the configuration and fee balances", async function () {
+    const { mockUSDC, owner, address } = await loadFixture(deployTasksFixture);
+
+    const status = await hre.run("hurupay:status", { address });
+
+    expect(status.owner).to.equal(owner.address);
+    expect(status.feePercentage).to.equal(100);
+    expect(status.tokens).to.have.lengthOf(1);
+    expect(status.tokens[0].token).to.equal(mockUSDC.target);
+    expect(status.tokens[0].accumulatedFees).to.equal(
+      ethers.parseUnits("1", 6)
+    );
+  });
+
+  it("Should fail without a known deployment", async function () {
+    await expect(hre.run("hurupay:status")).to.be.rejectedWith(
+      "Hurupay: no deployment found for chain 31337"
+    );
+  });
+
+  it("Should propose and later make a fee change", async function () {
+    const { hurupay, address } = await loadFixture(deployTasksFixture);
+
+    const proposed = await hre.run("hurupay:set-fee", { fee: 25, address });
+    expect(proposed.stage).to.equal("proposed");
+    expect(proposed.events.map((event) => event.name)).to.deep.equal([
+      "ActionProposed",
+    ]);
+
+    const waiting = await hre.run("hurupay:set-fee", { fee: 25, address });
+    expect(waiting.stage).to.equal("timelocked");
+
+    await time.increase(await hurupay.adminDelay());
+    const executed = await hre.run("hurupay:set-fee", { fee: 25, address });
+    expect(executed.stage).to.equal("executed");
+    expect(executed.events.map((event) => event.name)).to.include("FeeUpdated");
+    expect(await hurupay.feePercentage()).to.equal(25);
+  });
+
+  it("Should not send anything on a dry run", async function () {
+    const { hurupay, address } = await loadFixture(deployTasksFixture);
+
+    const result = await hre.run("hurupay:withdraw-fees", {
+      address,
+      dryRun: true,
+    });
+
+    expect(result.sent).to.equal(false);
+    expect(result.amount).to.equal(ethers.parseUnits("1", 6));
+    expect(await hurupay.accumulatedFees(await hurupay.usdc())).to.equal(
+      result.amount
+    );
+  });
+
+  it("Should withdraw fees and decode the event", async function () {
+    const { mockUSDC, owner, address } = await loadFixture(deployTasksFixture);
+
+    const result = await hre.run("hurupay:withdraw-fees", { address });
+
+    const [event] = result.events;
+    expect(event.name).to.equal("FeesWithdrawn");
+    expect(event.args.owner).to.equal(owner.address);
+    expect(event.args.amount).to.equal(ethers.parseUnits("1", 6));
+    expect(await mockUSDC.balanceOf(owner.address)).to.equal(
+      ethers.parseUnits("1", 6)
+    );
+  });
+
+  it("Should surface the contract revert before sending", async function () {
+    const { address } = await loadFixture(deployTasksFixture);
+
+    await hre.run("hurupay:withdraw-fees", { address });
+    await expect(
+      hre.run("hurupay:withdraw-fees", { address })
+    ).to.be.rejectedWith("Hurupay: no fees to withdraw");
+  });
+
+  it("Should only offer tokens beyond fees for recovery", async function () {
+    const { hurupay, mockUSDC, user1, address } = await loadFixture(
+      deployTasksFixture
+    );
+
+    // Sent to the contract directly by mistake
+    await mockUSDC
+      .connect(user1)
+      .transfer(hurupay.target, ethers.parseUnits("5", 6));
+
+    const result = await hre.run("hurupay:recover", {
+      token: mockUSDC.target,
+      address,
+    });
+    expect(result.amount).to.equal(ethers.parseUnits("5", 6));
+    expect(result.stage).to.equal("proposed");
+  });
+
+  it("Should report the state of a request", async function () {
+    const { user1, address } = await loadFixture(deployTasksFixture);
+
+    const executed = await hre.run("hurupay:check-request", {
+      requestId: "order-1",
+      sender: user1.address,
+      address,
+    });
+    expect(executed.processed).to.equal(true);
+    expect(executed.cancelled).to.equal(false);
+    expect(executed.escrow.status).to.equal("none");
+    expect(executed.transfer.sender).to.equal(user1.address);
+    expect(executed.transfer.fee).to.equal(ethers.parseUnits("1", 6));
+
+    const unknown = await hre.run("hurupay:check-request", {
+      requestId: "order-2",
+      address,
+    });
+    expect(unknown.processed).to.equal(false);
+  });
+
+  it("Should index fee events into the store and reconcile them", async function () {
+    const { address } = await loadFixture(deployTasksFixture);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hurupay-"));
+    const store = path.join(dir, "index.json");
+
+    await hre.run("hurupay:withdraw-fees", { address });
+    const report = await hre.run("hurupay:reconcile", { address, store });
+
+    expect(report.ok).to.equal(true);
+    expect(report.tokens[0].withdrawn).to.equal(ethers.parseUnits("1", 6));
+    const saved = JSON.parse(fs.readFileSync(store, "utf8"));
+    expect(saved.transfers).to.have.lengthOf(1);
+    expect(saved.feeWithdrawals).to.have.lengthOf(1);
+    fs.rmSync(dir, { recursive: true });
+  });
+});
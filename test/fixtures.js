@@ -0,0 +1,52 @@
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { ethers, upgrades } = require("hardhat");
+const { HurupayClient } = require("../src");
+
+// Deploys a mock USDC and the Hurupay proxy with the contracts it delegates
+// to, and funds user1 with 1000 USDC approved to Hurupay
+async function deployHurupay() {
+  const [owner, user1, user2, user3] = await ethers.getSigners();
+
+  const MockUSDC = await ethers.getContractFactory("MockUSDC");
+  const mockUSDC = await MockUSDC.deploy();
+
+  const HurupayExtension = await ethers.getContractFactory("HurupayExtension");
+  const extension = await HurupayExtension.deploy();
+  const HurupayPayments = await ethers.getContractFactory("HurupayPayments");
+  const payments = await HurupayPayments.deploy();
+  const Hurupay = await ethers.getContractFactory("HurupaySmartContract");
+  const hurupay = await upgrades.deployProxy(
+    Hurupay,
+    [mockUSDC.target, 100], // 1% initial fee
+    { kind: "uups", constructorArgs: [extension.target, payments.target] }
+  );
+  const deployBlock = await ethers.provider.getBlockNumber();
+
+  await mockUSDC.mint(user1.address, ethers.parseUnits("1000", 6));
+  await mockUSDC.connect(user1).approve(hurupay.target, ethers.MaxUint256);
+
+  // Client SDK wrapping the deployed contract (relayer = owner)
+  const client = new HurupayClient(hurupay);
+  return {
+    hurupay,
+    client,
+    mockUSDC,
+    owner,
+    user1,
+    user2,
+    user3,
+    deployBlock,
+  };
+}
+
+// Proposes a timelocked admin call, waits out the delay and makes it
+async function executeTimelocked(client, method, args = []) {
+  const readyAt = await client.getAdminActionReadyAt(method, args);
+  if (readyAt === 0n) {
+    await client.proposeAdminAction(method, args);
+  }
+  await time.increase(await client.contract.adminDelay());
+  return client.executeAdminAction(method, args);
+}
+
+module.exports = { deployHurupay, executeTimelocked };
@@ -0,0 +1,255 @@
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  HurupayClient,
+  PreflightError,
+  PreflightErrors,
+  preflightTransfer,
+} = require("../src");
+const { deployHurupay, executeTimelocked } = require("./fixtures");
+
+async function deployPreflightFixture() {
+  const fixture = await deployHurupay();
+
+  // Read-only client, as an app would use with just a provider
+  const client = HurupayClient.connect(fixture.hurupay.target, ethers.provider);
+  return { ...fixture, client, signingClient: fixture.client };
+}
+
+function signRequest(client, sender, recipient, params = {}) {
+  return client.signTransferRequest(sender, {
+    requestId: "order-1",
+    recipient: recipient.address,
+    amount: ethers.parseUnits("100", 6),
+    ...params,
+  });
+}
+
+// Pre-flight fails with `code`, and the contract reverts with its reason
+async function expectRejected(fixture, request, code) {
+  const result = await preflightTransfer(fixture.client, request, {
+    relayer: fixture.owner.address,
+  });
+  expect(result.ok).to.equal(false);
+  expect(result.error).to.be.instanceOf(PreflightError);
+  expect(result.error.code).to.equal(code);
+  expect(result.error.reason).to.equal(PreflightErrors[code]);
+
+  const execution = fixture.signingClient.executeTransfer(request);
+  if (code === "INSUFFICIENT_ALLOWANCE") {
+    await expect(execution).to.be.revertedWithCustomError(
+      fixture.mockUSDC,
+      "ERC20InsufficientAllowance"
+    );
+  } else if (code === "INSUFFICIENT_BALANCE") {
+    await expect(execution).to.be.revertedWithCustomError(
+      fixture.mockUSDC,
+      "ERC20InsufficientBalance"
+    );
+  } else {
+    await expect(execution).to.be.revertedWith(result.error.reason);
+  }
+}
+
+describe("preflightTransfer", function () {
+  it("Should return the quote of a valid request", async function () {
+    const { client, signingClient, mockUSDC, user1, user2 } = await loadFixture(
+      deployPreflightFixture
+    );
+    const request = await signRequest(signingClient, user1, user2);
+
+    const result = await preflightTransfer(client, request);
+
+    expect(result.ok).to.equal(true);
+    expect(result.quote).to.deep.equal({
+      requestId: request.requestId,
+      sender: user1.address,
+      recipient: user2.address,
+      token: mockUSDC.target,
+      amount: ethers.parseUnits("100", 6),
+      source: "base",
+      feeBps: 100n,
+      fee: ethers.parseUnits("1", 6),
+      amountAfterFee: ethers.parseUnits("99", 6),
+      deadline: request.deadline,
+    });
+    await expect(signingClient.executeTransfer(request)).to.changeTokenBalance(
+      mockUSDC,
+      user2,
+      result.quote.amountAfterFee
+    );
+  });
+
+  it("Should accept signatures of contract wallets", async function () {
+    const { client, signingClient, mockUSDC, hurupay, user2, user3 } =
+      await loadFixture(deployPreflightFixture);
+    const MockContractWallet = await ethers.getContractFactory(
+      "MockContractWallet"
+    );
+    const wallet = await MockContractWallet.deploy(user3.address);
+    await mockUSDC.mint(wallet.target, ethers.parseUnits("100", 6));
+    await wallet
+      .connect(user3)
+      .execute(
+        mockUSDC.target,
+        mockUSDC.interface.encodeFunctionData("approve", [
+          hurupay.target,
+          ethers.MaxUint256,
+        ])
+      );
+
+    const request = await signRequest(signingClient, user3, user2, {
+      sender: wallet.target,
+    });
+
+    expect((await preflightTransfer(client, request)).ok).to.equal(true);
+  });
+
+  it("Should reject an expired request", async function () {
+    const fixture = await loadFixture(deployPreflightFixture);
+    const request = await signRequest(
+      fixture.signingClient,
+      fixture.user1,
+      fixture.user2,
+      { deadlineInMinutes: 1 }
+    );
+    await time.increase(120);
+
+    await expectRejected(fixture, request, "EXPIRED");
+  });
+
+  it("Should reject a processed or cancelled request", async function () {
+    const fixture = await loadFixture(deployPreflightFixture);
+    const { signingClient, hurupay, user1, user2 } = fixture;
+
+    const executed = await signRequest(signingClient, user1, user2);
+    await signingClient.executeTransfer(executed);
+    await expectRejected(fixture, executed, "REQUEST_PROCESSED");
+
+    const cancelled = await signRequest(signingClient, user1, user2, {
+      requestId: "order-2",
+    });
+    await hurupay.connect(user1).cancelRequest(cancelled.requestId);
+    await expectRejected(fixture, cancelled, "REQUEST_CANCELLED");
+  });
+
+  it("Should reject a tampered or stale signature", async function () {
+    const fixture = await loadFixture(deployPreflightFixture);
+    const { signingClient, hurupay, user1, user2 } = fixture;
+    const request = await signRequest(signingClient, user1, user2);
+
+    await expectRejected(
+      fixture,
+      { ...request, recipient: fixture.user3.address },
+      "INVALID_SIGNATURE"
+    );
+
+    // Signed under the previous nonce
+    await hurupay.connect(user1).incrementNonce();
+    await expectRejected(fixture, request, "INVALID_SIGNATURE");
+  });
+
+  it("Should reject a fee larger than the amount", async function () {
+    const fixture = await loadFixture(deployPreflightFixture);
+    const { signingClient, mockUSDC, user1, user2 } = fixture;
+    await executeTimelocked(signingClient, "updateFeeLimits", [
+      mockUSDC.target,
+      ethers.parseUnits("5", 6),
+      0,
+    ]);
+
+    const request = await signRequest(signingClient, user1, user2, {
+      amount: ethers.parseUnits("5", 6),
+    });
+
+    await expectRejected(fixture, request, "FEE_EXCEEDS_AMOUNT");
+  });
+
+  it("Should reject amounts over the sender's spending limits", async function () {
+    const fixture = await loadFixture(deployPreflightFixture);
+    const { signingClient, hurupay, mockUSDC, user1, user2 } = fixture;
+    await hurupay.setSpendingLimit(
+      mockUSDC.target,
+      ethers.parseUnits("150", 6),
+      ethers.parseUnits("100", 6)
+    );
+
+    const tooLarge = await signRequest(signingClient, user1, user2, {
+      amount: ethers.parseUnits("101", 6),
+    });
+    await expectRejected(fixture, tooLarge, "TRANSFER_LIMIT_EXCEEDED");
+
+    await signingClient.executeTransfer(
+      await signRequest(signingClient, user1, user2)
+    );
+    const overDaily = await signRequest(signingClient, user1, user2, {
+      requestId: "order-2",
+    });
+    await expectRejected(fixture, overDaily, "DAILY_LIMIT_EXCEEDED");
+
+    // Lowered below what was already spent today
+    await hurupay.setSpendingLimit(
+      mockUSDC.target,
+      ethers.parseUnits("50", 6),
+      ethers.parseUnits("100", 6)
+    );
+    const afterLowering = await signRequest(signingClient, user1, user2, {
+      requestId: "order-3",
+      amount: 1n,
+    });
+    await expectRejected(fixture, afterLowering, "DAILY_LIMIT_EXCEEDED");
+  });
+
+  it("Should reject an unsupported token", async function () {
+    const fixture = await loadFixture(deployPreflightFixture);
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    const other = await MockUSDC.deploy();
+
+    const request = await signRequest(
+      fixture.signingClient,
+      fixture.user1,
+      fixture.user2,
+      { token: other.target }
+    );
+
+    await expectRejected(fixture, request, "UNSUPPORTED_TOKEN");
+  });
+
+  it("Should reject missing allowance before missing balance", async function () {
+    const fixture = await loadFixture(deployPreflightFixture);
+    const { signingClient, user1, user2 } = fixture;
+
+    // user2 has neither funds nor an approval
+    const unapproved = await signRequest(signingClient, user2, user1);
+    await expectRejected(fixture, unapproved, "INSUFFICIENT_ALLOWANCE");
+
+    const unfunded = await signRequest(signingClient, user1, user2, {
+      amount: ethers.parseUnits("5000", 6),
+    });
+    await expectRejected(fixture, unfunded, "INSUFFICIENT_BALANCE");
+  });
+
+  it("Should reject while paused, blocked or for unauthorized relayers", async function () {
+    const fixture = await loadFixture(deployPreflightFixture);
+    const { client, signingClient, hurupay, user1, user2, user3 } = fixture;
+    const request = await signRequest(signingClient, user1, user2);
+
+    await hurupay.setBlocked(user2.address, true);
+    await expectRejected(fixture, request, "RECIPIENT_BLOCKED");
+    await hurupay.setBlocked(user2.address, false);
+
+    await hurupay.setOpenRelaying(false);
+    const result = await preflightTransfer(client, request, {
+      relayer: user3.address,
+    });
+    expect(result.error.code).to.equal("NOT_AUTHORIZED_RELAYER");
+    await hurupay.setOpenRelaying(true);
+
+    await hurupay.pause();
+    await expectRejected(fixture, request, "PAUSED");
+  });
+});